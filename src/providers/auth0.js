@@ -3,6 +3,33 @@
  * @see https://auth0.com
  */
 class SalteAuthAuth0Provider {
+  /**
+   * Computes the token endpoint
+   * @param {Config} config configuration for salte auth
+   * @return {String} the token endpoint
+   */
+  static tokenEndpoint(config) {
+    return `${config.providerUrl}/oauth/token`;
+  }
+
+  /**
+   * Computes the userinfo endpoint
+   * @param {Config} config configuration for salte auth
+   * @return {String} the userinfo endpoint
+   */
+  static userInfoEndpoint(config) {
+    return `${config.providerUrl}/userinfo`;
+  }
+
+  /**
+   * Computes the url of the JSON Web Key Set
+   * @param {Config} config configuration for salte auth
+   * @return {String} the url of the JSON Web Key Set
+   */
+  static jwksUri(config) {
+    return `${config.providerUrl}/.well-known/jwks.json`;
+  }
+
   /**
    * Computes the deauthorization url
    * @param {Config} config configuration for salte auth
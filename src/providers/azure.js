@@ -9,6 +9,24 @@ class SalteAuthAzureProvider {
     return `${config.providerUrl}/oauth2/authorize`;
   }
 
+  /**
+   * Computes the token endpoint
+   * @param {Config} config configuration for salte auth
+   * @return {String} the token endpoint
+   */
+  static tokenEndpoint(config) {
+    return `${config.providerUrl}/oauth2/token`;
+  }
+
+  /**
+   * Computes the url of the JSON Web Key Set
+   * @param {Config} config configuration for salte auth
+   * @return {String} the url of the JSON Web Key Set
+   */
+  static jwksUri(config) {
+    return `${config.providerUrl}/discovery/keys`;
+  }
+
   /**
    * Computes the deauthorization url
    * @param {Config} config configuration for salte auth
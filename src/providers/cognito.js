@@ -9,6 +9,24 @@ class SalteAuthCognitoProvider {
     return `${config.providerUrl}/oauth2/authorize`;
   }
 
+  /**
+   * Computes the token endpoint
+   * @param {Config} config configuration for salte auth
+   * @return {String} the token endpoint
+   */
+  static tokenEndpoint(config) {
+    return `${config.providerUrl}/oauth2/token`;
+  }
+
+  /**
+   * Computes the userinfo endpoint
+   * @param {Config} config configuration for salte auth
+   * @return {String} the userinfo endpoint
+   */
+  static userInfoEndpoint(config) {
+    return `${config.providerUrl}/oauth2/userInfo`;
+  }
+
   /**
    * Computes the deauthorization url
    * @param {Config} config configuration for salte auth
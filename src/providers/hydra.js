@@ -12,6 +12,42 @@ class SalteAuthHydraProvider {
     return `${config.providerUrl}/oauth2/auth`;
   }
 
+  /**
+   * Computes the token endpoint
+   * @param {Config} config configuration for salte auth
+   * @return {String} the token endpoint
+   */
+  static tokenEndpoint(config) {
+    return `${config.providerUrl}/oauth2/token`;
+  }
+
+  /**
+   * Computes the userinfo endpoint
+   * @param {Config} config configuration for salte auth
+   * @return {String} the userinfo endpoint
+   */
+  static userInfoEndpoint(config) {
+    return `${config.providerUrl}/userinfo`;
+  }
+
+  /**
+   * Computes the token revocation endpoint
+   * @param {Config} config configuration for salte auth
+   * @return {String} the token revocation endpoint
+   */
+  static revocationEndpoint(config) {
+    return `${config.providerUrl}/oauth2/revoke`;
+  }
+
+  /**
+   * Computes the url of the JSON Web Key Set
+   * @param {Config} config configuration for salte auth
+   * @return {String} the url of the JSON Web Key Set
+   */
+  static jwksUri(config) {
+    return `${config.providerUrl}/.well-known/jwks.json`;
+  }
+
   static deauthorizeUrl(config) {
     return this.$utilities.createUrl(`${config.providerUrl}/oauth2/sessions/logout`, {
       returnTo: config.redirectUrl && config.redirectUrl.logoutUrl || config.redirectUrl,
@@ -9,6 +9,42 @@ class SalteAuthOktaProvider {
     return `${config.providerUrl}/oauth2/v1/authorize`;
   }
 
+  /**
+   * Computes the token endpoint
+   * @param {Config} config configuration for salte auth
+   * @return {String} the token endpoint
+   */
+  static tokenEndpoint(config) {
+    return `${config.providerUrl}/oauth2/v1/token`;
+  }
+
+  /**
+   * Computes the userinfo endpoint
+   * @param {Config} config configuration for salte auth
+   * @return {String} the userinfo endpoint
+   */
+  static userInfoEndpoint(config) {
+    return `${config.providerUrl}/oauth2/v1/userinfo`;
+  }
+
+  /**
+   * Computes the token revocation endpoint
+   * @param {Config} config configuration for salte auth
+   * @return {String} the token revocation endpoint
+   */
+  static revocationEndpoint(config) {
+    return `${config.providerUrl}/oauth2/v1/revoke`;
+  }
+
+  /**
+   * Computes the url of the JSON Web Key Set
+   * @param {Config} config configuration for salte auth
+   * @return {String} the url of the JSON Web Key Set
+   */
+  static jwksUri(config) {
+    return `${config.providerUrl}/oauth2/v1/keys`;
+  }
+
   /**
    * Computes the deauthorization url
    * @param {Config} config configuration for salte auth
@@ -0,0 +1,27 @@
+/**
+ * Provider for any OpenID Connect compliant identity provider
+ *
+ * All of the endpoints are retrieved via discovery.
+ * @see https://openid.net/specs/openid-connect-discovery-1_0.html
+ */
+class SalteAuthOpenIDProvider {
+  /**
+   * Computes the deauthorization url
+   *
+   * This is only used if the identity provider didn't advertise an "end_session_endpoint".
+   */
+  static deauthorizeUrl() {
+    throw new ReferenceError('The identity provider does not support logging out (missing "end_session_endpoint").');
+  }
+
+  /**
+   * Provides a set of default config options required for openid
+   */
+  static get defaultConfig() {
+    return {
+      discovery: true
+    };
+  }
+}
+
+export default SalteAuthOpenIDProvider;
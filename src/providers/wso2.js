@@ -1,5 +1,41 @@
 /** Provider for WSO2's API Gateway */
 class SalteAuthWSO2Provider {
+  /**
+   * Computes the token endpoint
+   * @param {Config} config configuration for salte auth
+   * @return {String} the token endpoint
+   */
+  static tokenEndpoint(config) {
+    return `${config.providerUrl}/oauth2/token`;
+  }
+
+  /**
+   * Computes the userinfo endpoint
+   * @param {Config} config configuration for salte auth
+   * @return {String} the userinfo endpoint
+   */
+  static userInfoEndpoint(config) {
+    return `${config.providerUrl}/oauth2/userinfo`;
+  }
+
+  /**
+   * Computes the token revocation endpoint
+   * @param {Config} config configuration for salte auth
+   * @return {String} the token revocation endpoint
+   */
+  static revocationEndpoint(config) {
+    return `${config.providerUrl}/oauth2/revoke`;
+  }
+
+  /**
+   * Computes the url of the JSON Web Key Set
+   * @param {Config} config configuration for salte auth
+   * @return {String} the url of the JSON Web Key Set
+   */
+  static jwksUri(config) {
+    return `${config.providerUrl}/oauth2/jwks`;
+  }
+
   /**
    * Computes the deauthorization url
    * @param {Config} config configuration for salte auth
@@ -0,0 +1,330 @@
+import debug from 'debug';
+
+/** @ignore */
+const logger = debug('@salte-auth/salte-auth:connection');
+
+/**
+ * The events every connection forwards, regardless of whether anyone is listening yet
+ * @ignore
+ */
+const EVENTS = ['open', 'message', 'error', 'close'];
+
+/**
+ * Stands in for a WebSocket or EventSource so the underlying connection
+ * can be opened once the interceptors have run and reopened with a fresh token
+ */
+class SalteAuthConnection {
+  /**
+   * Intercepts and opens the connection
+   * @param {Function} Type the original WebSocket or EventSource constructor
+   * @param {('websocket'|'eventsource')} type the type of connection
+   * @param {String} url the url to connect to
+   * @param {String|Array<String>|Object} [options] the WebSocket protocols or EventSource options
+   * @param {SalteAuthUtilities} utilities the utilities that own this connection
+   */
+  constructor(Type, type, url, options, utilities) {
+    /** @ignore */
+    this.$Type = Type;
+    /** @ignore */
+    this.$type = type;
+    /** @ignore */
+    this.$url = String(url);
+    /** @ignore */
+    this.$options = options;
+    /** @ignore */
+    this.$utilities = utilities;
+    /** @ignore */
+    this.$listeners = {};
+    /** @ignore */
+    this.$socket = null;
+    /** @ignore */
+    this.$closed = false;
+
+    /** @type {Function} */
+    this.onopen = null;
+    /** @type {Function} */
+    this.onmessage = null;
+    /** @type {Function} */
+    this.onerror = null;
+    /** @type {Function} */
+    this.onclose = null;
+
+    this.$$connect();
+  }
+
+  /**
+   * The url that was requested, this excludes any tokens added by the interceptors
+   * @type {String}
+   */
+  get url() {
+    return this.$url;
+  }
+
+  /**
+   * The state of the underlying connection, reconnecting connections are reported as connecting
+   * @type {Number}
+   */
+  get readyState() {
+    if (this.$socket) return this.$socket.readyState;
+
+    return this.$closed ? this.$Type.CLOSED : this.$Type.CONNECTING;
+  }
+
+  /**
+   * The subprotocol selected by the server
+   * @type {String}
+   */
+  get protocol() {
+    return this.$socket ? this.$socket.protocol : '';
+  }
+
+  /**
+   * The extensions selected by the server
+   * @type {String}
+   */
+  get extensions() {
+    return this.$socket ? this.$socket.extensions : '';
+  }
+
+  /**
+   * The number of bytes that have been queued but not yet sent
+   * @type {Number}
+   */
+  get bufferedAmount() {
+    return this.$socket ? this.$socket.bufferedAmount : 0;
+  }
+
+  /**
+   * The type of binary data being received
+   * @type {String}
+   */
+  get binaryType() {
+    return this.$binaryType || 'blob';
+  }
+
+  set binaryType(binaryType) {
+    /** @ignore */
+    this.$binaryType = binaryType;
+    if (this.$socket) {
+      this.$socket.binaryType = binaryType;
+    }
+  }
+
+  /**
+   * Whether the EventSource was opened with credentials
+   * @type {Boolean}
+   */
+  get withCredentials() {
+    return Boolean(this.$options && this.$options.withCredentials);
+  }
+
+  /**
+   * Runs the interceptors and opens the underlying connection
+   * @return {Promise} a promise that resolves once the connection has been created
+   * @private
+   */
+  $$connect() {
+    const protocols = this.$type === 'websocket' && this.$options ? [].concat(this.$options) : [];
+    const request = {
+      type: this.$type,
+      url: this.$url,
+      protocols: protocols.slice()
+    };
+
+    const promises = [];
+    const interceptors = this.$utilities.$interceptors.realtime;
+    for (let i = 0; i < interceptors.length; i++) {
+      const interceptor = interceptors[i];
+      promises.push(interceptor(request));
+    }
+
+    return Promise.all(promises).then(() => {
+      if (this.$closed) return;
+
+      // NOTE: Only connections with a token need to be reconnected when it's refreshed.
+      if (request.url !== this.$url || request.protocols.join(',') !== protocols.join(',')) {
+        this.$$track();
+      } else {
+        this.$$release();
+      }
+
+      let socket;
+      if (this.$type === 'websocket') {
+        socket = request.protocols.length ? new this.$Type(request.url, request.protocols) : new this.$Type(request.url);
+        if (this.$binaryType) {
+          socket.binaryType = this.$binaryType;
+        }
+      } else {
+        socket = this.$options ? new this.$Type(request.url, this.$options) : new this.$Type(request.url);
+      }
+
+      this.$$listen(socket);
+    }).catch((error) => {
+      logger('Failed to open the connection...', error);
+      this.$closed = true;
+      this.$$release();
+
+      const event = document.createEvent('Event');
+      event.initEvent('error', false, true);
+      event.detail = error;
+      this.$$dispatch(event);
+    });
+  }
+
+  /**
+   * Forwards the events of the given socket while it's the active socket
+   * @param {WebSocket|EventSource} socket the socket to listen to
+   * @private
+   */
+  $$listen(socket) {
+    /** @ignore */
+    this.$socket = socket;
+    /**
+     * Forwards the events of the active socket
+     * @param {Event} event the event to forward
+     * @ignore
+     */
+    this.$forward = (event) => {
+      // NOTE: Sockets we've replaced are still closing, the app shouldn't hear about that.
+      if (socket !== this.$socket) return;
+
+      if (socket.readyState === this.$Type.CLOSED) {
+        this.$$release();
+      }
+
+      this.$$dispatch(event);
+    };
+
+    const types = EVENTS.concat(Object.keys(this.$listeners));
+    for (let i = 0; i < types.length; i++) {
+      if (types.indexOf(types[i]) === i) {
+        socket.addEventListener(types[i], this.$forward);
+      }
+    }
+  }
+
+  /**
+   * Invokes the event handler and listeners for the given event
+   * @param {Event} event the event to dispatch
+   * @private
+   */
+  $$dispatch(event) {
+    const handler = this[`on${event.type}`];
+    if (typeof handler === 'function') {
+      handler.call(this, event);
+    }
+
+    const listeners = (this.$listeners[event.type] || []).slice();
+    for (let i = 0; i < listeners.length; i++) {
+      const listener = listeners[i];
+      if (typeof listener === 'function') {
+        listener.call(this, event);
+      } else {
+        listener.handleEvent(event);
+      }
+    }
+  }
+
+  /**
+   * Tracks the connection so it can be reconnected with a fresh token
+   * @private
+   */
+  $$track() {
+    if (this.$utilities.$connections.indexOf(this) === -1) {
+      this.$utilities.$connections.push(this);
+    }
+  }
+
+  /**
+   * Stops tracking the connection once it can no longer be reconnected
+   * @private
+   */
+  $$release() {
+    const index = this.$utilities.$connections.indexOf(this);
+    if (index !== -1) {
+      this.$utilities.$connections.splice(index, 1);
+    }
+  }
+
+  /**
+   * Listens for an event on the connection
+   * @param {String} type the type of event to listen for
+   * @param {Function|Object} listener the listener to invoke
+   */
+  addEventListener(type, listener) {
+    if (!this.$listeners[type]) {
+      this.$listeners[type] = [];
+
+      // NOTE: EventSource supports custom event types, so the active socket may not be forwarding this one yet.
+      if (this.$socket && EVENTS.indexOf(type) === -1) {
+        this.$socket.addEventListener(type, this.$forward);
+      }
+    }
+
+    if (this.$listeners[type].indexOf(listener) === -1) {
+      this.$listeners[type].push(listener);
+    }
+  }
+
+  /**
+   * Stops listening for an event on the connection
+   * @param {String} type the type of event to stop listening for
+   * @param {Function|Object} listener the listener to remove
+   */
+  removeEventListener(type, listener) {
+    const listeners = this.$listeners[type] || [];
+    const index = listeners.indexOf(listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Sends data over the WebSocket
+   * @param {String|ArrayBuffer|Blob} data the data to send
+   */
+  send(data) {
+    if (!this.$socket) {
+      throw new Error(`The connection isn't open yet. (${this.$url})`);
+    }
+
+    this.$socket.send(data);
+  }
+
+  /**
+   * Closes the connection, it won't be reconnected after this
+   * @param {Number} [code] the WebSocket status code
+   * @param {String} [reason] the reason the WebSocket is being closed
+   */
+  close(code, reason) {
+    this.$closed = true;
+    this.$$release();
+
+    if (!this.$socket) return;
+
+    if (code === undefined) {
+      this.$socket.close();
+    } else {
+      this.$socket.close(code, reason);
+    }
+  }
+
+  /**
+   * Replaces the underlying connection with one that uses a fresh token
+   * @return {Promise} a promise that resolves once the new connection has been created
+   */
+  reconnect() {
+    // NOTE: Connections that are still being intercepted will pick up the fresh token on their own.
+    if (this.$closed || !this.$socket) return Promise.resolve();
+
+    logger(`Reconnecting with a fresh token... (${this.$url})`);
+    const socket = this.$socket;
+    this.$socket = null;
+    socket.close();
+
+    return this.$$connect();
+  }
+}
+
+export { SalteAuthConnection };
+export default SalteAuthConnection;
@@ -1,6 +1,9 @@
 import assign from 'lodash/assign';
+import defaults from 'lodash/defaults';
 import defaultsDeep from 'lodash/defaultsDeep';
+import find from 'lodash/find';
 import get from 'lodash/get';
+import pick from 'lodash/pick';
 import set from 'lodash/set';
 import uuid from 'uuid';
 import debug from 'debug';
@@ -9,6 +12,8 @@ import { Providers } from './salte-auth.providers.js';
 import { SalteAuthProfile } from './salte-auth.profile.js';
 import { SalteAuthUtilities } from './salte-auth.utilities.js';
 import { SalteAuthMixinGenerator } from './salte-auth.mixin.js';
+import { SalteAuthSync } from './salte-auth.sync.js';
+import { SalteAuthSessionMonitor } from './salte-auth.session.js';
 
 /** @ignore */
 const logger = debug('@salte-auth/salte-auth');
@@ -20,6 +25,22 @@ const logger = debug('@salte-auth/salte-auth');
  * @property {Boolean} [state=true] Passing false will disable state validation, leaving you vulnerable to XSRF attacks.
  * @property {Boolean} [azp=true] Passing false will disable azp validation.
  * @property {Boolean} [aud=true] Passing false will disable aud validation.
+ * @property {Boolean} [iss=true] Passing false will disable iss validation.
+ * @property {Boolean} [exp=true] Passing false will allow ID Tokens that have already expired.
+ * @property {Boolean} [nbf=true] Passing false will allow ID Tokens that aren't valid yet.
+ * @property {Boolean} [atHash=true] Passing false will disable at_hash validation of access tokens returned alongside the ID Token.
+ * @property {Boolean} [cHash=true] Passing false will disable c_hash validation of authorization codes returned alongside the ID Token.
+ * @property {Boolean} [iat=true] Passing false will allow ID Tokens that were issued in the future or longer ago than the "maxTokenAge".
+ * @property {Boolean} [signature=false] Passing true will verify the ID Token signature against the identity providers JSON Web Key Set (RS256, PS256 or ES256), requires WebCrypto.
+ */
+
+/**
+ * A secured endpoint that requires an access token with a different audience or scope.
+ * @typedef {Object} Endpoint
+ * @property {String|RegExp} url The url of the endpoint.
+ * @property {String} [scope] The scopes to request, defaults to the configured scope.
+ * @property {String} [audience] The audience to request (e.g. Auth0).
+ * @property {String} [resource] The resource to request (e.g. Azure).
  */
 
 /**
@@ -29,21 +50,66 @@ const logger = debug('@salte-auth/salte-auth');
  * @property {String} [logoutUrl] The redirect url specified in your identity provider for logging out.
  */
 
+/**
+ * The attributes of the cookies used to keep transient state (e.g. the state and nonce) during a login
+ * @typedef {Object} CookieConfig
+ * @property {Boolean} [secure] Only sends the cookies over HTTPS, defaults to true if the page was loaded over HTTPS.
+ * @property {('strict'|'lax'|'none')} [sameSite='lax'] Whether the cookies are sent with cross-site requests, "strict" drops them when the identity provider redirects back.
+ * @property {String} [path='/'] The path the cookies are scoped to.
+ * @property {String} [domain] The domain the cookies are scoped to, defaults to the current host.
+ * @property {Number} [expires] A number of miliseconds the cookies last, defaults to the end of the browser session.
+ */
+
+/**
+ * A custom storage backend, each method may return a promise
+ * @typedef {Object} StorageAdapter
+ * @property {Function} getItem Retrieves the value of the given key.
+ * @property {Function} setItem Stores the value of the given key.
+ * @property {Function} removeItem Removes the value of the given key.
+ * @property {Function} keys Retrieves every stored key.
+ */
+
+/**
+ * The configuration for authenticating WebSocket and EventSource connections
+ * @typedef {Object} RealtimeConfig
+ * @property {('query'|'subprotocol')} [type='query'] How to attach the access token, EventSource connections always use a query parameter since they don't support subprotocols.
+ * @property {String} [name='access_token'] The name of the query parameter, or the subprotocol sent ahead of the access token (e.g. `['access_token', accessToken]`).
+ */
+
 /**
  * The configuration for salte auth
  * @typedef {Object} Config
  * @property {String} providerUrl The base url of your identity provider.
- * @property {('id_token'|'id_token token'|'code')} responseType The response type to authenticate with.
+ * @property {String} [name] Creates a separate instance with its own storage and interceptors, allowing multiple clients or identity providers on one page.
+ * @property {('id_token'|'id_token token'|'code'|'code id_token'|'code token'|'code id_token token')} responseType The response type to authenticate with. The hybrid response types ("code id_token", etc.) leave the code on the profile for your backend to redeem.
+ * @property {Boolean} [pkce=false] Exchanges the authorization code for tokens using PKCE, only applies to the 'code' response type.
  * @property {String|RedirectURLs} redirectUrl The redirect url specified in your identity provider.
  * @property {String} clientId The client id of your identity provider
  * @property {String} scope A list of space-delimited claims used to determine what user information is provided and what access is given. Most providers require 'openid'.
  * @property {Boolean|Array<String>} routes A list of secured routes. If true is provided then all routes are secured.
- * @property {Array<String|RegExp>} endpoints A list of secured endpoints.
- * @property {('auth0'|'azure'|'cognito'|'wso2'|'okta')} provider The identity provider you're using.
+ * @property {Array<String|RegExp|Endpoint>} endpoints A list of secured endpoints, endpoints with their own audience, resource, or scope are given separate access tokens.
+ * @property {('auth0'|'azure'|'cognito'|'wso2'|'okta'|'openid')} provider The identity provider you're using.
+ * @property {Boolean} [fetchUserInfo=false] Retrieves the users claims from the userinfo endpoint after logging in and merges them into `profile.userInfo`.
+ * @property {Boolean} [discovery=false] Retrieves the identity providers endpoints from `${providerUrl}/.well-known/openid-configuration`.
  * @property {('iframe'|'redirect'|false)} [loginType='iframe'] The automated login type to use.
  * @property {Function} [redirectLoginCallback] A callback that is invoked when a redirect login fails or succeeds.
- * @property {('session'|'local')} [storageType='session'] The Storage api to keep authenticate information stored in.
+ * @property {('session'|'local'|'memory'|'indexeddb'|StorageAdapter)} [storageType='session'] Where to keep the authentication information, "memory" doesn't survive page loads (so it can't be used with redirect logins) and "indexeddb" or custom adapters are loaded asynchronously.
+ * @property {('cookie'|'session')} [transientStorageType='cookie'] Where to keep the transient state (e.g. the state and nonce) during a login, "session" keeps it out of cookies entirely.
+ * @property {CookieConfig} [cookie] The attributes of the cookies used to keep transient state.
+ * @property {String} [namespace='salte.auth'] The prefix of every stored key, named instances append their name to it (e.g. `salte.auth:admin`).
+ * @property {Function} [migrate] Invoked with the previous schema version and the profile when stored sessions are upgraded, allowing you to carry custom values forward.
+ * @property {Boolean} [encryption=false] Encrypts the stored values with a non-extractable key kept in IndexedDB, values are then loaded asynchronously.
+ * @property {Boolean} [sync=true] Keeps every tab in sync when logging in, refreshing, or logging out, only applies to the 'local' storage type.
+ * @property {Boolean} [sessionMonitor=false] Watches the identity providers "check_session_iframe" for the user logging out elsewhere, requires discovery.
+ * @property {Number} [sessionMonitorInterval=3000] A number of miliseconds between each session check.
+ * @property {String} [frontChannelLogoutUrl] The front-channel logout uri specified in your identity provider, loading it clears the matching session and notifies the other tabs. Requires the 'local' storage type with "sync" enabled, since the logout is received in an iframe that can't access the sessionStorage of your tabs.
  * @property {Boolean|Validation} [validation] Used to disable certain security validations if your provider doesn't support them.
+ * @property {String} [issuer] The issuer to validate ID Tokens against, defaults to the discovered issuer if discovery is enabled.
+ * @property {Number} [clockSkew=0] A number of miliseconds the local clock is allowed to drift from the identity provider. Tokens are treated as expired this much sooner.
+ * @property {Number} [clockTolerance=300000] A number of miliseconds the local clock is allowed to drift from the identity provider when validating the "nbf" and "iat" of ID Tokens, this is in addition to the "clockSkew".
+ * @property {Number} [maxTokenAge=300000] A number of miliseconds after being issued that an ID Token will still be accepted.
+ * @property {Boolean} [retryUnauthorized=false] Renews the access token and replays fetch and XMLHttpRequest requests once if a secured endpoint responds with a 401 "invalid_token" challenge, any scopes named in the challenge are requested as well. Cross-origin endpoints need to send `Access-Control-Expose-Headers: WWW-Authenticate`, otherwise the challenge can't be read.
+ * @property {Boolean|RealtimeConfig} [realtime=false] Attaches the access token to WebSocket and EventSource connections to the secured endpoints and reconnects them with a fresh token after each refresh.
  * @property {Boolean} [autoRefresh=true] Automatically refreshes the users token upon switching tabs or one minute prior to expiration.
  * @property {Number} [autoRefreshBuffer=60000] A number of miliseconds before token expiration to refresh.
  * @property {Object} [queryParams] A key-value set of additional query params to attached to the login request.
@@ -55,6 +121,14 @@ const logger = debug('@salte-auth/salte-auth');
  * @property {Boolean} [noPrompt=false] Disables login prompts, this should only be used for token renewal!
  * @property {(false|'errors'|'all')} [clear='all'] Whether to clear "all" profile information, only "errors", or nothing.
  * @property {Boolean} [events=true] Whether events should be fired off if the login is successful or not.
+ * @property {String} [scope] The scopes to request, defaults to the scopes that have already been granted.
+ */
+
+/**
+ * The configuration for requesting additional scopes
+ * @typedef {Object} ScopeConfig
+ * @property {Boolean} [interactive=false] Whether the user can be prompted to consent, otherwise the scopes are requested silently.
+ * @property {('iframe'|'popup'|'tab'|'redirect')} [type='popup'] The login type to use when prompting the user.
  */
 
 /**
@@ -66,8 +140,9 @@ class SalteAuth {
    * @param {Config} config configuration for salte auth
    */
   constructor(config) {
-    if (window.salte.auth) {
-      return window.salte.auth;
+    const instance = config && config.name ? get(window, ['salte', 'instances', config.name]) : window.salte.auth;
+    if (instance) {
+      return instance;
     }
 
     if (!config) {
@@ -118,6 +193,7 @@ class SalteAuth {
      * @type {SalteAuthProfile}
      */
     this.profile = new SalteAuthProfile(this.$config);
+    this.profile.$$userInfoEndpoint = () => this.$userInfoEndpoint;
 
     /**
      * A mixin built for Web Components
@@ -135,95 +211,202 @@ class SalteAuth {
      */
     this.mixin = SalteAuthMixinGenerator(this);
 
-    if (this.$utilities.$iframe) {
-      logger('Detected iframe, removing...');
-      this.profile.$parseParams();
-      parent.document.body.removeChild(this.$utilities.$iframe);
+    if (this.$frontChannelLogout) {
+      logger('Front-channel logout detected!');
+      this.$$frontChannelLogout();
+    } else if (this.$utilities.$iframe) {
+      logger('Detected iframe, sending the response to the parent...');
+      this.$utilities.$respond(parent, this.profile.$getParams());
     } else if (this.$utilities.$popup) {
-      logger('Popup detected!');
+      logger('Popup detected, sending the response to the opener...');
+      this.$utilities.$respond(window.opener, this.profile.$getParams());
     } else if (this.profile.$redirectUrl && location.href !== this.profile.$redirectUrl) {
       logger('Redirect detected!');
+      this.$$sync();
       this.profile.$parseParams();
-      const error = this.profile.$validate();
 
       // Delay for an event loop to give users time to register a listener.
       setTimeout(() => {
-        const action = this.profile.$actions(this.profile.$state);
-
-        if (error) {
-          this.profile.$clear();
-        } else {
-          logger(`Navigating to Redirect URL... (${this.profile.$redirectUrl})`);
-          this.$utilities.$navigate(this.profile.$redirectUrl);
+        this.profile.$ready.then(() => {
+          return this.$$exchangeCode();
+        }).then(() => {
+          return this.$$verifySignature();
+        }).then(() => {
+          return this.profile.$validate() || this.$$fetchUserInfo();
+        }).catch((error) => error).then((error) => {
+          const action = this.profile.$actions(this.profile.$state);
+
+          if (error) {
+            this.profile.$clear();
+            return { action, error };
+          }
+
+          const redirectUrl = this.profile.$redirectUrl;
           this.profile.$redirectUrl = undefined;
-        }
-
-        if (action === 'login') {
-          this.$fire('login', error || null, this.profile.code || this.profile.userInfo);
-        } else if (action === 'logout') {
-          this.$fire('logout', error);
-        }
 
-        // TODO(v3.0.0): Remove the `redirectLoginCallback` api from `salte-auth`.
-        this.$config.redirectLoginCallback && this.$config.redirectLoginCallback(error);
+          // NOTE: Asynchronous storage may still be writing the tokens, navigating before then would lose them.
+          return this.profile.$flush().then(() => {
+            logger(`Navigating to Redirect URL... (${redirectUrl})`);
+            this.$utilities.$navigate(redirectUrl);
+            return { action };
+          }, (error) => ({ action, error }));
+        }).then(({ action, error }) => {
+          if (action === 'login') {
+            this.$fire('login', error || null, this.profile.$loginResponse);
+          } else if (action === 'logout') {
+            this.$fire('logout', error);
+          }
+
+          // TODO(v3.0.0): Remove the `redirectLoginCallback` api from `salte-auth`.
+          this.$config.redirectLoginCallback && this.$config.redirectLoginCallback(error);
+        });
       });
     } else {
+      this.$$sync();
+
+      if (this.$config.discovery) {
+        logger('Retrieving the discovery document...');
+        this.$$discover().catch((error) => {
+          logger('Failed to retrieve the discovery document...', error);
+        });
+      }
+
       logger('Setting up interceptors...');
       this.$utilities.addXHRInterceptor((request, data) => {
-        if (this.$config.responseType !== 'code' && this.$utilities.checkForMatchingUrl(request.$url, this.$config.endpoints)) {
-          return this.retrieveAccessToken().then((accessToken) => {
+        const endpoint = this.$utilities.findMatchingUrl(request.$url, this.$config.endpoints);
+        if ((this.$config.responseType !== 'code' || this.profile.$pkce) && endpoint) {
+          return this.retrieveAccessToken(endpoint).then((accessToken) => {
             request.setRequestHeader('Authorization', `Bearer ${accessToken}`);
           });
         }
       });
 
       this.$utilities.addFetchInterceptor((request) => {
-        if (this.$config.responseType !== 'code' && this.$utilities.checkForMatchingUrl(request.url, this.$config.endpoints)) {
-          return this.retrieveAccessToken().then((accessToken) => {
+        const endpoint = this.$utilities.findMatchingUrl(request.url, this.$config.endpoints);
+        if ((this.$config.responseType !== 'code' || this.profile.$pkce) && endpoint) {
+          return this.retrieveAccessToken(endpoint).then((accessToken) => {
             request.headers.set('Authorization', `Bearer ${accessToken}`);
           });
         }
       });
 
+      if (this.$config.retryUnauthorized) {
+        // NOTE: Fetch requests are cloned in case they're replayed, so we only register these if they're needed.
+        this.$utilities.addXHRRetryInterceptor((request, challenge) => this.$$retryUnauthorized(request.$url, challenge));
+        this.$utilities.addFetchRetryInterceptor((request, challenge) => this.$$retryUnauthorized(request.url, challenge));
+      }
+
+      this.$utilities.addRealtimeInterceptor((request) => {
+        const endpoint = this.$utilities.findMatchingUrl(request.url, this.$config.endpoints);
+        if (this.$config.realtime && (this.$config.responseType !== 'code' || this.profile.$pkce) && endpoint) {
+          const { type, name } = defaults({}, this.$config.realtime, {
+            type: 'query',
+            name: 'access_token'
+          });
+
+          return this.retrieveAccessToken(endpoint).then((accessToken) => {
+            if (type === 'subprotocol' && request.type === 'websocket') {
+              request.protocols.push(name, accessToken);
+            } else {
+              request.url = this.$utilities.createUrl(request.url, {
+                [name]: accessToken
+              });
+            }
+          });
+        }
+      });
+
+      /**
+       * The bound DOM event listeners, kept so they can be removed
+       * @ignore
+       */
+      this.$$domListeners = {
+        route: this.$$onRouteChanged.bind(this),
+        visibility: this.$$onVisibilityChanged.bind(this)
+      };
+
       logger('Setting up route change detectors...');
-      window.addEventListener('popstate', this.$$onRouteChanged.bind(this), { passive: true });
-      document.addEventListener('click', this.$$onRouteChanged.bind(this), { passive: true });
-      setTimeout(this.$$onRouteChanged.bind(this));
+      window.addEventListener('popstate', this.$$domListeners.route, { passive: true });
+      document.addEventListener('click', this.$$domListeners.route, { passive: true });
+      this.$timeouts.route = setTimeout(this.$$domListeners.route);
 
       logger('Setting up automatic renewal of token...');
       this.on('login', (error) => {
         if (error) return;
 
         this.$$refreshToken();
+        this.$$monitorSession();
+      });
+
+      this.on('refresh', (error, data) => {
+        if (error) return;
+
+        this.$$refreshToken();
+        this.$$monitorSession();
+
+        // NOTE: The refresh event is fired without data when auto refresh is disabled, there's no fresh token to reconnect with.
+        if (this.$config.realtime && data) {
+          logger('Reconnecting the realtime connections...');
+          this.$utilities.reconnect();
+        }
       });
 
-      this.on('refresh', (error) => {
+      this.on('session-changed', (error) => {
         if (error) return;
 
         this.$$refreshToken();
+        this.$$monitorSession();
       });
 
       this.on('logout', () => {
         clearTimeout(this.$timeouts.refresh);
+        this.$session && this.$session.stop();
       });
 
-      if (!this.profile.idTokenExpired) {
+      const resume = () => {
+        // NOTE: The instance may have been destroyed while we were waiting on the storage.
+        if (this.$$destroyed || (this.profile.idTokenExpired && !this.profile.$refreshToken)) return;
+
         this.$$refreshToken();
+        this.$$discover().catch(() => null).then(() => {
+          if (this.$$destroyed) return;
+
+          this.$$monitorSession();
+        });
+      };
+
+      if (this.profile.$hydrated) {
+        resume();
+      } else {
+        logger('Waiting for the stored session to load...');
+        this.profile.$ready.then(resume);
       }
 
-      document.addEventListener('visibilitychange', this.$$onVisibilityChanged.bind(this), {
+      document.addEventListener('visibilitychange', this.$$domListeners.visibility, {
         passive: true
       });
 
       this.$fire('create', null, this);
     }
 
-    // TODO(v3.0.0): Revoke singleton status from `salte-auth`.
-    window.salte.auth = this;
+    if (this.$config.name) {
+      set(window, ['salte', 'instances', this.$config.name], this);
+    } else {
+      // TODO(v3.0.0): Revoke singleton status from `salte-auth`.
+      window.salte.auth = this;
+    }
 
     if (this.$config.redirectLoginCallback) {
       console.warn(`The "redirectLoginCallback" api has been deprecated in favor of the "on" api, see http://bit.ly/salte-auth-on for more info.`);
     }
+
+    if (this.$config.storageType === 'memory' && this.$config.loginType === 'redirect') {
+      console.warn(`The "redirect" loginType can't be used with the "memory" storageType, since it doesn't survive the redirect.`);
+    }
+
+    if (this.$config.frontChannelLogoutUrl && (this.$config.storageType !== 'local' || this.$config.sync === false)) {
+      console.warn(`The "frontChannelLogoutUrl" requires the "local" storageType with "sync" enabled, otherwise the logout can't reach the session or the other tabs.`);
+    }
   }
 
   /**
@@ -233,6 +416,10 @@ class SalteAuth {
    */
   get $provider() {
     if (!this.$config.provider) {
+      if (this.$config.discovery) {
+        return this.$providers.openid;
+      }
+
       throw new ReferenceError('A provider must be specified');
     }
 
@@ -253,65 +440,305 @@ class SalteAuth {
    * @private
    */
   get $accessTokenUrl() {
-    this.profile.$localState = uuid.v4();
-    this.profile.$nonce = uuid.v4();
+    return this.$$accessTokenUrl();
+  }
 
-    let authorizeEndpoint = `${this.$config.providerUrl}/authorize`;
-    if (this.$provider.authorizeEndpoint) {
-      authorizeEndpoint = this.$provider.authorizeEndpoint.call(this, this.$config);
+  /**
+   * The authentication url to retrieve an access token for the given endpoint
+   * @param {Endpoint} [endpoint] the endpoint that requires its own audience, resource, or scope
+   * @param {String} [state] the state of a request that shouldn't replace the login state
+   * @return {String} the computed access token url
+   * @private
+   */
+  $$accessTokenUrl(endpoint, state) {
+    if (!state) {
+      this.profile.$localState = state = uuid.v4();
+      this.profile.$nonce = uuid.v4();
     }
 
-    return this.$utilities.createUrl(authorizeEndpoint, assign({
-      'state': this.profile.$localState,
+    return this.$utilities.createUrl(this.$authorizeEndpoint, assign({
+      'state': state,
       'nonce': this.profile.$nonce,
       'response_type': 'token',
       'redirect_uri': this.$config.redirectUrl && this.$config.redirectUrl.loginUrl || this.$config.redirectUrl,
       'client_id': this.$config.clientId,
-      'scope': this.$config.scope,
+      'scope': this.profile.$scope || this.$config.scope,
       'prompt': 'none'
-    }, this.$config.queryParams));
+    }, this.$config.queryParams, this.$$endpointParams(endpoint)));
+  }
+
+  /**
+   * The audience, resource, and scope requested by the given endpoint
+   * @param {String|RegExp|Endpoint} [endpoint] the endpoint to retrieve the params from
+   * @return {Object} the params that were provided
+   * @private
+   */
+  $$endpointParams(endpoint) {
+    const params = {};
+    ['audience', 'resource', 'scope'].forEach((name) => {
+      if (endpoint && endpoint[name]) {
+        params[name] = endpoint[name];
+      }
+    });
+    return params;
   }
 
   /**
    * The authentication url to retrieve the id token
    * @param {Boolean} refresh Whether this request is intended to refresh the token.
+   * @param {String} [scope] The scopes to request, defaults to the scopes that have already been granted.
    * @return {String} the computed login url
    * @private
    */
-  $loginUrl(refresh) {
+  $loginUrl(refresh, scope) {
     this.profile.$localState = uuid.v4();
     this.profile.$nonce = uuid.v4();
+    this.profile.$codeVerifier = this.profile.$pkce ? `${uuid.v4()}${uuid.v4()}`.replace(/-/g, '') : undefined;
 
-    let authorizeEndpoint = `${this.$config.providerUrl}/authorize`;
-    if (this.$provider.authorizeEndpoint) {
-      authorizeEndpoint = this.$provider.authorizeEndpoint.call(this, this.$config);
-    }
-
-    return this.$utilities.createUrl(authorizeEndpoint, assign({
+    return this.$utilities.createUrl(this.$authorizeEndpoint, assign({
       'state': this.profile.$localState,
       'nonce': this.profile.$nonce,
       'response_type': this.$config.responseType,
       'redirect_uri': this.$config.redirectUrl && this.$config.redirectUrl.loginUrl || this.$config.redirectUrl,
       'client_id': this.$config.clientId,
-      'scope': this.$config.scope,
-      'prompt': refresh ? 'none' : undefined
+      'scope': scope || this.profile.$scope || this.$config.scope,
+      'prompt': refresh ? 'none' : undefined,
+      'code_challenge': this.profile.$codeVerifier ? this.$utilities.createCodeChallenge(this.profile.$codeVerifier) : undefined,
+      'code_challenge_method': this.profile.$codeVerifier ? 'S256' : undefined
     }, this.$config.queryParams));
   }
 
+  /**
+   * The cached discovery document, only available if discovery is enabled
+   * @type {Object}
+   * @private
+   */
+  get $discovery() {
+    if (!this.$config.discovery) return null;
+
+    const discovery = this.profile.$discovery;
+    if (!discovery || discovery.issuer.replace(/\/$/, '') !== this.$config.providerUrl.replace(/\/$/, '')) {
+      return null;
+    }
+
+    return discovery;
+  }
+
+  /**
+   * Retrieves and caches the OpenID Connect discovery document
+   * @return {Promise<Object>} a promise that resolves with the discovery document
+   * @private
+   *
+   * @see https://openid.net/specs/openid-connect-discovery-1_0.html
+   */
+  $$discover() {
+    if (!this.$config.discovery) {
+      return Promise.resolve(null);
+    }
+
+    if (this.$discovery) {
+      return Promise.resolve(this.$discovery);
+    }
+
+    if (this.$promises.discovery) {
+      return this.$promises.discovery;
+    }
+
+    const providerUrl = this.$config.providerUrl.replace(/\/$/, '');
+    this.$promises.discovery = this.$utilities.getJSON(`${providerUrl}/.well-known/openid-configuration`).then((discovery) => {
+      this.$promises.discovery = null;
+
+      if (!discovery || !discovery.issuer || discovery.issuer.replace(/\/$/, '') !== providerUrl) {
+        return Promise.reject(new Error(`The discovered issuer (${discovery && discovery.issuer}) does not match the providerUrl (${providerUrl}).`));
+      }
+
+      this.profile.$discovery = discovery;
+      return discovery;
+    }).catch((error) => {
+      this.$promises.discovery = null;
+      return Promise.reject(error);
+    });
+
+    return this.$promises.discovery;
+  }
+
+  /**
+   * Resolves an endpoint from the discovery document, falling back to the provider
+   * @param {String} metadataKey the name of the endpoint in the discovery document
+   * @param {String} providerKey the name of the function on the provider that computes the endpoint
+   * @param {String} [defaultEndpoint] the endpoint to use if neither of the others are available
+   * @return {String} the resolved endpoint
+   * @private
+   */
+  $$endpoint(metadataKey, providerKey, defaultEndpoint) {
+    const discovery = this.$discovery;
+    if (discovery && discovery[metadataKey]) {
+      return discovery[metadataKey];
+    }
+
+    if (this.$provider[providerKey]) {
+      return this.$provider[providerKey].call(this, this.$config);
+    }
+
+    return defaultEndpoint || null;
+  }
+
+  /**
+   * The endpoint used to authorize the user
+   * @type {String}
+   * @private
+   */
+  get $authorizeEndpoint() {
+    return this.$$endpoint('authorization_endpoint', 'authorizeEndpoint', `${this.$config.providerUrl}/authorize`);
+  }
+
+  /**
+   * The endpoint used to exchange an authorization code for tokens
+   * @type {String}
+   * @private
+   */
+  get $tokenEndpoint() {
+    return this.$$endpoint('token_endpoint', 'tokenEndpoint', `${this.$config.providerUrl}/token`);
+  }
+
+  /**
+   * The endpoint used to retrieve the users claims
+   * @type {String}
+   * @private
+   */
+  get $userInfoEndpoint() {
+    return this.$$endpoint('userinfo_endpoint', 'userInfoEndpoint');
+  }
+
+  /**
+   * The endpoint used to revoke tokens
+   * @type {String}
+   * @private
+   */
+  get $revocationEndpoint() {
+    return this.$$endpoint('revocation_endpoint', 'revocationEndpoint');
+  }
+
+  /**
+   * Whether the current page is the front-channel logout uri
+   * @type {Boolean}
+   * @private
+   */
+  get $frontChannelLogout() {
+    const { frontChannelLogoutUrl } = this.$config;
+
+    return Boolean(frontChannelLogoutUrl) && this.$utilities.resolveUrl(location.pathname) === this.$utilities.resolveUrl(frontChannelLogoutUrl);
+  }
+
+  /**
+   * The url of the identity providers "check_session_iframe"
+   * @type {String}
+   * @private
+   */
+  get $checkSessionEndpoint() {
+    return this.$$endpoint('check_session_iframe', 'checkSessionEndpoint');
+  }
+
+  /**
+   * The url of the identity providers JSON Web Key Set
+   * @type {String}
+   * @private
+   */
+  get $jwksUri() {
+    return this.$$endpoint('jwks_uri', 'jwksUri');
+  }
+
   /**
    * The url to logout of the configured provider
    * @type {String}
    * @private
    */
   get $deauthorizeUrl() {
-    return this.$provider.deauthorizeUrl.call(this, defaultsDeep(this.$config, {
-      idToken: this.profile.$idToken
-    }));
+    return this.$$createDeauthorizeUrl(this.profile.$idToken);
+  }
+
+  /**
+   * Resolves the url to logout of the configured provider once the discovery document has loaded
+   * @return {Promise<String>} a promise that resolves with the url or rejects if the provider doesn't support logging out
+   * @private
+   */
+  $$resolveDeauthorizeUrl() {
+    // NOTE: The session is cleared before discovery resolves, so the ID Token hint needs to be captured now.
+    const idToken = this.profile.$idToken;
+
+    return this.$$discover().then(() => this.$$createDeauthorizeUrl(idToken));
+  }
+
+  /**
+   * Computes the url to logout of the configured provider
+   * @param {String} idToken the ID Token of the session being logged out
+   * @return {String} the url to logout of the configured provider
+   * @private
+   */
+  $$createDeauthorizeUrl(idToken) {
+    const config = defaultsDeep(this.$config, {
+      idToken
+    });
+
+    const discovery = this.$discovery;
+    if (discovery && discovery.end_session_endpoint) {
+      return this.$utilities.createUrl(discovery.end_session_endpoint, {
+        id_token_hint: config.idToken,
+        post_logout_redirect_uri: config.redirectUrl && config.redirectUrl.logoutUrl || config.redirectUrl,
+        client_id: config.clientId
+      });
+    }
+
+    return this.$provider.deauthorizeUrl.call(this, config);
+  }
+
+  /**
+   * Removes the interceptors, listeners, and timers registered by salte auth and releases the instance.
+   *
+   * @example
+   * auth.destroy(); // Useful when unmounting an app that shares the page with others
+   */
+  destroy() {
+    logger('Destroying the instance...');
+    /** @ignore */
+    this.$$destroyed = true;
+    this.$utilities.destroy();
+
+    if (this.$$domListeners) {
+      window.removeEventListener('popstate', this.$$domListeners.route);
+      document.removeEventListener('click', this.$$domListeners.route);
+      document.removeEventListener('visibilitychange', this.$$domListeners.visibility);
+      this.$$domListeners = null;
+    }
+
+    Object.keys(this.$timeouts).forEach((name) => {
+      clearTimeout(this.$timeouts[name]);
+    });
+    this.$timeouts = {};
+    this.$listeners = {};
+
+    if (this.$sync) {
+      this.$sync.close();
+      this.$sync = null;
+    }
+
+    if (this.$session) {
+      this.$session.stop();
+      this.$session = null;
+    }
+
+    if (this.$config.name) {
+      if (get(window, ['salte', 'instances', this.$config.name]) === this) {
+        delete window.salte.instances[this.$config.name];
+      }
+    } else if (window.salte.auth === this) {
+      delete window.salte.auth;
+    }
   }
 
   /**
    * Listens for an event to be invoked.
-   * @param {('login'|'logout'|'refresh'|'expired')} eventType the event to listen for.
+   * @param {('login'|'logout'|'refresh'|'expired'|'revoked'|'session-changed')} eventType the event to listen for.
    * @param {Function} callback A callback that fires when the specified event occurs.
    *
    * @example
@@ -333,7 +760,7 @@ class SalteAuth {
    * });
    */
   on(eventType, callback) {
-    if (['login', 'logout', 'refresh', 'expired'].indexOf(eventType) === -1) {
+    if (['login', 'logout', 'refresh', 'expired', 'revoked', 'session-changed'].indexOf(eventType) === -1) {
       throw new ReferenceError(`Unknown Event Type (${eventType})`);
     } else if (typeof callback !== 'function') {
       throw new ReferenceError('Invalid callback provided!');
@@ -345,7 +772,7 @@ class SalteAuth {
 
   /**
    * Deregister a callback previously registered.
-   * @param {('login'|'logout'|'refresh'|'expired')} eventType the event to deregister.
+   * @param {('login'|'logout'|'refresh'|'expired'|'revoked'|'session-changed')} eventType the event to deregister.
    * @param {Function} callback A callback that fires when the specified event occurs.
    *
    * @example
@@ -356,7 +783,7 @@ class SalteAuth {
    * auth.off('login', someFunction);
    */
   off(eventType, callback) {
-    if (['login', 'logout', 'refresh', 'expired'].indexOf(eventType) === -1) {
+    if (['login', 'logout', 'refresh', 'expired', 'revoked', 'session-changed'].indexOf(eventType) === -1) {
       throw new ReferenceError(`Unknown Event Type (${eventType})`);
     } else if (typeof callback !== 'function') {
       throw new ReferenceError('Invalid callback provided!');
@@ -428,15 +855,24 @@ class SalteAuth {
       this.profile.$clearErrors();
     }
 
-    this.$promises.login = this.$utilities.createIframe(this.$loginUrl(config.noPrompt), !config.noPrompt, config.timeout).then(() => {
-      this.$promises.login = null;
+    this.$promises.login = this.$$discover().then(() => {
+      return this.$utilities.createIframe(this.$loginUrl(config.noPrompt, config.scope), !config.noPrompt, config.timeout);
+    }).then((params) => {
+      this.profile.$parseTokenResponse(params);
+      return this.$$exchangeCode();
+    }).then(() => {
+      return this.$$verifySignature();
+    }).then(() => {
       const error = this.profile.$validate();
 
       if (error) {
         return Promise.reject(error);
       }
 
-      const response = this.profile.code || this.profile.userInfo;
+      return this.$$fetchUserInfo();
+    }).then(() => {
+      this.$promises.login = null;
+      const response = this.profile.$loginResponse;
       if (config.events) {
         this.$fire('login', null, response);
       }
@@ -454,6 +890,7 @@ class SalteAuth {
 
   /**
    * Authenticates using the popup-based OAuth flow.
+   * @param {LoginConfig} [config] Whether to clear the profile information, fire events, or request specific scopes.
    * @return {Promise<Object>} a promise that resolves when we finish authenticating
    *
    * @example
@@ -463,28 +900,52 @@ class SalteAuth {
    *   console.error('Whoops something went wrong!', error);
    * });
    */
-  loginWithPopup() {
+  loginWithPopup(config) {
     if (this.$promises.login) {
       return this.$promises.login;
     }
 
-    this.profile.$clear();
-    this.$promises.login = this.$utilities.openPopup(this.$loginUrl()).then(() => {
-      this.$promises.login = null;
-      this.profile.$parseParams();
+    config = defaultsDeep(config, {
+      clear: 'all',
+      events: true
+    });
+
+    if (config.clear === 'all') {
+      this.profile.$clear();
+    } else if (config.clear === 'errors') {
+      this.profile.$clearErrors();
+    }
+
+    // NOTE: The window needs to be opened synchronously, otherwise browsers treat it as an unsolicited popup.
+    const url = this.$$discover().then(() => this.$loginUrl(false, config.scope));
+    this.$promises.login = this.$utilities.openPopup(url).then((params) => {
+      this.profile.$parseTokenResponse(params);
+      return this.$$exchangeCode();
+    }).then(() => {
+      return this.$$verifySignature();
+    }).then(() => {
       const error = this.profile.$validate();
 
       if (error) {
-        this.profile.$clear();
+        if (config.clear === 'all') {
+          this.profile.$clear();
+        }
         return Promise.reject(error);
       }
 
-      const response = this.profile.code || this.profile.userInfo;
-      this.$fire('login', null, response);
+      return this.$$fetchUserInfo();
+    }).then(() => {
+      this.$promises.login = null;
+      const response = this.profile.$loginResponse;
+      if (config.events) {
+        this.$fire('login', null, response);
+      }
       return response;
     }).catch((error) => {
       this.$promises.login = null;
-      this.$fire('login', error);
+      if (config.events) {
+        this.$fire('login', error);
+      }
       return Promise.reject(error);
     });
 
@@ -493,6 +954,7 @@ class SalteAuth {
 
   /**
    * Authenticates using the tab-based OAuth flow.
+   * @param {LoginConfig} [config] Whether to clear the profile information, fire events, or request specific scopes.
    * @return {Promise<Object>} a promise that resolves when we finish authenticating
    *
    * @example
@@ -502,43 +964,130 @@ class SalteAuth {
    *   console.error('Whoops something went wrong!', error);
    * });
    */
-  loginWithNewTab() {
+  loginWithNewTab(config) {
     if (this.$promises.login) {
       return this.$promises.login;
     }
 
-    this.profile.$clear();
-    this.$promises.login = this.$utilities.openNewTab(this.$loginUrl()).then(() => {
-      this.$promises.login = null;
-      this.profile.$parseParams();
+    config = defaultsDeep(config, {
+      clear: 'all',
+      events: true
+    });
+
+    if (config.clear === 'all') {
+      this.profile.$clear();
+    } else if (config.clear === 'errors') {
+      this.profile.$clearErrors();
+    }
+
+    // NOTE: The window needs to be opened synchronously, otherwise browsers treat it as an unsolicited popup.
+    const url = this.$$discover().then(() => this.$loginUrl(false, config.scope));
+    this.$promises.login = this.$utilities.openNewTab(url).then((params) => {
+      this.profile.$parseTokenResponse(params);
+      return this.$$exchangeCode();
+    }).then(() => {
+      return this.$$verifySignature();
+    }).then(() => {
       const error = this.profile.$validate();
 
       if (error) {
-        this.profile.$clear();
+        if (config.clear === 'all') {
+          this.profile.$clear();
+        }
         return Promise.reject(error);
       }
 
-      const response = this.profile.code || this.profile.userInfo;
-      this.$fire('login', null, response);
+      return this.$$fetchUserInfo();
+    }).then(() => {
+      this.$promises.login = null;
+      const response = this.profile.$loginResponse;
+      if (config.events) {
+        this.$fire('login', null, response);
+      }
       return response;
     }).catch((error) => {
       this.$promises.login = null;
-      this.$fire('login', error);
+      if (config.events) {
+        this.$fire('login', error);
+      }
       return Promise.reject(error);
     });
 
     return this.$promises.login;
   }
 
+  /**
+   * Requests additional scopes if they haven't already been granted.
+   * @param {Array<String>} scopes The scopes to request.
+   * @param {ScopeConfig} [config] Whether the user can be prompted and how.
+   * @return {Promise<Array<String>>} a promise that resolves with all the granted scopes
+   *
+   * @example
+   * auth.requestScopes(['calendar.write'], { interactive: true }).then((scopes) => {
+   *   console.log(scopes); // This is the same as auth.profile.scopes.
+   * });
+   */
+  requestScopes(scopes, config) {
+    config = defaultsDeep(config, {
+      interactive: false,
+      type: 'popup'
+    });
+
+    const granted = this.profile.scopes;
+    const missing = scopes.filter((scope) => granted.indexOf(scope) === -1);
+    if (!missing.length) {
+      logger('Scopes have already been granted, skipping...');
+      return Promise.resolve(granted);
+    }
+
+    const loginConfig = {
+      scope: granted.concat(missing).join(' '),
+      clear: 'errors',
+      events: false
+    };
+
+    if (config.interactive && config.type === 'redirect') {
+      return this.loginWithRedirect(undefined, loginConfig);
+    }
+
+    // NOTE: Identity providers only return the scope when it differs from what was requested.
+    const previous = this.profile.$scope;
+    this.profile.$scope = undefined;
+
+    let promise;
+    if (!config.interactive) {
+      promise = this.loginWithIframe(assign({ noPrompt: true, timeout: 3000 }, loginConfig));
+    } else if (config.type === 'iframe') {
+      promise = this.loginWithIframe(loginConfig);
+    } else if (config.type === 'popup') {
+      promise = this.loginWithPopup(loginConfig);
+    } else if (config.type === 'tab') {
+      promise = this.loginWithNewTab(loginConfig);
+    } else {
+      this.profile.$scope = previous;
+      return Promise.reject(new ReferenceError(`Invalid Login Type (${config.type})`));
+    }
+
+    return promise.then((user) => {
+      this.profile.$scope = this.profile.$scope || loginConfig.scope;
+      this.$fire('refresh', null, user);
+      return this.profile.scopes;
+    }).catch((error) => {
+      this.profile.$scope = previous;
+      return Promise.reject(error);
+    });
+  }
+
   /**
    * Authenticates using the redirect-based OAuth flow.
    * @param {String} redirectUrl override for the redirect url, by default this will try to redirect the user back where they started.
+   * @param {LoginConfig} [config] The scopes to request, the other options are not supported since the page is unloaded.
    * @return {Promise} a promise intended to block future login attempts.
    *
    * @example
    * auth.loginWithRedirect(); // Don't bother with utilizing the promise here, it never resolves.
    */
-  loginWithRedirect(redirectUrl) {
+  loginWithRedirect(redirectUrl, config) {
     if (this.$config.redirectLoginCallback) {
       console.warn(`The "redirectLoginCallback" api has been deprecated in favor of the "on" api, see http://bit.ly/salte-auth-on for more info.`);
     }
@@ -547,6 +1096,12 @@ class SalteAuth {
       return this.$promises.login;
     }
 
+    if (this.$config.storageType === 'memory') {
+      const error = new ReferenceError(`Redirect logins can't be used with the "memory" storageType, since it doesn't survive the redirect.`);
+      this.$fire('login', error);
+      return Promise.reject(error);
+    }
+
     // NOTE: This prevents the other login types from racing "loginWithRedirect".
     // Without this someone could potentially call login somewhere else before
     // the app has a change to redirect. Which could result in an invalid state.
@@ -554,10 +1109,20 @@ class SalteAuth {
 
     this.profile.$clear();
     this.profile.$redirectUrl = redirectUrl && this.$utilities.resolveUrl(redirectUrl) || this.profile.$redirectUrl || location.href;
-    const url = this.$loginUrl();
+    // NOTE: Identity providers only return the scope when it differs from what was requested.
+    this.profile.$scope = config && config.scope;
 
-    this.profile.$actions(this.profile.$localState, 'login');
-    this.$utilities.$navigate(url);
+    this.$$discover().then(() => {
+      const url = this.$loginUrl(false, config && config.scope);
+
+      this.profile.$actions(this.profile.$localState, 'login');
+      return this.profile.$flush().then(() => {
+        this.$utilities.$navigate(url);
+      });
+    }).catch((error) => {
+      this.$promises.login = null;
+      this.$fire('login', error);
+    });
 
     return this.$promises.login;
   }
@@ -578,10 +1143,16 @@ class SalteAuth {
       return this.$promises.logout;
     }
 
-    const deauthorizeUrl = this.$deauthorizeUrl;
+    const deauthorizeUrl = this.$$resolveDeauthorizeUrl();
+    const tokens = this.$revocableTokens;
     this.profile.$clear();
 
-    this.$promises.logout = this.$utilities.createIframe(deauthorizeUrl).then(() => {
+    this.$promises.logout = Promise.all([
+      deauthorizeUrl,
+      this.$$revokeTokens(tokens)
+    ]).then(([url]) => {
+      return this.$utilities.createIframe(url);
+    }).then(() => {
       this.$promises.logout = null;
       this.$fire('logout');
     }).catch((error) => {
@@ -608,10 +1179,15 @@ class SalteAuth {
       return this.$promises.logout;
     }
 
-    const deauthorizeUrl = this.$deauthorizeUrl;
+    const deauthorizeUrl = this.$$resolveDeauthorizeUrl();
+    const tokens = this.$revocableTokens;
     this.profile.$clear();
 
-    this.$promises.logout = this.$utilities.openPopup(deauthorizeUrl).then(() => {
+    // NOTE: The window needs to be opened synchronously, otherwise browsers treat it as an unsolicited popup.
+    this.$promises.logout = Promise.all([
+      this.$utilities.openPopup(deauthorizeUrl),
+      this.$$revokeTokens(tokens)
+    ]).then(() => {
       this.$promises.logout = null;
       this.$fire('logout');
     }).catch((error) => {
@@ -639,10 +1215,15 @@ class SalteAuth {
       return this.$promises.logout;
     }
 
-    const deauthorizeUrl = this.$deauthorizeUrl;
+    const deauthorizeUrl = this.$$resolveDeauthorizeUrl();
+    const tokens = this.$revocableTokens;
     this.profile.$clear();
 
-    this.$promises.logout = this.$utilities.openNewTab(deauthorizeUrl).then(() => {
+    // NOTE: The window needs to be opened synchronously, otherwise browsers treat it as an unsolicited popup.
+    this.$promises.logout = Promise.all([
+      this.$utilities.openNewTab(deauthorizeUrl),
+      this.$$revokeTokens(tokens)
+    ]).then(() => {
       this.$promises.logout = null;
       this.$fire('logout');
     }).catch((error) => {
@@ -656,20 +1237,242 @@ class SalteAuth {
 
   /**
    * Logs the user out of their configured identity provider.
+   * @return {Promise} a promise that resolves once we've started navigating to the identity provider
    *
    * @example
    * auth.logoutWithRedirect();
    */
   logoutWithRedirect() {
-    const deauthorizeUrl = this.$deauthorizeUrl;
+    const deauthorizeUrl = this.$$resolveDeauthorizeUrl();
+    const tokens = this.$revocableTokens;
     this.profile.$clear();
 
     this.profile.$actions(this.profile.$localState, 'logout');
-    this.$utilities.$navigate(deauthorizeUrl);
+    return Promise.all([
+      deauthorizeUrl,
+      this.$$revokeTokens(tokens).then(() => this.profile.$flush())
+    ]).then(([url]) => {
+      this.$utilities.$navigate(url);
+    });
+  }
+
+  /**
+   * The tokens that should be revoked when logging out, keyed by their "token_type_hint"
+   * @type {Object}
+   * @private
+   */
+  get $revocableTokens() {
+    return {
+      refresh_token: this.profile.$refreshToken,
+      access_token: this.profile.$accessToken
+    };
+  }
+
+  /**
+   * Revokes the given tokens if the identity provider has a revocation endpoint.
+   * @param {Object} tokens the tokens to revoke, keyed by their "token_type_hint"
+   * @return {Promise} a promise that resolves once the tokens have been revoked, failures are reported via the "revoked" event.
+   * @private
+   *
+   * @see https://tools.ietf.org/html/rfc7009
+   */
+  $$revokeTokens(tokens) {
+    const revocationEndpoint = this.$revocationEndpoint;
+    const hints = Object.keys(tokens).filter((hint) => tokens[hint]);
+
+    if (!revocationEndpoint || !hints.length) {
+      return Promise.resolve();
+    }
+
+    logger('Revoking tokens...');
+    return Promise.all(hints.map((hint) => {
+      return this.$utilities.sendForm(revocationEndpoint, {
+        token: tokens[hint],
+        token_type_hint: hint,
+        client_id: this.$config.clientId
+      }).then((response) => {
+        if (!response.ok) {
+          return Promise.reject(new Error(`Failed to revoke the ${hint} (${response.status}).`));
+        }
+      });
+    })).then(() => {
+      this.$fire('revoked');
+    }).catch((error) => {
+      logger('Failed to revoke the tokens...', error);
+      this.$fire('revoked', error);
+    });
+  }
+
+  /**
+   * Retrieves the users claims from the userinfo endpoint if enabled.
+   * @return {Promise} a promise that resolves once the claims have been merged, failures are logged and otherwise ignored.
+   * @private
+   */
+  $$fetchUserInfo() {
+    if (!this.$config.fetchUserInfo || !this.profile.$accessToken) {
+      return Promise.resolve();
+    }
+
+    return this.profile.fetchUserInfo().catch((error) => {
+      logger('Failed to retrieve the user info...', error);
+    });
+  }
+
+  /**
+   * Exchanges the authorization code for tokens when PKCE is enabled.
+   * @return {Promise} a promise that resolves once the token response has been parsed.
+   * @private
+   */
+  $$exchangeCode() {
+    if (!this.profile.$pkce || !this.profile.code || this.profile.$error) {
+      return Promise.resolve();
+    }
+
+    // NOTE: Never redeem a code that we can't prove was issued for our own request.
+    if (this.$config.validation && this.$config.validation.state && this.profile.$localState !== this.profile.$state) {
+      const error = {
+        code: 'invalid_state',
+        description: 'State provided by identity provider did not match local state.'
+      };
+
+      return Promise.reject(error);
+    }
+
+    const code = this.profile.code;
+    const codeVerifier = this.profile.$codeVerifier;
+
+    // Authorization codes are single use, so there's no point in holding onto them.
+    this.profile.code = undefined;
+    this.profile.$codeVerifier = undefined;
+
+    logger('Exchanging the authorization code for tokens...');
+    return this.$utilities.postForm(this.$tokenEndpoint, {
+      'grant_type': 'authorization_code',
+      'code': code,
+      'redirect_uri': this.$config.redirectUrl && this.$config.redirectUrl.loginUrl || this.$config.redirectUrl,
+      'client_id': this.$config.clientId,
+      'code_verifier': codeVerifier
+    }).then((response) => {
+      this.profile.$parseTokenResponse(response);
+    });
+  }
+
+  /**
+   * Verifies the signature of the current ID Token if signature validation is enabled.
+   *
+   * The result is picked up by {@link SalteAuthProfile#$validate}.
+   * @return {Promise} a promise that resolves once the signature has been checked.
+   * @private
+   */
+  $$verifySignature() {
+    const idToken = this.profile.$idToken;
+    if (!this.$config.validation || !this.$config.validation.signature || !idToken || this.profile.$$verifiedIdToken === idToken) {
+      return Promise.resolve();
+    }
+
+    let header;
+    try {
+      header = JSON.parse(this.$utilities.base64UrlDecode(idToken.split('.')[0]));
+    } catch (error) {
+      logger('Failed to parse the ID Token header...', error);
+      return Promise.resolve();
+    }
+
+    return this.$$signingKey(header).then((jwk) => {
+      return jwk ? this.$utilities.verifySignature(idToken, jwk) : false;
+    }).then((verified) => {
+      if (verified) {
+        this.profile.$$verifiedIdToken = idToken;
+      }
+    });
+  }
+
+  /**
+   * Finds the key the identity provider used to sign a token
+   * @param {Object} header the header of the token
+   * @param {Boolean} refresh whether the cached key set should be ignored
+   * @return {Promise<Object>} a promise that resolves with the matching JSON Web Key, or null
+   * @private
+   */
+  $$signingKey(header, refresh) {
+    return this.$$jwks(refresh).then((jwks) => {
+      const jwk = find(jwks && jwks.keys, (key) => {
+        return (!header.kid || key.kid === header.kid) && (!key.use || key.use === 'sig');
+      });
+
+      if (!jwk && !refresh) {
+        logger('Signing key not found, the keys may have been rotated...');
+        return this.$$signingKey(header, true);
+      }
+
+      return jwk || null;
+    });
+  }
+
+  /**
+   * Retrieves and caches the identity providers JSON Web Key Set
+   * @param {Boolean} refresh whether the cached key set should be ignored
+   * @return {Promise<Object>} a promise that resolves with the JSON Web Key Set
+   * @private
+   */
+  $$jwks(refresh) {
+    const jwks = this.profile.$jwks;
+    if (jwks && !refresh) {
+      return Promise.resolve(jwks);
+    }
+
+    const jwksUri = this.$jwksUri;
+    if (!jwksUri) {
+      return Promise.reject(new ReferenceError('Unable to verify signatures without a "jwks_uri", enable discovery or use a provider that supports it.'));
+    }
+
+    logger('Retrieving the JSON Web Key Set...');
+    return this.$utilities.getJSON(jwksUri).then((jwks) => {
+      this.profile.$jwks = jwks;
+      return jwks;
+    });
+  }
+
+  /**
+   * Renews the users tokens using the refresh token grant.
+   * @return {Promise<Object>} a promise that resolves with the user once the new tokens have been parsed.
+   * @private
+   */
+  $$redeemRefreshToken() {
+    logger('Redeeming the refresh token...');
+    this.profile.$clearErrors();
+
+    return this.$utilities.postForm(this.$tokenEndpoint, {
+      'grant_type': 'refresh_token',
+      'refresh_token': this.profile.$refreshToken,
+      'client_id': this.$config.clientId
+    }).then((response) => {
+      // NOTE: Providers that rotate refresh tokens will return a new one here,
+      // which replaces the one we just redeemed.
+      this.profile.$parseTokenResponse(response);
+
+      if (this.profile.$error === 'invalid_grant') {
+        const error = {
+          code: this.profile.$error,
+          description: this.profile.$errorDescription
+        };
+
+        logger('Refresh token was rejected, ending the session...');
+        this.profile.$clear();
+        this.$fire('expired');
+        this.$fire('logout');
+        return Promise.reject(error);
+      }
+
+      return this.profile.$loginResponse;
+    });
   }
 
   /**
    * Refreshes the users tokens and renews their session.
+   *
+   * If the identity provider issued a refresh token (PKCE only) it will be redeemed,
+   * otherwise a hidden iframe is used to silently login again.
    * @return {Promise} a promise that resolves when we finish renewing the users tokens.
    */
   refreshToken() {
@@ -677,7 +1480,10 @@ class SalteAuth {
       return this.$promises.refresh;
     }
 
-    this.$promises.refresh = this.loginWithIframe(true).then((user) => {
+    const promise = this.profile.$refreshToken ? this.$$redeemRefreshToken() : this.loginWithIframe(true);
+    this.$promises.refresh = promise.then((user) => {
+      return this.$$verifySignature().then(() => user);
+    }).then((user) => {
       this.$promises.refresh = null;
       const error = this.profile.$validate(true);
 
@@ -707,61 +1513,229 @@ class SalteAuth {
       clearTimeout(this.$timeouts.expired);
     }
 
-    const timeToExpiration = (this.profile.userInfo.exp * 1000) - Date.now();
+    // NOTE: Identity providers don't have to issue a new ID Token when redeeming a refresh token, so the access token is what's kept alive.
+    const expiration = this.profile.$refreshToken && this.profile.$expiration ? this.profile.$expiration : this.profile.userInfo.exp * 1000;
+    const timeToExpiration = expiration - Date.now();
+    const timeToRefresh = Math.max(timeToExpiration - this.$config.autoRefreshBuffer, 0);
 
-    this.$timeouts.refresh = setTimeout(() => {
+    const refresh = () => {
       // Allows Auto Refresh to be disabled
-      if (this.$config.autoRefresh) {
+      if (!this.$config.autoRefresh) {
+        this.$fire('refresh');
+      } else if (this.$sync && !this.$sync.leader) {
+        // The leader will let us know once it has refreshed, so we only need to check that it hasn't gone away.
+        logger('Another tab is refreshing the tokens, checking back later...');
+        this.$timeouts.refresh = setTimeout(refresh, this.$sync.$leaseDuration);
+      } else {
         this.refreshToken().catch((error) => {
           console.error(error);
         });
-      } else {
-        this.$fire('refresh');
       }
-    }, Math.max(timeToExpiration - this.$config.autoRefreshBuffer, 0));
+    };
+
+    if (timeToRefresh === 0 && expiration === this.$$scheduledExpiration) {
+      logger('Refreshing did not extend the expiration, skipping the automatic refresh...');
+    } else {
+      /** @ignore */
+      this.$$scheduledExpiration = expiration;
+      this.$timeouts.refresh = setTimeout(refresh, timeToRefresh);
+    }
 
     this.$timeouts.expired = setTimeout(() => {
       this.$fire('expired');
     }, Math.max(timeToExpiration, 0));
   }
 
+  /**
+   * Authenticates using the configured "loginType" if the user isn't already authenticated.
+   * @return {Promise} a promise that resolves once the user is authenticated
+   * @private
+   */
+  $$autoLogin() {
+    const idTokenExpected = this.profile.$idTokenExpected;
+    if ((idTokenExpected || this.profile.code) && !(idTokenExpected && this.profile.idTokenExpired)) {
+      return Promise.resolve();
+    }
+
+    if (idTokenExpected && this.profile.$refreshToken) {
+      // NOTE: The refresh token keeps the session alive, even if the identity provider didn't issue a new ID Token.
+      if (!this.profile.accessTokenExpired) return Promise.resolve();
+
+      logger('id token has expired, redeeming the refresh token...');
+      return this.refreshToken().catch((error) => {
+        // NOTE: Rejected refresh tokens end the session, in which case the user needs to login again.
+        return this.profile.$refreshToken ? Promise.reject(error) : this.$$autoLogin();
+      });
+    }
+
+    logger('id token has expired, reauthenticating...');
+    if (this.$config.loginType === 'iframe') {
+      logger('Initiating the iframe flow...');
+      return this.loginWithIframe();
+    } else if (this.$config.loginType === 'redirect') {
+      return this.loginWithRedirect();
+    } else if (this.$config.loginType === false) {
+      if (this.$promises.login) {
+        return this.$promises.login;
+      }
+
+      return Promise.reject(new ReferenceError('Automatic login is disabled, please login before making any requests!'));
+    }
+
+    return Promise.reject(new ReferenceError(`Invalid Login Type (${this.$config.loginType})`));
+  }
+
+  /**
+   * The key the access token for an endpoint is cached under
+   * @param {Object} params the audience, resource, and scope requested by the endpoint
+   * @return {String} the cache key
+   * @private
+   */
+  $$endpointKey(params) {
+    return Object.keys(params).map((name) => `${name}=${params[name]}`).join('&');
+  }
+
+  /**
+   * Discards the access token rejected by an endpoint and requests any scopes it asked for.
+   * @param {String|RegExp|Endpoint} endpoint the endpoint that rejected the access token
+   * @param {String} [scope] the space-delimited scopes requested by the endpoint
+   * @return {Promise<Boolean>} a promise that resolves with true if the request should be replayed
+   * @private
+   */
+  $$renewAccessToken(endpoint, scope) {
+    logger('Access token was rejected, renewing...');
+    const params = this.$$endpointParams(endpoint);
+    if (Object.keys(params).length) {
+      this.profile.$endpointTokens(this.$$endpointKey(params), null);
+    } else {
+      this.profile.$accessToken = undefined;
+    }
+
+    const promise = scope ? this.requestScopes(scope.split(' ')) : Promise.resolve();
+    return promise.then(() => true).catch((error) => {
+      logger('Failed to request the scopes, skipping the replay...', error);
+      return false;
+    });
+  }
+
+  /**
+   * Renews the access token if the request that was rejected was sent to a secured endpoint.
+   * @param {String} url the url of the rejected request
+   * @param {Object} challenge the parsed "WWW-Authenticate" challenge
+   * @return {Promise<Boolean>|Boolean} true, or a promise that resolves with true, if the request should be replayed
+   * @private
+   */
+  $$retryUnauthorized(url, challenge) {
+    const endpoint = this.$utilities.findMatchingUrl(url, this.$config.endpoints);
+    if ((this.$config.responseType !== 'code' || this.profile.$pkce) && endpoint) {
+      return this.$$renewAccessToken(endpoint, challenge.scope);
+    }
+
+    return false;
+  }
+
+  /**
+   * Authenticates, requests an access token for an endpoint with its own audience, resource, or scope, and caches it separately.
+   * @param {Object} params the audience, resource, and scope requested by the endpoint
+   * @return {Promise<string>} a promise that resolves when we retrieve the access token
+   * @private
+   */
+  $$retrieveEndpointAccessToken(params) {
+    const key = this.$$endpointKey(params);
+
+    this.$promises.endpoints = this.$promises.endpoints || {};
+    if (this.$promises.endpoints[key]) {
+      logger('Existing endpoint token request detected, resolving...');
+      return this.$promises.endpoints[key];
+    }
+
+    this.$promises.endpoints[key] = this.$$autoLogin().then(() => {
+      if (!this.profile.$endpointTokenExpired(key)) {
+        return this.profile.$endpointTokens(key).accessToken;
+      }
+
+      logger(`Access token for (${key}) has expired, renewing...`);
+      this.profile.$clearErrors();
+      // NOTE: Each request keeps its own state, otherwise concurrent requests for other endpoints would replace it.
+      const state = uuid.v4();
+      const refreshToken = this.profile.$refreshToken;
+      const request = refreshToken ? this.$utilities.postForm(this.$tokenEndpoint, assign({
+        'grant_type': 'refresh_token',
+        'refresh_token': refreshToken,
+        'client_id': this.$config.clientId
+      }, params)) : this.$utilities.createIframe(this.$$accessTokenUrl(params, state));
+
+      return request.then((response) => {
+        // NOTE: Only the values used for validation are parsed, so the primary access token and login state are left as is.
+        this.profile.$parseTokenResponse(pick(response, ['refresh_token', 'error', 'error_description']));
+
+        return this.$$verifySignature().then(() => response);
+      }).then((response) => {
+        // NOTE: The token endpoint doesn't return a state, there's nothing to forge without a redirect.
+        const error = this.profile.$validate(true, state, refreshToken ? state : response.state) || !response.access_token && {
+          code: 'login_canceled',
+          description: 'The identity provider did not return an access token.'
+        };
+
+        if (error) {
+          return Promise.reject(error);
+        }
+
+        this.profile.$endpointTokens(key, {
+          accessToken: response.access_token,
+          expiration: Date.now() + (Number(response.expires_in) * 1000)
+        });
+
+        return response.access_token;
+      });
+    }).then((accessToken) => {
+      this.$promises.endpoints[key] = null;
+      return accessToken;
+    }).catch((error) => {
+      this.$promises.endpoints[key] = null;
+      return Promise.reject(error);
+    });
+
+    return this.$promises.endpoints[key];
+  }
+
   /**
    * Authenticates, requests the access token, and returns it if necessary.
+   * @param {String|RegExp|Endpoint} [endpoint] the secured endpoint the access token is for
    * @return {Promise<string>} a promise that resolves when we retrieve the access token
    */
-  retrieveAccessToken() {
+  retrieveAccessToken(endpoint) {
+    if (!this.profile.$hydrated) {
+      return this.profile.$ready.then(() => this.retrieveAccessToken(endpoint));
+    }
+
+    const params = this.$$endpointParams(endpoint);
+    if (Object.keys(params).length) {
+      return this.$$retrieveEndpointAccessToken(params);
+    }
+
     if (this.$promises.token) {
       logger('Existing token request detected, resolving...');
       return this.$promises.token;
     }
 
-    this.$promises.token = Promise.resolve();
-    if ((this.$config.responseType === 'code' && !this.profile.code) || (this.$config.responseType !== 'code' && this.profile.idTokenExpired)) {
-      logger('id token has expired, reauthenticating...');
-      if (this.$config.loginType === 'iframe') {
-        logger('Initiating the iframe flow...');
-        this.$promises.token = this.loginWithIframe();
-      } else if (this.$config.loginType === 'redirect') {
-        this.$promises.token = this.loginWithRedirect();
-      } else if (this.$config.loginType === false) {
-        if (this.$promises.login) {
-          this.$promises.token = this.$promises.login;
-        } else {
-          this.$promises.token = null;
-          return Promise.reject(new ReferenceError('Automatic login is disabled, please login before making any requests!'));
-        }
-      } else {
-        this.$promises.token = null;
-        return Promise.reject(new ReferenceError(`Invalid Login Type (${this.$config.loginType})`));
-      }
-    }
+    const codeOnly = this.$config.responseType === 'code' && !this.profile.$pkce;
 
-    if (this.$config.responseType !== 'code') {
+    this.$promises.token = this.$$autoLogin();
+
+    if (!codeOnly) {
       this.$promises.token = this.$promises.token.then(() => {
         this.profile.$clearErrors();
         if (this.profile.accessTokenExpired) {
           logger('Access token has expired, renewing...');
-          return this.$utilities.createIframe(this.$accessTokenUrl).then(() => {
+          if (this.profile.$pkce) {
+            return this.refreshToken().then(() => this.profile.$accessToken);
+          }
+
+          return this.$utilities.createIframe(this.$accessTokenUrl).then((params) => {
+            this.profile.$parseTokenResponse(params);
+            return this.$$verifySignature();
+          }).then(() => {
             const error = this.profile.$validate(true);
 
             if (error) {
@@ -774,17 +1748,160 @@ class SalteAuth {
       });
     }
 
-    if (this.$promises.token) {
-      this.$promises.token = this.$promises.token.then((response) => {
-        this.$promises.token = null;
-        return response;
-      }).catch((error) => {
-        this.$promises.token = null;
-        return Promise.reject(error);
+    this.$promises.token = this.$promises.token.then((response) => {
+      this.$promises.token = null;
+      return response;
+    }).catch((error) => {
+      this.$promises.token = null;
+      return Promise.reject(error);
+    });
+
+    return this.$promises.token;
+  }
+
+  /**
+   * Notifies the other tabs whenever we login, refresh, or logout and vice versa.
+   * @private
+   */
+  $$sync() {
+    if (this.$config.sync === false || this.$config.storageType !== 'local') return;
+
+    logger('Setting up cross-tab synchronization...');
+    /**
+     * Notifies the other tabs of authentication changes
+     * @type {SalteAuthSync}
+     * @private
+     */
+    this.$sync = new SalteAuthSync(this.profile.$key('salte.auth.$sync'), this.$$onSync.bind(this));
+
+    ['login', 'refresh', 'logout'].forEach((type) => {
+      this.on(type, (error, data) => {
+        // NOTE: Refresh events without data are only a reminder that the tokens are about to expire.
+        if (error || this.$$syncing || (type === 'refresh' && !data)) return;
+
+        this.$sync.broadcast({ type });
       });
+    });
+  }
+
+  /**
+   * Updates the profile and fires the matching event when another tab logs in, refreshes, or logs out.
+   * @param {Object} message the message sent by the other tab
+   * @private
+   */
+  $$onSync(message) {
+    logger(`Another tab fired a "${message.type}" event, syncing...`);
+    if (this.profile.$cached) {
+      logger('Reloading the cached values...');
+      this.profile.$reload().then(() => this.$$applySync(message));
+    } else {
+      this.$$applySync(message);
     }
+  }
 
-    return this.$promises.token;
+  /**
+   * Fires the event that was sent by another tab
+   * @param {Object} message the message sent by the other tab
+   * @private
+   */
+  $$applySync(message) {
+    this.profile.$refreshUserInfo();
+
+    /** @ignore */
+    this.$$syncing = true;
+    try {
+      if (message.type === 'login') {
+        this.$fire('login', null, this.profile.$loginResponse);
+      } else if (message.type === 'refresh') {
+        this.$fire('refresh', null, this.profile.$loginResponse);
+      } else if (message.type === 'logout') {
+        this.$fire('logout');
+      }
+    } finally {
+      this.$$syncing = false;
+    }
+  }
+
+  /**
+   * Clears the session the identity provider asked us to logout of and notifies the other tabs
+   * @return {Promise} a promise that resolves once the stored session has been loaded, if it wasn't already
+   * @private
+   *
+   * @see https://openid.net/specs/openid-connect-frontchannel-1_0.html
+   */
+  $$frontChannelLogout() {
+    if (!this.profile.$hydrated) {
+      logger('Waiting for the stored session to load...');
+      return this.profile.$ready.then(() => this.$$frontChannelLogout());
+    }
+
+    const { iss, sid } = this.profile.$getParams();
+    const { userInfo } = this.profile;
+
+    if (!userInfo) {
+      logger('No active session, skipping logout...');
+      return;
+    }
+
+    // NOTE: Identity providers only include these when they track sessions, in which case they must match ours.
+    if ((iss && iss !== userInfo.iss) || (sid && sid !== userInfo.sid)) {
+      logger('Logout was requested for a different session, skipping logout...');
+      return;
+    }
+
+    logger('Clearing the session...');
+    this.profile.$clear();
+
+    this.$$sync();
+    this.$fire('logout');
+    this.$sync && this.$sync.close();
+  }
+
+  /**
+   * Watches the identity providers session for the user logging out elsewhere
+   * @private
+   */
+  $$monitorSession() {
+    if (!this.$config.sessionMonitor) return;
+
+    const checkSessionEndpoint = this.$checkSessionEndpoint;
+    const sessionState = this.profile.$sessionState;
+    if (!checkSessionEndpoint || !sessionState) {
+      logger('Unable to monitor the session without a "check_session_iframe" and "session_state"...');
+      return;
+    }
+
+    if (!this.$session) {
+      /**
+       * Watches the identity providers session
+       * @type {SalteAuthSessionMonitor}
+       * @private
+       */
+      this.$session = new SalteAuthSessionMonitor(checkSessionEndpoint, this.$$onSessionChanged.bind(this), this.$config.sessionMonitorInterval);
+    }
+
+    this.$session.start(this.$config.clientId, sessionState);
+  }
+
+  /**
+   * Silently logs in again once the identity provider reports that the session has changed
+   * @return {Promise} a promise that resolves once the user has either been logged in again or logged out
+   * @private
+   */
+  $$onSessionChanged() {
+    logger('Session changed, silently logging in again...');
+    return this.loginWithIframe({
+      noPrompt: true,
+      clear: 'errors',
+      events: false,
+      timeout: 3000
+    }).then((user) => {
+      this.$fire('session-changed', null, user);
+    }).catch((error) => {
+      logger('Failed to silently login, the user has logged out elsewhere...', error);
+      this.profile.$clear();
+      this.$fire('logout');
+    });
   }
 
   /**
@@ -806,17 +1923,30 @@ class SalteAuth {
   $$onVisibilityChanged() {
     logger('Visibility change detected, deferring to the next event loop...');
     logger('Determining if the id token has expired...');
-    if (this.profile.idTokenExpired || !this.$config.autoRefresh) return;
+    if ((this.profile.idTokenExpired && !this.profile.$refreshToken) || !this.$config.autoRefresh) return;
 
     if (this.$utilities.$hidden) {
+      if (this.$sync && !this.$sync.leader) {
+        logger('Page is hidden, but another tab is responsible for refreshing the token...');
+        return;
+      }
+
       logger('Page is hidden, refreshing the token...');
       this.refreshToken().then(() => {
         logger('Disabling automatic renewal of the token...');
         clearTimeout(this.$timeouts.refresh);
         this.$timeouts.refresh = null;
+
+        if (this.$sync) {
+          // NOTE: Otherwise our heartbeat keeps the lease and the visible tabs wait on us forever.
+          this.$sync.resign();
+        }
       });
     } else {
       logger('Page is visible restarting automatic token renewal...');
+      if (this.$sync) {
+        this.$sync.rejoin();
+      }
       this.$$refreshToken();
     }
   }
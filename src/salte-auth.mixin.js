@@ -31,6 +31,16 @@ const SalteAuthMixinGenerator = function(auth) {
     }
   });
 
+  if (!auth.profile.$hydrated) {
+    // NOTE: Elements created before asynchronous storage loaded won't have seen the stored session.
+    auth.profile.$ready.then(() => {
+      for (let i = 0; i < registeredMixedIns.length; i++) {
+        registeredMixedIns[i].user = auth.profile.userInfo || null;
+        registeredMixedIns[i].authenticated = !auth.profile.idTokenExpired;
+      }
+    });
+  }
+
   return function(superClass) {
     return class extends superClass {
       constructor() {
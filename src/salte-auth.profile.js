@@ -1,11 +1,88 @@
 import Cookie from 'js-cookie';
+import assign from 'lodash/assign';
+import defaults from 'lodash/defaults';
 import defaultsDeep from 'lodash/defaultsDeep';
 import find from 'lodash/find';
+import pick from 'lodash/pick';
 import debug from 'debug';
+import { sha256 } from 'js-sha256';
+import { sha384, sha512 } from 'js-sha512';
+
+import { SalteAuthMemoryStorage } from './storage/memory.js';
+import { SalteAuthCachedStorage } from './storage/cached.js';
+import { SalteAuthIndexedDBStorage } from './storage/indexeddb.js';
+import { SalteAuthEncryptedStorage } from './storage/encrypted.js';
 
 /** @ignore */
 const logger = debug('@salte-auth/salte-auth:profile');
 
+/**
+ * The hashes used to compute the "at_hash" and "c_hash", indexed by the size of the signing algorithm
+ * @ignore
+ */
+const HASHES = {
+  256: sha256,
+  384: sha384,
+  512: sha512
+};
+
+/**
+ * The version of the storage layout, this should be bumped whenever keys are renamed or moved
+ * @ignore
+ */
+const SCHEMA_VERSION = 1;
+
+/**
+ * Sessions weren't versioned or namespaced before version 1, so they need to be moved into the configured namespace
+ * @param {SalteAuthProfile} profile the profile to migrate
+ * @ignore
+ */
+function migrateToNamespace(profile) {
+  const legacyPrefix = profile.$$config.name ? `salte.auth:${profile.$$config.name}` : 'salte.auth';
+  if (profile.$prefix !== legacyPrefix) {
+    profile.$$move(legacyPrefix, profile.$prefix);
+  }
+}
+
+/**
+ * Carries sessions forward from one version of the storage layout to the next, indexed by the version they migrate from
+ * @ignore
+ */
+const MIGRATIONS = [
+  migrateToNamespace
+];
+
+/**
+ * The params an identity provider may include in an authentication response
+ * @ignore
+ */
+const RESPONSE_PARAMS = [
+  'access_token',
+  'token_type',
+  'expires_in',
+  'id_token',
+  'refresh_token',
+  'code',
+  'state',
+  'scope',
+  'session_state',
+  'error',
+  'error_description',
+  'error_uri'
+];
+
+/**
+ * Removes the authentication response params from a query string
+ * @param {String} query the query string without the leading "?" or "#"
+ * @return {String} the remaining query string
+ * @ignore
+ */
+function withoutResponseParams(query) {
+  return query.split('&').filter((pair) => {
+    return pair && RESPONSE_PARAMS.indexOf(pair.split('=')[0]) === -1;
+  }).join('&');
+}
+
 /**
  * All the profile information associated with the current authentication session
  */
@@ -22,38 +99,106 @@ class SalteAuthProfile {
         nonce: true,
         state: true,
         azp: true,
-        aud: true
+        aud: true,
+        iss: true,
+        exp: true,
+        nbf: true,
+        iat: true,
+        atHash: true,
+        cHash: true
       },
+      clockSkew: 0,
+      clockTolerance: 300000,
+      maxTokenAge: 300000,
       storageType: 'session'
     });
 
     /**
-     * The parsed user information from the id token
+     * The parsed user information from the id token, merged with any claims retrieved from the userinfo endpoint
      * @type {Object}
      */
     this.userInfo = null;
+
+    /**
+     * Resolves the userinfo endpoint of the identity provider
+     * @type {Function}
+     * @ignore
+     */
+    this.$$userInfoEndpoint = null;
+
+    /**
+     * The last ID Token that had its signature verified
+     * @type {String}
+     * @ignore
+     */
+    this.$$verifiedIdToken = null;
+
+    /**
+     * The storage instances that aren't provided by the browser
+     * @type {Object}
+     * @ignore
+     */
+    this.$$storages = {};
+
+    if (this.$hydrated) {
+      this.$$migrate();
+    } else {
+      this.$ready.then(() => {
+        this.$$migrate();
+        this.$refreshUserInfo();
+      });
+    }
+
     this.$refreshUserInfo();
   }
 
   /**
-   * Checks for a hash / query params, parses it, and removes it.
+   * Checks for a hash / query params, parses it, and removes the authentication response from the url.
    */
   $parseParams() {
     if (location.search || location.hash) {
-      const params = location.search.replace(/^\?/, '').split('&')
-        .concat(location.hash.replace(/(#!?[^#]+)?#/, '').split('&'));
+      const params = this.$getParams();
 
       logger(`Hash detected, parsing...`, params);
-      for (let i = 0; i < params.length; i++) {
-        const param = params[i];
-        const [key, value] = param.split('=');
-        this.$parse(key, decodeURIComponent(value));
+      this.$parseTokenResponse(params);
+
+      const search = withoutResponseParams(location.search.replace(/^\?/, ''));
+      // NOTE: Hash-based routers keep their route ahead of a second hash (e.g. "#/route#access_token=...").
+      const [, route = '', hash] = location.hash.match(/^(#!?[^#]+)?#(.*)$/) || [];
+      const remainingHash = hash ? withoutResponseParams(hash) : '';
+
+      let url = location.pathname;
+      if (search) url += `?${search}`;
+      url += remainingHash ? `${route}#${remainingHash}` : route;
+
+      if (url !== `${location.pathname}${location.search}${location.hash}`) {
+        logger(`Removing the authentication response...`);
+        // NOTE: Replacing the entry prevents the back button from returning to a tokenized url.
+        history.replaceState(history.state, document.title, url);
       }
-      logger(`Removing hash...`);
-      history.pushState('', document.title, location.href.replace(location.search, '').replace(location.hash, ''));
     }
   }
 
+  /**
+   * Retrieves the hash / query params without parsing them.
+   * @return {Object} the decoded params
+   * @private
+   */
+  $getParams() {
+    const params = {};
+    const pairs = location.search.replace(/^\?/, '').split('&')
+      .concat(location.hash.replace(/(#!?[^#]+)?#/, '').split('&'));
+
+    for (let i = 0; i < pairs.length; i++) {
+      const [key, value] = pairs[i].split('=');
+      if (key) {
+        params[key] = decodeURIComponent(value);
+      }
+    }
+
+    return params;
+  }
+
   /**
    * Parse a key-value pair
    * @param {String} key the key to parse
@@ -74,12 +219,21 @@ class SalteAuthProfile {
       case 'id_token':
         this.$idToken = value;
         break;
+      case 'refresh_token':
+        this.$refreshToken = value;
+        break;
       case 'code':
         this.code = value;
         break;
       case 'state':
         this.$state = value;
         break;
+      case 'scope':
+        this.$scope = value;
+        break;
+      case 'session_state':
+        this.$sessionState = value;
+        break;
       case 'error':
         this.$error = value;
         break;
@@ -89,12 +243,24 @@ class SalteAuthProfile {
     }
   }
 
+  /**
+   * Parses an authentication response (e.g. the token endpoints JSON or the params sent by a popup)
+   * @param {Object} response the parsed response body
+   * @private
+   */
+  $parseTokenResponse(response) {
+    logger(`Token response detected, parsing...`);
+    Object.keys(response || {}).forEach((key) => {
+      this.$parse(key, response[key]);
+    });
+  }
+
   /**
    * Whether the ID Token has expired
    * @return {Boolean} true if the "id_token" has expired
    */
   get idTokenExpired() {
-    return !this.$idToken || Date.now() >= (this.userInfo.exp * 1000);
+    return !this.$idToken || Date.now() + this.$$config.clockSkew >= (this.userInfo.exp * 1000);
   }
 
   /**
@@ -102,7 +268,7 @@ class SalteAuthProfile {
    * @return {Boolean} true if the "access_token" has expired
    */
   get accessTokenExpired() {
-    return !this.$accessToken || Date.now() >= this.$expiration;
+    return !this.$accessToken || Date.now() + this.$$config.clockSkew >= this.$expiration;
   }
 
   /**
@@ -158,6 +324,19 @@ class SalteAuthProfile {
     this.$saveItem('salte.auth.id-token', idToken);
   }
 
+  /**
+   * The Refresh Token returned by the identity provider's token endpoint
+   * @return {String} the refresh token
+   * @private
+   */
+  get $refreshToken() {
+    return this.$getItem('salte.auth.refresh-token');
+  }
+
+  set $refreshToken(refreshToken) {
+    this.$saveItem('salte.auth.refresh-token', refreshToken);
+  }
+
   /**
    * The Authorization Code returned by the identity provider
    * @return {String} the authorization code
@@ -186,6 +365,43 @@ class SalteAuthProfile {
     this.$saveItem('salte.auth.$state', state, 'cookie');
   }
 
+  /**
+   * The scopes granted by the identity provider
+   * @return {String} the space-delimited scopes
+   * @private
+   */
+  get $scope() {
+    return this.$getItem('salte.auth.scope');
+  }
+
+  set $scope(scope) {
+    this.$saveItem('salte.auth.scope', scope);
+  }
+
+  /**
+   * The scopes granted by the identity provider, defaults to the configured scope
+   * @type {Array<String>}
+   */
+  get scopes() {
+    const scope = this.$scope || this.$$config.scope;
+    return scope ? scope.split(' ') : [];
+  }
+
+  /**
+   * The session state returned by the identity provider
+   * @return {String} the session state value
+   * @private
+   *
+   * @see https://openid.net/specs/openid-connect-session-1_0.html#CreatingUpdatingSessions
+   */
+  get $sessionState() {
+    return this.$getItem('salte.auth.session-state');
+  }
+
+  set $sessionState(sessionState) {
+    this.$saveItem('salte.auth.session-state', sessionState);
+  }
+
   /**
    * The locally generate authentication state
    * @return {String} the local state value
@@ -253,6 +469,239 @@ class SalteAuthProfile {
     this.$saveItem('salte.auth.$nonce', nonce, 'cookie');
   }
 
+  /**
+   * The PKCE code verifier tied to the active authorization request
+   * @return {String} the code verifier
+   * @private
+   *
+   * @see https://tools.ietf.org/html/rfc7636#section-4.1
+   */
+  get $codeVerifier() {
+    return this.$getItem('salte.auth.$code-verifier', 'session');
+  }
+
+  set $codeVerifier(codeVerifier) {
+    this.$saveItem('salte.auth.$code-verifier', codeVerifier, 'session');
+  }
+
+  /**
+   * Whether the authorization code should be exchanged for tokens via PKCE
+   * @return {Boolean} true if the code is exchanged by salte auth
+   * @private
+   */
+  get $pkce() {
+    return this.$$config.responseType === 'code' && Boolean(this.$$config.pkce);
+  }
+
+  /**
+   * The cached OpenID Connect discovery document
+   * @return {Object} the discovery document
+   * @private
+   */
+  get $discovery() {
+    const discovery = this.$getItem('salte.auth.$discovery');
+    return discovery ? JSON.parse(discovery) : null;
+  }
+
+  set $discovery(discovery) {
+    this.$saveItem('salte.auth.$discovery', discovery ? JSON.stringify(discovery) : undefined);
+  }
+
+  /**
+   * The individual response types being requested (e.g. "code id_token" => ["code", "id_token"])
+   * @type {Array<String>}
+   * @private
+   */
+  get $responseTypes() {
+    return (this.$$config.responseType || 'id_token').split(' ');
+  }
+
+  /**
+   * Whether we should end up with an ID Token, either directly or via the PKCE code exchange
+   * @type {Boolean}
+   * @private
+   */
+  get $idTokenExpected() {
+    return this.$responseTypes.indexOf('id_token') !== -1 || this.$pkce;
+  }
+
+  /**
+   * Whether we should end up with an authorization code intended for a backend
+   * @type {Boolean}
+   * @private
+   */
+  get $codeExpected() {
+    return this.$responseTypes.indexOf('code') !== -1 && !this.$pkce;
+  }
+
+  /**
+   * What logging in resolves with, the authorization code is only handed back if there isn't an ID Token describing the user
+   * @type {Object|String}
+   * @private
+   */
+  get $loginResponse() {
+    return (!this.$idTokenExpected && this.code) || this.userInfo;
+  }
+
+  /**
+   * Computes the "at_hash" or "c_hash" of the given value
+   * @param {String} value the access token or authorization code to hash
+   * @param {Function} [hash=sha256] the hash matching the algorithm the ID Token was signed with
+   * @return {String} the base64url encoded left-most half of the hash of the value
+   * @private
+   *
+   * @see https://openid.net/specs/openid-connect-core-1_0.html#ImplicitIDToken
+   */
+  $tokenHash(value, hash = sha256) {
+    const digest = hash.array(value);
+    const half = digest.slice(0, digest.length / 2);
+    return btoa(String.fromCharCode.apply(null, half)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * The hash used to compute the "at_hash" and "c_hash", based on the "alg" the ID Token was signed with
+   * @return {Function} the hash, or null if the algorithm isn't supported
+   * @private
+   */
+  get $tokenHashAlgorithm() {
+    let header;
+    try {
+      header = JSON.parse(atob(this.$idToken.split('.')[0].replace(/-/g, '+').replace(/_/g, '/')));
+    } catch (error) {
+      logger('Failed to parse the ID Token header...', error);
+      return null;
+    }
+
+    const match = /^(?:RS|PS|ES|HS)(256|384|512)$/.exec(header && header.alg);
+    return match ? HASHES[match[1]] : null;
+  }
+
+  /**
+   * The issuer the ID Token is expected to originate from
+   * @return {String} the expected issuer, or null if it is unknown
+   * @private
+   */
+  get $issuer() {
+    if (this.$$config.issuer) {
+      return this.$$config.issuer;
+    }
+
+    const discovery = this.$$config.discovery && this.$discovery;
+    return discovery ? discovery.issuer : null;
+  }
+
+  /**
+   * The cached JSON Web Key Set of the identity provider
+   * @return {Object} the JSON Web Key Set
+   * @private
+   */
+  get $jwks() {
+    const jwks = this.$getItem('salte.auth.$jwks');
+    return jwks ? JSON.parse(jwks) : null;
+  }
+
+  set $jwks(jwks) {
+    this.$saveItem('salte.auth.$jwks', jwks ? JSON.stringify(jwks) : undefined);
+  }
+
+  /**
+   * The cached claims retrieved from the userinfo endpoint
+   * @return {Object} the claims of the user
+   * @private
+   */
+  get $userInfoClaims() {
+    const claims = this.$getItem('salte.auth.user-info');
+    return claims ? JSON.parse(claims) : null;
+  }
+
+  set $userInfoClaims(claims) {
+    this.$saveItem('salte.auth.user-info', claims ? JSON.stringify(claims) : undefined);
+  }
+
+  /**
+   * Retrieves the users claims from the userinfo endpoint and merges them into the "userInfo"
+   * @return {Promise<Object>} a promise that resolves with the merged user information
+   *
+   * @example
+   * auth.profile.fetchUserInfo().then((userInfo) => {
+   *   console.log(userInfo.email);
+   * });
+   */
+  fetchUserInfo() {
+    const userInfoEndpoint = this.$$userInfoEndpoint && this.$$userInfoEndpoint();
+    if (!userInfoEndpoint) {
+      return Promise.reject(new ReferenceError('The identity provider does not have a userinfo endpoint.'));
+    }
+
+    if (!this.$accessToken) {
+      return Promise.reject(new ReferenceError('An access token is required to retrieve the user info.'));
+    }
+
+    logger('Retrieving the user info...');
+    return fetch(userInfoEndpoint, {
+      method: 'GET',
+      headers: {
+        Authorization: `Bearer ${this.$accessToken}`
+      }
+    }).then((response) => {
+      if (response.ok) return response.json();
+
+      // NOTE: Errors don't always include a body, so we fall back to the status code.
+      return response.json().catch(() => ({})).then((body) => {
+        const error = {
+          code: body.error || 'userinfo_failed',
+          description: body.error_description || `The userinfo endpoint responded with a ${response.status}.`
+        };
+
+        return Promise.reject(error);
+      });
+    }).then((claims) => {
+      this.$refreshUserInfo();
+
+      // NOTE: Prevents the claims of another user from being substituted in.
+      // https://openid.net/specs/openid-connect-core-1_0.html#UserInfoResponse
+      if (!this.userInfo || claims.sub !== this.userInfo.sub) {
+        const error = {
+          code: 'invalid_sub',
+          description: 'The subject of the user info did not match the ID Token.'
+        };
+
+        return Promise.reject(error);
+      }
+
+      this.$userInfoClaims = claims;
+      this.$refreshUserInfo();
+      return this.userInfo;
+    });
+  }
+
+  /**
+   * Sets or Gets the access token issued for an endpoint with its own audience, resource, or scope.
+   * @param {String} key The key identifying the endpoints audience, resource, and scope.
+   * @param {Object} token The access token and its expiration to store, null removes the access token.
+   * @return {Object|undefined} Returns the access token and its expiration if a token wasn't provided.
+   * @private
+   */
+  $endpointTokens(key, token) {
+    if (token !== undefined) {
+      this.$saveItem(`salte.auth.endpoint-token.${key}`, token && JSON.stringify(token));
+    } else {
+      const endpointToken = this.$getItem(`salte.auth.endpoint-token.${key}`);
+      return endpointToken ? JSON.parse(endpointToken) : null;
+    }
+  }
+
+  /**
+   * Whether the access token issued for an endpoint has expired
+   * @param {String} key The key identifying the endpoints audience, resource, and scope.
+   * @return {Boolean} true if the access token is missing or has expired
+   * @private
+   */
+  $endpointTokenExpired(key) {
+    const token = this.$endpointTokens(key);
+    return !token || Date.now() + this.$$config.clockSkew >= token.expiration;
+  }
+
   /**
    * Sets or Gets an action based on whether a action was passed.
    * @param {String} state The state this action is tied to.
@@ -287,16 +736,24 @@ class SalteAuthProfile {
       }
     }
 
+    const claims = userInfo && this.$userInfoClaims;
+    if (claims && claims.sub === userInfo.sub) {
+      // NOTE: The claims in the ID Token take precedence since they've been validated.
+      userInfo = assign({}, claims, userInfo);
+    }
+
     this.userInfo = userInfo;
   }
 
   /**
    * Verifies that we were logged in successfully and that all security checks pass
    * @param {Boolean} accessTokenRequest if the request we're validating was an access token request
+   * @param {String} [localState] the state sent with the request, defaults to the login state
+   * @param {String} [state] the state returned by the identity provider, defaults to the login state
    * @return {Object} the error message
    * @private
    */
-  $validate(accessTokenRequest) {
+  $validate(accessTokenRequest, localState = this.$localState, state = this.$state) {
     this.$refreshUserInfo();
 
     if (!this.$$config.validation) {
@@ -311,21 +768,29 @@ class SalteAuthProfile {
       };
     }
 
-    if ((this.$$config.responseType === 'code' && !this.code) || (this.$$config.responseType !== 'code' && !this.$idToken)) {
+    const idTokenExpected = this.$idTokenExpected;
+    if ((this.$codeExpected && !accessTokenRequest && !this.code) || (idTokenExpected && !this.$idToken)) {
       return {
         code: 'login_canceled',
         description: 'User likely canceled the login or something unexpected occurred.'
       };
     }
 
-    if (this.$$config.validation.state && this.$localState !== this.$state) {
+    if (this.$$config.validation.state && localState !== state) {
       return {
         code: 'invalid_state',
         description: 'State provided by identity provider did not match local state.'
       };
     }
 
-    if (this.$$config.responseType === 'code' || accessTokenRequest) return;
+    if (idTokenExpected && this.$$config.validation.signature && this.$$verifiedIdToken !== this.$idToken) {
+      return {
+        code: 'invalid_signature',
+        description: 'The signature of the ID Token could not be verified.'
+      };
+    }
+
+    if (!idTokenExpected || accessTokenRequest) return;
 
     if (this.$$config.validation.nonce && this.$nonce !== this.userInfo.nonce) {
       return {
@@ -334,6 +799,75 @@ class SalteAuthProfile {
       };
     }
 
+    if (this.$responseTypes.indexOf('id_token') !== -1) {
+      const atHash = this.$$config.validation.atHash && this.$responseTypes.indexOf('token') !== -1 && this.$accessToken;
+      const cHash = this.$$config.validation.cHash && this.$codeExpected && this.code;
+      const hash = (atHash || cHash) && this.$tokenHashAlgorithm;
+
+      if ((atHash || cHash) && !hash) {
+        return {
+          code: 'invalid_alg',
+          description: 'The ID Token was signed with an unsupported algorithm, so the "at_hash" and "c_hash" could not be verified.'
+        };
+      }
+
+      if (atHash && this.userInfo.at_hash !== this.$tokenHash(this.$accessToken, hash)) {
+        return {
+          code: 'invalid_at_hash',
+          description: 'The access token did not match the "at_hash" of the ID Token.'
+        };
+      }
+
+      if (cHash && this.userInfo.c_hash !== this.$tokenHash(this.code, hash)) {
+        return {
+          code: 'invalid_c_hash',
+          description: 'The authorization code did not match the "c_hash" of the ID Token.'
+        };
+      }
+    }
+
+    if (this.$$config.validation.iss && this.$issuer && this.userInfo.iss !== this.$issuer) {
+      return {
+        code: 'invalid_iss',
+        description: 'The issuer did not match the expected issuer.'
+      };
+    }
+
+    const now = Date.now();
+    const clockSkew = this.$$config.clockSkew;
+    // NOTE: Clients are rarely in sync with the identity provider, so the time claims are given some leeway.
+    const tolerance = clockSkew + this.$$config.clockTolerance;
+
+    if (this.$$config.validation.exp && this.userInfo.exp !== undefined && now - clockSkew >= this.userInfo.exp * 1000) {
+      return {
+        code: 'invalid_exp',
+        description: 'The ID Token has already expired.'
+      };
+    }
+
+    if (this.$$config.validation.nbf && this.userInfo.nbf !== undefined && now + tolerance < this.userInfo.nbf * 1000) {
+      return {
+        code: 'invalid_nbf',
+        description: 'The ID Token is not valid yet.'
+      };
+    }
+
+    if (this.$$config.validation.iat && this.userInfo.iat !== undefined) {
+      if (now + tolerance < this.userInfo.iat * 1000) {
+        return {
+          code: 'invalid_iat',
+          description: 'The ID Token was issued in the future.'
+        };
+      }
+
+      if (now - tolerance > this.userInfo.iat * 1000 + this.$$config.maxTokenAge) {
+        return {
+          code: 'invalid_iat',
+          description: 'The ID Token was issued too long ago.'
+        };
+      }
+    }
+
     if (Array.isArray(this.userInfo.aud)) {
       if (this.$$config.validation.azp) {
         if (!this.userInfo.azp) {
@@ -380,6 +914,9 @@ class SalteAuthProfile {
    * @private
    */
   $getItem(key, overrideStorageType) {
+    key = this.$key(key);
+    overrideStorageType = this.$$transientStorageType(overrideStorageType);
+
     let value;
     if (overrideStorageType === 'cookie') {
       value = Cookie.get(key);
@@ -399,11 +936,15 @@ class SalteAuthProfile {
    * @private
    */
   $saveItem(key, value, overrideStorageType) {
+    key = this.$key(key);
+    overrideStorageType = this.$$transientStorageType(overrideStorageType);
+
     if (overrideStorageType === 'cookie') {
+      const attributes = this.$cookieAttributes;
       if ([undefined, null].indexOf(value) !== -1) {
-        Cookie.remove(key);
+        Cookie.remove(key, pick(attributes, ['path', 'domain']));
       } else {
-        Cookie.set(key, value);
+        Cookie.set(key, value, attributes);
       }
     } else {
       const storage = overrideStorageType ? this.$$getStorage(overrideStorageType) : this.$storage;
@@ -415,18 +956,145 @@ class SalteAuthProfile {
     }
   }
 
+  /**
+   * Determines where the transient values (e.g. the state and nonce) should be kept
+   * @param {String} storageType the name of the storageType to use
+   * @return {String} the storageType, switched to "session" if cookies were disabled
+   * @private
+   */
+  $$transientStorageType(storageType) {
+    if (storageType === 'cookie' && this.$$config.transientStorageType === 'session') {
+      return 'session';
+    }
+
+    return storageType;
+  }
+
+  /**
+   * The attributes of the cookies we create, these default to secure values on HTTPS
+   * @type {Object}
+   * @private
+   */
+  get $cookieAttributes() {
+    const attributes = defaults({}, this.$$config.cookie, {
+      path: '/',
+      secure: location.protocol === 'https:',
+      sameSite: 'lax'
+    });
+
+    // NOTE: "js-cookie" treats numbers as days, ours are miliseconds to match the rest of the config.
+    if (typeof attributes.expires === 'number') {
+      attributes.expires = new Date(Date.now() + attributes.expires);
+    }
+
+    return attributes;
+  }
+
+  /**
+   * The prefix of every key owned by this instance
+   * @type {String}
+   * @private
+   */
+  get $prefix() {
+    const namespace = this.$$config.namespace || 'salte.auth';
+    return this.$$config.name ? `${namespace}:${this.$$config.name}` : namespace;
+  }
+
+  /**
+   * Migrates the stored session if it was created by an older version of salte auth
+   * @private
+   */
+  $$migrate() {
+    const version = Number(this.$getItem('salte.auth.$version'));
+    if (version >= SCHEMA_VERSION) return;
+
+    logger(`Migrating the stored session from version ${version} to ${SCHEMA_VERSION}...`);
+    for (let i = version; i < SCHEMA_VERSION; i++) {
+      MIGRATIONS[i](this);
+    }
+
+    if (this.$$config.migrate) {
+      this.$$config.migrate(version, this);
+    }
+
+    this.$saveItem('salte.auth.$version', SCHEMA_VERSION);
+  }
+
+  /**
+   * Moves every value stored under one prefix to another
+   * @param {String} from the prefix to move the values from
+   * @param {String} to the prefix to move the values to
+   * @private
+   */
+  $$move(from, to) {
+    const storage = this.$storage;
+    this.$$keys(storage).forEach((key) => {
+      if (key.indexOf(`${from}.`) !== 0) return;
+
+      const value = storage.getItem(key);
+      const destination = `${to}${key.slice(from.length)}`;
+      // NOTE: Values that already exist in the new namespace are newer, so we shouldn't overwrite them.
+      if (storage.getItem(destination) === null) {
+        storage.setItem(destination, value);
+      }
+      storage.removeItem(key);
+    });
+  }
+
+  /**
+   * Retrieves every key of the given storage
+   * @param {Storage} storage the storage to retrieve the keys of
+   * @return {Array<String>} the stored keys
+   * @private
+   */
+  $$keys(storage) {
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      keys.push(storage.key(i));
+    }
+    return keys;
+  }
+
+  /**
+   * Moves the given key into this instances namespace
+   * @param {String} key the key to namespace
+   * @return {String} the namespaced key
+   * @private
+   */
+  $key(key) {
+    return key.replace(/^salte\.auth\./, `${this.$prefix}.`);
+  }
+
   /**
    * Return the active Web Storage API
    * @return {Storage} the storage api to save and pull values from
    * @private
    */
   get $storage() {
-    return this.$$getStorage(this.$$config.storageType);
+    const { storageType, encryption } = this.$$config;
+    if (!encryption) {
+      return this.$$getStorage(storageType);
+    }
+
+    if (!this.$$storages.encrypted) {
+      let storage;
+      if (storageType === 'indexeddb') {
+        storage = new SalteAuthIndexedDBStorage();
+      } else if (storageType && typeof storageType === 'object') {
+        storage = storageType;
+      } else {
+        storage = this.$$getStorage(storageType);
+      }
+
+      this.$$storages.encrypted = new SalteAuthCachedStorage(new SalteAuthEncryptedStorage(storage, this.$prefix));
+    }
+
+    return this.$$storages.encrypted;
   }
 
   /**
    * Determines which Web Storage API to return using the name provided
-   * @param {String} storageType the name of the storageType to use
+   * @param {String|StorageAdapter} storageType the name of the storageType to use or a custom adapter
    * @return {Storage} the web storage api that matches the given string
    * @ignore
    */
@@ -435,18 +1103,81 @@ class SalteAuthProfile {
       return localStorage;
     } else if (storageType === 'session') {
       return sessionStorage;
-    } else {
-      throw new ReferenceError(`Unknown Storage Type (${storageType})`);
     }
+
+    const name = storageType && typeof storageType === 'object' ? 'custom' : storageType;
+    if (!this.$$storages[name]) {
+      if (name === 'memory') {
+        this.$$storages[name] = new SalteAuthMemoryStorage();
+      } else if (name === 'indexeddb') {
+        this.$$storages[name] = new SalteAuthCachedStorage(new SalteAuthIndexedDBStorage());
+      } else if (name === 'custom') {
+        this.$$storages[name] = new SalteAuthCachedStorage(storageType);
+      } else {
+        throw new ReferenceError(`Unknown Storage Type (${storageType})`);
+      }
+    }
+
+    return this.$$storages[name];
+  }
+
+  /**
+   * Whether the stored values are available, asynchronous storage needs to load them first
+   * @type {Boolean}
+   * @private
+   */
+  get $hydrated() {
+    const storage = this.$storage;
+    return !(storage instanceof SalteAuthCachedStorage) || storage.hydrated;
   }
 
   /**
-   * Clears out all `salte.auth` values from localStorage, sessionStorage, and Cookies
+   * Resolves once the stored values are available
+   * @type {Promise}
+   * @private
+   */
+  get $ready() {
+    const storage = this.$storage;
+    return storage instanceof SalteAuthCachedStorage ? storage.ready : Promise.resolve();
+  }
+
+  /**
+   * Whether the values are cached in memory, in which case changes made by other tabs require a reload
+   * @type {Boolean}
+   * @private
+   */
+  get $cached() {
+    return this.$storage instanceof SalteAuthCachedStorage;
+  }
+
+  /**
+   * Reloads the values of cached storage
+   * @return {Promise} a promise that resolves once the values have been reloaded
+   * @private
+   */
+  $reload() {
+    const storage = this.$storage;
+    return storage instanceof SalteAuthCachedStorage ? storage.reload() : Promise.resolve();
+  }
+
+  /**
+   * Waits for every change to reach asynchronous storage, this should be done before leaving the page
+   * @return {Promise} a promise that resolves once the storage is up to date
+   * @private
+   */
+  $flush() {
+    const storage = this.$storage;
+    return storage instanceof SalteAuthCachedStorage ? storage.flush() : Promise.resolve();
+  }
+
+  /**
+   * Clears out all of this instances values from localStorage, sessionStorage, and Cookies
    * @param {Boolean} withPrivates whether we should also clear out the private values.
    * @private
    */
   $clear(withPrivates) {
-    const regex = withPrivates ? new RegExp(/^salte\.auth\./) : new RegExp(/^salte\.auth\.[^$]/);
+    const prefix = this.$prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const regex = withPrivates ? new RegExp(`^${prefix}\\.`) : new RegExp(`^${prefix}\\.[^$]`);
 
     for (const key in localStorage) {
       if (key.match(regex)) {
@@ -460,12 +1191,22 @@ class SalteAuthProfile {
       }
     }
 
+    const attributes = pick(this.$cookieAttributes, ['path', 'domain']);
     for (const key in Cookie.getJSON()) {
       if (key.match(regex)) {
-        Cookie.remove(key);
+        Cookie.remove(key, attributes);
       }
     }
 
+    const storage = this.$storage;
+    if ([localStorage, sessionStorage].indexOf(storage) === -1) {
+      this.$$keys(storage).forEach((key) => {
+        if (key.match(regex)) {
+          storage.removeItem(key);
+        }
+      });
+    }
+
     this.$refreshUserInfo();
   }
 
@@ -4,6 +4,7 @@ import cognito from './providers/cognito.js';
 import wso2 from './providers/wso2.js';
 import okta from './providers/okta.js';
 import hydra from './providers/hydra.js';
+import openid from './providers/openid.js';
 
 /**
  * A collection of overrides for specific Identity Providers
@@ -52,6 +53,14 @@ class Providers {
   static get okta() {
     return okta;
   }
+
+  /**
+   * Provider for any OpenID Connect compliant identity provider
+   * @type {SalteAuthOpenIDProvider}
+   */
+  static get openid() {
+    return openid;
+  }
 };
 
 export { Providers };
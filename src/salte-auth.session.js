@@ -0,0 +1,107 @@
+import debug from 'debug';
+
+/** @ignore */
+const logger = debug('@salte-auth/salte-auth:session');
+
+/**
+ * Watches the identity providers session via its "check_session_iframe"
+ *
+ * @see https://openid.net/specs/openid-connect-session-1_0.html
+ */
+class SalteAuthSessionMonitor {
+  /**
+   * Prepares the session monitor
+   * @param {String} url the url of the identity providers "check_session_iframe"
+   * @param {Function} callback invoked once the identity provider reports that the session has changed
+   * @param {Number} [interval=3000] how often to check the session (in miliseconds)
+   */
+  constructor(url, callback, interval = 3000) {
+    const anchor = document.createElement('a');
+    anchor.href = url;
+
+    /** @ignore */
+    this.$url = url;
+    /** @ignore */
+    this.$origin = `${anchor.protocol}//${anchor.host}`;
+    /** @ignore */
+    this.$callback = callback;
+    /** @ignore */
+    this.$interval = interval;
+    /** @ignore */
+    this.$$onMessage = this.$$onMessage.bind(this);
+  }
+
+  /**
+   * Starts checking the session
+   * @param {String} clientId the client id of the application
+   * @param {String} sessionState the "session_state" returned by the identity provider
+   */
+  start(clientId, sessionState) {
+    this.stop();
+
+    logger('Starting the session monitor...');
+    /** @ignore */
+    this.$message = `${clientId} ${sessionState}`;
+    /** @ignore */
+    this.$iframe = document.createElement('iframe');
+    // NOTE: Callback pages look for iframes owned by "salte-auth", so the monitor needs its own marker.
+    this.$iframe.setAttribute('owner', 'salte-auth-session');
+    this.$iframe.style.display = 'none';
+    this.$iframe.src = this.$url;
+    this.$iframe.addEventListener('load', () => {
+      this.$$check();
+      /** @ignore */
+      this.$timer = setInterval(this.$$check.bind(this), this.$interval);
+    });
+
+    window.addEventListener('message', this.$$onMessage);
+    document.body.appendChild(this.$iframe);
+  }
+
+  /**
+   * Asks the "check_session_iframe" whether the session has changed
+   * @private
+   */
+  $$check() {
+    if (!this.$iframe) return;
+
+    this.$iframe.contentWindow.postMessage(this.$message, this.$origin);
+  }
+
+  /**
+   * Handles the responses sent by the "check_session_iframe"
+   * @param {MessageEvent} event the message event
+   * @private
+   */
+  $$onMessage(event) {
+    // NOTE: Only trust responses sent by the iframe we created.
+    if (!this.$iframe || event.source !== this.$iframe.contentWindow || event.origin !== this.$origin) return;
+
+    if (event.data === 'changed') {
+      logger('Session changed, stopping the session monitor...');
+      this.stop();
+      this.$callback();
+    } else if (event.data === 'error') {
+      // The identity provider couldn't understand our message, so there's no sense in asking again.
+      logger('The identity provider was unable to check the session, stopping the session monitor...');
+      this.stop();
+    }
+  }
+
+  /**
+   * Stops checking the session
+   */
+  stop() {
+    clearInterval(this.$timer);
+    this.$timer = null;
+    window.removeEventListener('message', this.$$onMessage);
+
+    if (this.$iframe) {
+      this.$iframe.parentNode && this.$iframe.parentNode.removeChild(this.$iframe);
+      this.$iframe = null;
+    }
+  }
+}
+
+export { SalteAuthSessionMonitor };
+export default SalteAuthSessionMonitor;
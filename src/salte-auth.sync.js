@@ -0,0 +1,157 @@
+import uuid from 'uuid';
+import debug from 'debug';
+
+/** @ignore */
+const logger = debug('@salte-auth/salte-auth:sync');
+
+/**
+ * How long a tab remains the leader without renewing its lease
+ * @ignore
+ */
+const LEASE_DURATION = 5000;
+
+/**
+ * Notifies the other tabs of authentication changes and elects a single tab to refresh the tokens
+ */
+class SalteAuthSync {
+  /**
+   * Listens for messages sent by the other tabs
+   * @param {String} name the name of the channel (or storage key) to communicate over
+   * @param {Function} callback invoked with the messages sent by the other tabs
+   */
+  constructor(name, callback) {
+    /** @ignore */
+    this.$name = name;
+    /** @ignore */
+    this.$callback = callback;
+    /** @ignore */
+    this.$id = uuid.v4();
+    /** @ignore */
+    this.$leaseKey = `${name}.leader`;
+    /** @ignore */
+    this.$leaseDuration = LEASE_DURATION;
+
+    const { BroadcastChannel } = window;
+    if (BroadcastChannel) {
+      logger('BroadcastChannel detected, setting up the channel...');
+      /** @ignore */
+      this.$channel = new BroadcastChannel(name);
+      this.$channel.onmessage = (event) => this.$callback(event.data);
+    } else {
+      logger('Falling back to storage events...');
+      /** @ignore */
+      this.$$onStorage = this.$$onStorage.bind(this);
+      window.addEventListener('storage', this.$$onStorage, { passive: true });
+    }
+
+    this.$$elect();
+    /** @ignore */
+    this.$heartbeat = setInterval(this.$$elect.bind(this), this.$leaseDuration / 2);
+  }
+
+  /**
+   * Whether this tab is responsible for refreshing the tokens
+   * @type {Boolean}
+   */
+  get leader() {
+    const lease = this.$lease;
+    return Boolean(lease) && lease.id === this.$id && lease.expires > Date.now();
+  }
+
+  /**
+   * The lease held by the current leader
+   * @type {Object}
+   * @private
+   */
+  get $lease() {
+    const lease = localStorage.getItem(this.$leaseKey);
+    return lease ? JSON.parse(lease) : null;
+  }
+
+  /**
+   * Renews our lease if we're the leader, or takes over if the leader has gone away
+   * @private
+   */
+  $$elect() {
+    if (this.$resigned) return;
+
+    const lease = this.$lease;
+    if (lease && lease.id !== this.$id && lease.expires > Date.now()) return;
+
+    if (!lease || lease.id !== this.$id) {
+      logger('Taking over as the leader...');
+    }
+
+    localStorage.setItem(this.$leaseKey, JSON.stringify({
+      id: this.$id,
+      expires: Date.now() + this.$leaseDuration
+    }));
+  }
+
+  /**
+   * Gives up the lease and stops competing for it until we rejoin, allowing a visible tab to take over
+   */
+  resign() {
+    /** @ignore */
+    this.$resigned = true;
+    if (this.leader) {
+      logger('Stepping down as the leader...');
+      localStorage.removeItem(this.$leaseKey);
+    }
+  }
+
+  /**
+   * Starts competing for the lease again
+   */
+  rejoin() {
+    this.$resigned = false;
+    this.$$elect();
+  }
+
+  /**
+   * Handles the messages sent by the other tabs via storage events
+   * @param {StorageEvent} event the storage event
+   * @private
+   */
+  $$onStorage(event) {
+    // NOTE: Removing the message also fires an event, which we can safely ignore.
+    if (event.key !== this.$name || !event.newValue) return;
+
+    this.$callback(JSON.parse(event.newValue));
+  }
+
+  /**
+   * Sends a message to the other tabs
+   * @param {Object} message the message to send
+   */
+  broadcast(message) {
+    if (this.$channel) {
+      this.$channel.postMessage(message);
+      return;
+    }
+
+    // Other tabs are notified of the change, so we can clean it up immediately.
+    localStorage.setItem(this.$name, JSON.stringify(message));
+    localStorage.removeItem(this.$name);
+  }
+
+  /**
+   * Stops listening for messages sent by the other tabs
+   */
+  close() {
+    clearInterval(this.$heartbeat);
+    if (this.leader) {
+      // Let another tab take over immediately rather than waiting for the lease to expire.
+      localStorage.removeItem(this.$leaseKey);
+    }
+
+    if (this.$channel) {
+      this.$channel.close();
+    } else {
+      window.removeEventListener('storage', this.$$onStorage);
+    }
+  }
+}
+
+export { SalteAuthSync };
+export default SalteAuthSync;
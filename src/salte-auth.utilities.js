@@ -1,15 +1,47 @@
 import assign from 'lodash/assign';
 import debug from 'debug';
+import { sha256 } from 'js-sha256';
+
+import { SalteAuthConnection } from './salte-auth.connection.js';
 
 /** @ignore */
 const logger = debug('@salte-auth/salte-auth:utilities');
 
+/**
+ * The WebCrypto parameters for each of the supported JWS algorithms
+ * @ignore
+ */
+const SIGNATURE_ALGORITHMS = {
+  RS256: {
+    kty: 'RSA',
+    import: { name: 'RSASSA-PKCS1-v1_5', hash: { name: 'SHA-256' } },
+    verify: { name: 'RSASSA-PKCS1-v1_5' }
+  },
+  PS256: {
+    kty: 'RSA',
+    import: { name: 'RSA-PSS', hash: { name: 'SHA-256' } },
+    verify: { name: 'RSA-PSS', saltLength: 32 }
+  },
+  ES256: {
+    kty: 'EC',
+    import: { name: 'ECDSA', namedCurve: 'P-256' },
+    verify: { name: 'ECDSA', hash: { name: 'SHA-256' } }
+  }
+};
+
+/**
+ * The XMLHttpRequest state once the response headers are available
+ * @ignore
+ */
+const HEADERS_RECEIVED = 2;
+
 /**
  * Basic utilities to support the authentication flow
  */
 class SalteAuthUtilities {
   /**
-   * Wraps all XHR and Fetch (if available) requests to allow promise interceptors
+   * Wraps all XHR and Fetch (if available) requests to allow promise interceptors,
+   * WebSocket and EventSource connections are only wrapped if realtime is enabled
    * @param {Config} config configuration for salte auth
    */
   constructor(config) {
@@ -19,21 +51,68 @@ class SalteAuthUtilities {
     /** @ignore */
     this.$interceptors = {
       fetch: [],
-      xhr: []
+      xhr: [],
+      retry: [],
+      xhrRetry: [],
+      realtime: []
     };
 
+    /**
+     * The realtime connections that can be reconnected
+     * @ignore
+     */
+    this.$connections = [];
+
+    /**
+     * The globals we've wrapped, kept so they can be restored
+     * @ignore
+     */
+    this.$$wrappers = [];
+
+    const self = this;
     logger('Setting up wrappers for XMLHttpRequest...');
     (function(open) {
-      XMLHttpRequest.prototype.open = function(method, url) {
+      self.$$wrap(XMLHttpRequest.prototype, 'open', function(method, url) {
+        /** @ignore */
+        this.$method = method;
         /** @ignore */
         this.$url = url;
+        /** @ignore */
+        this.$headers = [];
+        /** @ignore */
+        this.$$replayed = false;
         return open.call(this, method, url);
-      };
+      });
     })(XMLHttpRequest.prototype.open);
 
-    const self = this;
+    (function(setRequestHeader) {
+      self.$$wrap(XMLHttpRequest.prototype, 'setRequestHeader', function(name, value) {
+        // NOTE: Other instances may have wrapped this as well, only the outermost wrapper should record the header.
+        const recording = !this.$$recording;
+        if (recording && this.$headers) {
+          this.$headers.push([name, value]);
+        }
+
+        /** @ignore */
+        this.$$recording = true;
+        try {
+          return setRequestHeader.call(this, name, value);
+        } finally {
+          if (recording) {
+            this.$$recording = false;
+          }
+        }
+      });
+    })(XMLHttpRequest.prototype.setRequestHeader);
+
     (function(send) {
-      XMLHttpRequest.prototype.send = function(data) {
+      self.$$wrap(XMLHttpRequest.prototype, 'send', function(data) {
+        // NOTE: Replaying requires resending them, so we only do so for the secured endpoints.
+        if (self.$interceptors.xhrRetry.length && !this.$$replayed && self.$$config && self.findMatchingUrl(this.$url, self.$$config.endpoints)) {
+          // NOTE: Reopening a request clears its headers, so we need to hold onto the ones set before the interceptors ran.
+          self.$$retryXHR(this, data, (this.$headers || []).slice());
+        }
+
         const promises = [];
         for (let i = 0; i < self.$interceptors.xhr.length; i++) {
           const interceptor = self.$interceptors.xhr[i];
@@ -47,15 +126,13 @@ class SalteAuthUtilities {
           event.detail = error;
           this.dispatchEvent(event);
         });
-      };
+      });
     })(XMLHttpRequest.prototype.send);
 
     if (window.fetch) {
       logger('Fetch detected, setting up wrappers...');
       (function(fetch) {
-        window.fetch = function(input, options) {
-          const request = input instanceof Request ? input : new Request(input, options);
-
+        const send = function(request) {
           const promises = [];
           for (let i = 0; i < self.$interceptors.fetch.length; i++) {
             const interceptor = self.$interceptors.fetch[i];
@@ -65,8 +142,91 @@ class SalteAuthUtilities {
             return fetch.call(this, request);
           });
         };
+
+        self.$$wrap(window, 'fetch', function(input, options) {
+          const request = input instanceof Request ? input : new Request(input, options);
+          // NOTE: Request bodies can only be read once, so we need to hold onto a copy in case we replay it.
+          const retry = self.$interceptors.retry.length ? request.clone() : null;
+
+          return send.call(this, request).then((response) => {
+            if (!retry) return response;
+
+            const challenge = response.status === 401 && self.parseBearerChallenge(response.headers.get('WWW-Authenticate'));
+            if (!challenge || challenge.error !== 'invalid_token') return response;
+
+            const promises = [];
+            for (let i = 0; i < self.$interceptors.retry.length; i++) {
+              const interceptor = self.$interceptors.retry[i];
+              promises.push(interceptor(retry, challenge));
+            }
+            return Promise.all(promises).then((results) => {
+              if (results.indexOf(true) === -1) return response;
+
+              logger('Replaying the request with the renewed token...');
+              return send.call(this, retry);
+            });
+          });
+        });
       })(fetch);
     }
+
+    if (config && config.realtime) {
+      const { WebSocket, EventSource } = window;
+      if (WebSocket) {
+        logger('WebSocket detected, setting up wrappers...');
+        this.$$wrapConnection('WebSocket', 'websocket');
+      }
+
+      if (EventSource) {
+        logger('EventSource detected, setting up wrappers...');
+        this.$$wrapConnection('EventSource', 'eventsource');
+      }
+    }
+  }
+
+  /**
+   * Replays the request once if it's rejected with an "invalid_token" challenge
+   * @param {XMLHttpRequest} request the request to watch
+   * @param {*} data the body of the request
+   * @param {Array<Array<String>>} headers the headers set by the app
+   * @private
+   */
+  $$retryXHR(request, data, headers) {
+    /**
+     * Checks the response as soon as the headers are available, before the app sees it
+     * @ignore
+     */
+    const onReadyStateChange = () => {
+      if (request.readyState < HEADERS_RECEIVED) return;
+      request.removeEventListener('readystatechange', onReadyStateChange);
+
+      const challenge = request.status === 401 && this.parseBearerChallenge(request.getResponseHeader('WWW-Authenticate'));
+      if (!challenge || challenge.error !== 'invalid_token') return;
+
+      // NOTE: Reopening the request discards the response without firing any "load" or "error" events.
+      request.open(request.$method, request.$url);
+      request.$$replayed = true;
+
+      const promises = [];
+      for (let i = 0; i < this.$interceptors.xhrRetry.length; i++) {
+        const interceptor = this.$interceptors.xhrRetry[i];
+        promises.push(interceptor(request, challenge));
+      }
+
+      Promise.all(promises).catch((error) => {
+        logger('Failed to renew the token...', error);
+        return [];
+      }).then((results) => {
+        // NOTE: The original response has already been discarded, so we send it as is if the interceptors declined.
+        logger(results.indexOf(true) === -1 ? 'Resending the request...' : 'Replaying the request with the renewed token...');
+        for (let i = 0; i < headers.length; i++) {
+          request.setRequestHeader(headers[i][0], headers[i][1]);
+        }
+        request.send(data);
+      });
+    };
+
+    request.addEventListener('readystatechange', onReadyStateChange);
   }
 
   /**
@@ -88,6 +248,134 @@ class SalteAuthUtilities {
     return url;
   }
 
+  /**
+   * Encodes a list of bytes as a base64url string without padding
+   * @param {Array<Number>} bytes the bytes to encode
+   * @return {String} the base64url encoded string
+   */
+  base64UrlEncode(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Decodes a base64url string
+   * @param {String} value the base64url encoded string
+   * @return {String} the decoded binary string
+   */
+  base64UrlDecode(value) {
+    // This fixes an issue where various providers will encode values
+    // incorrectly and cause the browser to fail to decode.
+    // https://stackoverflow.com/questions/43065553/base64-decoded-differently-in-java-jjwt
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    return atob(base64 + '==='.slice((base64.length + 3) % 4));
+  }
+
+  /**
+   * Converts a binary string into a typed array
+   * @param {String} binary the binary string to convert
+   * @return {Uint8Array} the bytes of the binary string
+   */
+  toBytes(binary) {
+    const { Uint8Array } = window;
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Verifies the signature of a JSON Web Token using WebCrypto
+   * @param {String} token the token to verify
+   * @param {Object} jwk the JSON Web Key the token should be signed with
+   * @return {Promise<Boolean>} resolves with true if the signature is valid
+   *
+   * @see https://tools.ietf.org/html/rfc7515#section-5.2
+   */
+  verifySignature(token, jwk) {
+    const [header, payload, signature] = token.split('.');
+
+    let alg;
+    try {
+      alg = JSON.parse(this.base64UrlDecode(header)).alg;
+    } catch (error) {
+      return Promise.resolve(false);
+    }
+
+    const algorithm = SIGNATURE_ALGORITHMS[alg];
+    // NOTE: This ensures a token can't pick a weaker algorithm than the key was intended for (e.g. "none").
+    if (!algorithm || !signature || jwk.kty !== algorithm.kty || (jwk.alg && jwk.alg !== alg)) {
+      return Promise.resolve(false);
+    }
+
+    if (!window.crypto || !window.crypto.subtle) {
+      return Promise.reject(new ReferenceError('WebCrypto is required to verify signatures.'));
+    }
+
+    const subtle = window.crypto.subtle;
+    return Promise.resolve(subtle.importKey('jwk', jwk, algorithm.import, false, ['verify'])).then((key) => {
+      return subtle.verify(algorithm.verify, key, this.toBytes(this.base64UrlDecode(signature)), this.toBytes(`${header}.${payload}`));
+    }).catch((error) => {
+      logger('Failed to verify the signature...', error);
+      return false;
+    });
+  }
+
+  /**
+   * Computes the S256 code challenge for the given code verifier
+   * @param {String} codeVerifier the code verifier to derive the challenge from
+   * @return {String} the base64url encoded SHA-256 hash of the code verifier
+   *
+   * @see https://tools.ietf.org/html/rfc7636#section-4.2
+   */
+  createCodeChallenge(codeVerifier) {
+    return this.base64UrlEncode(sha256.array(codeVerifier));
+  }
+
+  /**
+   * Sends a GET request and parses the JSON response
+   * @param {String} url the url to send the request to
+   * @param {Object} [headers] the headers to attach to the request
+   * @return {Promise<Object>} resolves with the parsed response body
+   */
+  getJSON(url, headers) {
+    return fetch(url, {
+      method: 'GET',
+      headers: headers || {}
+    }).then((response) => response.json());
+  }
+
+  /**
+   * Sends a form-encoded POST request
+   * @param {String} url the url to send the request to
+   * @param {Object} params the form parameters to send
+   * @return {Promise<Response>} resolves with the raw response
+   */
+  sendForm(url, params) {
+    return fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: this.createUrl('', params).replace(/^\?/, '')
+    });
+  }
+
+  /**
+   * Sends a form-encoded POST request and parses the JSON response
+   * @param {String} url the url to send the request to
+   * @param {Object} params the form parameters to send
+   * @return {Promise<Object>} resolves with the parsed response body
+   */
+  postForm(url, params) {
+    return this.sendForm(url, params).then((response) => response.json());
+  }
+
   /**
    * Converts a url to an absolute url
    * @param {String} path the url path to resolve to an absolute url
@@ -111,21 +399,32 @@ class SalteAuthUtilities {
   /**
    * Checks if the given url matches any of the test urls
    * @param {String} url The url to test
-   * @param {Array<String|RegExp>} tests The urls to match the test url against
+   * @param {Array<String|RegExp|Endpoint>} tests The urls to match the test url against
    * @return {Boolean} true if the url matches one of the tests
    */
-  checkForMatchingUrl(url, tests = []) {
+  checkForMatchingUrl(url, tests) {
+    return this.findMatchingUrl(url, tests) !== null;
+  }
+
+  /**
+   * Finds the first test url that matches the given url
+   * @param {String} url The url to test
+   * @param {Array<String|RegExp|Endpoint>} tests The urls to match the test url against
+   * @return {String|RegExp|Endpoint} the matching test url or null if none match
+   */
+  findMatchingUrl(url, tests = []) {
     const resolvedUrl = this.resolveUrl(url);
     for (let i = 0; i < tests.length; i++) {
       const test = tests[i];
-      if (test instanceof RegExp) {
-        if (resolvedUrl.match(test)) return true;
+      const pattern = test.url || test;
+      if (pattern instanceof RegExp) {
+        if (resolvedUrl.match(pattern)) return test;
       } else {
-        if (resolvedUrl.indexOf(this.resolveUrl(test)) === 0) return true;
+        if (resolvedUrl.indexOf(this.resolveUrl(pattern)) === 0) return test;
       }
     }
 
-    return false;
+    return null;
   }
 
   /**
@@ -145,71 +444,67 @@ class SalteAuthUtilities {
 
   /**
    * Opens a popup window in the middle of the viewport
-   * @param {String} url the url to be loaded
+   * @param {String|Promise<String>} url the url to be loaded, the popup is opened blank until a pending url resolves
    * @param {String} name the name of the window
    * @param {Number} height the height of the window
    * @param {Number} width the width of the window
-   * @return {Promise} resolves when the popup is closed
+   * @return {Promise<Object>} resolves with the authentication response once the popup sends it
    */
   openPopup(url, name = 'salte-auth', height = 600, width = 400) {
     const top = ((window.innerHeight / 2) - (height / 2)) + window.screenTop;
     const left = ((window.innerWidth / 2) - (width / 2)) + window.screenLeft;
-    const popupWindow = window.open(url, name, `height=${height}, width=${width}, status=yes, toolbar=no, menubar=no, location=no, top=${top}, left=${left}`);
+    const popupWindow = window.open(typeof url === 'string' ? url : '', name, `height=${height}, width=${width}, status=yes, toolbar=no, menubar=no, location=no, top=${top}, left=${left}`);
     if (!popupWindow) {
       return Promise.reject(new ReferenceError('We were unable to open the popup window, its likely that the request was blocked.'));
     }
 
     popupWindow.focus();
-    // TODO: Find a better way of tracking when a Window closes.
-    return new Promise((resolve) => {
-      const checker = setInterval(() => {
-        try {
-          if (!popupWindow.closed) {
-            // This could throw cross-domain errors, so we need to silence them.
-            const loginUrl = this.$$config.redirectUrl && this.$$config.redirectUrl.loginUrl || this.$$config.redirectUrl;
-            const logoutUrl = this.$$config.redirectUrl && this.$$config.redirectUrl.logoutUrl || this.$$config.redirectUrl;
-            if (popupWindow.location.href.indexOf(loginUrl) !== 0 || popupWindow.location.href.indexOf(logoutUrl) !== 0) return;
-
-            location.hash = popupWindow.location.hash;
-            popupWindow.close();
-          }
-          clearInterval(checker);
-          setTimeout(resolve);
-        } catch (e) {}
-      }, 100);
+    // NOTE: Listen right away, the response could arrive before we're done loading.
+    const response = this.$$awaitResponse(popupWindow, 'The popup window was closed before authentication completed.');
+    return Promise.all([this.$$load(popupWindow, url), response]).then(([, params]) => {
+      popupWindow.close();
+      return params;
     });
   }
 
   /**
    * Opens a new tab
-   * @param {String} url the url to be loaded
-   * @return {Promise} resolves when the tab is closed
+   * @param {String|Promise<String>} url the url to be loaded, the tab is opened blank until a pending url resolves
+   * @return {Promise<Object>} resolves with the authentication response once the tab sends it
    */
   openNewTab(url) {
-    const tabWindow = window.open(url, '_blank');
+    const tabWindow = window.open(typeof url === 'string' ? url : '', '_blank');
     if (!tabWindow) {
       return Promise.reject(new ReferenceError('We were unable to open the new tab, its likely that the request was blocked.'));
     }
 
     tabWindow.name = 'salte-auth';
     tabWindow.focus();
-    // TODO: Find a better way of tracking when a Window closes.
-    return new Promise((resolve) => {
-      const checker = setInterval(() => {
-        try {
-          if (!tabWindow.closed) {
-            // This could throw cross-domain errors, so we need to silence them.
-            const loginUrl = this.$$config.redirectUrl && this.$$config.redirectUrl.loginUrl || this.$$config.redirectUrl;
-            const logoutUrl = this.$$config.redirectUrl && this.$$config.redirectUrl.logoutUrl || this.$$config.redirectUrl;
-            if (tabWindow.location.href.indexOf(loginUrl) !== 0 || tabWindow.location.href.indexOf(logoutUrl) !== 0) return;
-
-            location.hash = tabWindow.location.hash;
-            tabWindow.close();
-          }
-          clearInterval(checker);
-          setTimeout(resolve);
-        } catch (e) {}
-      }, 100);
+    // NOTE: Listen right away, the response could arrive before we're done loading.
+    const response = this.$$awaitResponse(tabWindow, 'The tab was closed before authentication completed.');
+    return Promise.all([this.$$load(tabWindow, url), response]).then(([, params]) => {
+      tabWindow.close();
+      return params;
+    });
+  }
+
+  /**
+   * Loads a pending url in a window we've already opened
+   *
+   * Windows need to be opened synchronously, otherwise browsers treat them as unsolicited popups.
+   * @param {Window} target the window we opened
+   * @param {String|Promise<String>} url the url to be loaded
+   * @return {Promise} a promise that resolves once the url has been loaded
+   * @private
+   */
+  $$load(target, url) {
+    if (typeof url === 'string') return Promise.resolve();
+
+    return Promise.resolve(url).then((resolvedUrl) => {
+      target.location.href = resolvedUrl;
+    }, (error) => {
+      target.close();
+      return Promise.reject(error);
     });
   }
 
@@ -218,7 +513,7 @@ class SalteAuthUtilities {
    * @param {String} url the url to be loaded
    * @param {Boolean} show whether the iframe should be visible
    * @param {Number} timeout duration to wait before rejecting the request
-   * @return {Promise} resolves when the iframe is closed
+   * @return {Promise<Object>} resolves with the authentication response once the iframe sends it
    */
   createIframe(url, show, timeout) {
     const iframe = document.createElement('iframe');
@@ -247,15 +542,161 @@ class SalteAuthUtilities {
     }
     iframe.src = url;
     document.body.appendChild(iframe);
+
+    const response = this.$$awaitResponse(iframe.contentWindow, 'The iframe was removed before authentication completed.', 'Iframe failed to respond in time.', timeout);
+    const remove = () => {
+      if (iframe.parentNode) {
+        iframe.parentNode.removeChild(iframe);
+      }
+    };
+
+    return response.then((params) => {
+      remove();
+      return params;
+    }).catch((error) => {
+      remove();
+      return Promise.reject(error);
+    });
+  }
+
+  /**
+   * Waits for a window we opened to send us its authentication response
+   * @param {Window} source the popup, tab, or iframe window we're expecting the response from
+   * @param {String} closedMessage the error message used if the window is closed before responding
+   * @param {String} [timeoutMessage] the error message used if the window fails to respond in time
+   * @param {Number} [timeout] duration to wait before rejecting the request
+   * @return {Promise<Object>} resolves with the authentication response
+   * @private
+   */
+  $$awaitResponse(source, closedMessage, timeoutMessage, timeout) {
+    const origin = `${location.protocol}//${location.host}`;
+
     return new Promise((resolve, reject) => {
+      const listener = (event) => {
+        // NOTE: Only trust responses sent by the window we opened from our own origin.
+        if (event.source !== source || event.origin !== origin) return;
+        if (!event.data || event.data.type !== 'salte-auth:response') return;
+
+        cleanup();
+        resolve(event.data.params || {});
+      };
+
+      window.addEventListener('message', listener);
+
+      const checker = setInterval(() => {
+        if (source.closed) {
+          cleanup();
+          reject(new Error(closedMessage));
+        }
+      }, 100);
+
       const autoReject = timeout && setTimeout(() => {
-        reject(new Error('Iframe failed to respond in time.'));
+        cleanup();
+        reject(new Error(timeoutMessage));
       }, timeout);
-      iframe.addEventListener('DOMNodeRemoved', () => {
-        setTimeout(resolve);
+
+      const cleanup = () => {
+        window.removeEventListener('message', listener);
+        clearInterval(checker);
         clearTimeout(autoReject);
-      }, { passive: true });
+      };
+    });
+  }
+
+  /**
+   * Sends the authentication response of the current page to the window waiting on it
+   * @param {Window} target the parent or opener window
+   * @param {Object} params the parsed authentication response
+   */
+  $respond(target, params) {
+    target.postMessage({
+      type: 'salte-auth:response',
+      params
+    }, `${location.protocol}//${location.host}`);
+  }
+
+  /**
+   * Replaces a global with a wrapper that can later be restored
+   * @param {Object} target the object that owns the global
+   * @param {String} name the name of the global
+   * @param {Function} wrapper the function to replace the global with
+   * @private
+   */
+  $$wrap(target, name, wrapper) {
+    this.$$wrappers.push({ target, name, wrapper, original: target[name] });
+    target[name] = wrapper;
+  }
+
+  /**
+   * Replaces a realtime constructor with one that intercepts its connections
+   * @param {String} name the name of the global constructor
+   * @param {('websocket'|'eventsource')} type the type of connection it creates
+   * @private
+   */
+  $$wrapConnection(name, type) {
+    const Type = window[name];
+    const { Symbol } = window;
+    const self = this;
+    const wrapper = function(url, options) {
+      // NOTE: Connections that won't be authenticated don't need to be intercepted.
+      if (!self.findMatchingUrl(String(url), self.$$config.endpoints)) {
+        return options === undefined ? new Type(url) : new Type(url, options);
+      }
+
+      return new SalteAuthConnection(Type, type, url, options, self);
+    };
+
+    wrapper.prototype = Type.prototype;
+    if (Symbol && Symbol.hasInstance) {
+      // NOTE: This ensures our connections still pass "instanceof" checks against the wrapped constructor.
+      Object.defineProperty(wrapper, Symbol.hasInstance, {
+        value: (instance) => instance instanceof Type || (instance instanceof SalteAuthConnection && instance.$Type === Type)
+      });
+    }
+
+    ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'].forEach((state) => {
+      if (Type[state] !== undefined) {
+        wrapper[state] = Type[state];
+      }
+    });
+
+    this.$$wrap(window, name, wrapper);
+  }
+
+  /**
+   * Removes every interceptor and restores the globals we've wrapped
+   */
+  destroy() {
+    logger('Restoring the wrapped globals...');
+    this.$interceptors = {
+      fetch: [],
+      xhr: [],
+      retry: [],
+      xhrRetry: [],
+      realtime: []
+    };
+    this.$connections = [];
+
+    this.$$wrappers.forEach(({ target, name, wrapper, original }) => {
+      // NOTE: If another instance wrapped ours we can't restore it, but it no longer has any interceptors.
+      if (target[name] === wrapper) {
+        target[name] = original;
+      }
     });
+    this.$$wrappers = [];
+  }
+
+  /**
+   * Removes an interceptor from the given list
+   * @param {Array<Function>} interceptors the list of interceptors
+   * @param {Function} interceptor the interceptor to remove
+   * @private
+   */
+  $$removeInterceptor(interceptors, interceptor) {
+    const index = interceptors.indexOf(interceptor);
+    if (index !== -1) {
+      interceptors.splice(index, 1);
+    }
   }
 
   /**
@@ -266,6 +707,14 @@ class SalteAuthUtilities {
     this.$interceptors.xhr.push(interceptor);
   }
 
+  /**
+   * Removes a XMLHttpRequest interceptor
+   * @param {Function} interceptor the interceptor function
+   */
+  removeXHRInterceptor(interceptor) {
+    this.$$removeInterceptor(this.$interceptors.xhr, interceptor);
+  }
+
   /**
    * Adds a fetch interceptor
    * @param {Function} interceptor the interceptor function
@@ -274,6 +723,92 @@ class SalteAuthUtilities {
     this.$interceptors.fetch.push(interceptor);
   }
 
+  /**
+   * Removes a fetch interceptor
+   * @param {Function} interceptor the interceptor function
+   */
+  removeFetchInterceptor(interceptor) {
+    this.$$removeInterceptor(this.$interceptors.fetch, interceptor);
+  }
+
+  /**
+   * Adds an interceptor that decides whether a fetch request rejected with an "invalid_token" challenge should be replayed once
+   * @param {Function} interceptor the interceptor function, resolves with true if the request should be replayed
+   */
+  addFetchRetryInterceptor(interceptor) {
+    this.$interceptors.retry.push(interceptor);
+  }
+
+  /**
+   * Removes a fetch retry interceptor
+   * @param {Function} interceptor the interceptor function
+   */
+  removeFetchRetryInterceptor(interceptor) {
+    this.$$removeInterceptor(this.$interceptors.retry, interceptor);
+  }
+
+  /**
+   * Adds an interceptor that decides whether a XMLHttpRequest rejected with an "invalid_token" challenge should be replayed once
+   * @param {Function} interceptor the interceptor function, resolves with true if the request should be replayed
+   */
+  addXHRRetryInterceptor(interceptor) {
+    this.$interceptors.xhrRetry.push(interceptor);
+  }
+
+  /**
+   * Removes a XMLHttpRequest retry interceptor
+   * @param {Function} interceptor the interceptor function
+   */
+  removeXHRRetryInterceptor(interceptor) {
+    this.$$removeInterceptor(this.$interceptors.xhrRetry, interceptor);
+  }
+
+  /**
+   * Adds a WebSocket and EventSource interceptor, these are only invoked if realtime is enabled
+   * @param {Function} interceptor the interceptor function
+   */
+  addRealtimeInterceptor(interceptor) {
+    this.$interceptors.realtime.push(interceptor);
+  }
+
+  /**
+   * Removes a WebSocket and EventSource interceptor
+   * @param {Function} interceptor the interceptor function
+   */
+  removeRealtimeInterceptor(interceptor) {
+    this.$$removeInterceptor(this.$interceptors.realtime, interceptor);
+  }
+
+  /**
+   * Reopens every realtime connection so the interceptors can attach fresh tokens
+   * @return {Promise} a promise that resolves once every connection has been reopened
+   */
+  reconnect() {
+    return Promise.all(this.$connections.slice().map((connection) => connection.reconnect()));
+  }
+
+  /**
+   * Parses the Bearer challenge of a "WWW-Authenticate" header
+   * @param {String} header the value of the "WWW-Authenticate" header
+   * @return {Object} the parameters of the challenge (e.g. error and scope) or null if there isn't a Bearer challenge
+   *
+   * @see https://tools.ietf.org/html/rfc6750#section-3
+   */
+  parseBearerChallenge(header) {
+    const match = header && header.match(/(?:^|,)\s*Bearer(?:\s+(.*))?$/i);
+    if (!match) return null;
+
+    const challenge = {};
+    const regex = /([a-z_]+)=(?:"([^"]*)"|([^\s,]*))/gi;
+    let param = regex.exec(match[1] || '');
+    while (param) {
+      challenge[param[1].toLowerCase()] = param[2] === undefined ? param[3] : param[2];
+      param = regex.exec(match[1]);
+    }
+
+    return challenge;
+  }
+
   /**
    * Checks if the current window is an iframe
    * @return {HTMLIFrameElement} true if the current window is an iframe.
@@ -0,0 +1,142 @@
+import debug from 'debug';
+
+import { SalteAuthMemoryStorage } from './memory.js';
+
+/** @ignore */
+const logger = debug('@salte-auth/salte-auth:storage');
+
+/**
+ * Puts a synchronous cache in front of a storage adapter that may be asynchronous
+ *
+ * Values are read from the cache and written through to the adapter in the order they were changed.
+ */
+class SalteAuthCachedStorage extends SalteAuthMemoryStorage {
+  /**
+   * Loads the adapters values into the cache
+   * @param {StorageAdapter} adapter the adapter to persist values with
+   */
+  constructor(adapter) {
+    super();
+
+    /** @ignore */
+    this.$adapter = adapter;
+    /**
+     * The keys that were changed before the adapters values were loaded
+     * @ignore
+     */
+    this.$changes = {};
+    /**
+     * The pending writes to the adapter
+     * @ignore
+     */
+    this.$pending = Promise.resolve();
+
+    /**
+     * Whether the adapters values have been loaded
+     * @type {Boolean}
+     */
+    this.hydrated = false;
+
+    /**
+     * Resolves once the adapters values have been loaded
+     * @type {Promise}
+     */
+    this.ready = this.$$load();
+  }
+
+  /**
+   * Loads the adapters values into the cache
+   * @return {Promise} a promise that resolves once the values have been loaded
+   * @private
+   */
+  $$load() {
+    logger('Loading the stored values...');
+    const adapter = this.$adapter;
+
+    // NOTE: Our own writes need to land first, otherwise we'd load stale values.
+    return this.$pending.then(() => adapter.keys()).then((keys) => {
+      return Promise.all(keys.map((key) => {
+        return Promise.resolve(adapter.getItem(key)).then((value) => [key, value]);
+      }));
+    }).then((entries) => {
+      const items = {};
+      entries.forEach(([key, value]) => {
+        if ([undefined, null].indexOf(value) === -1) {
+          items[key] = String(value);
+        }
+      });
+
+      // NOTE: Anything changed while we were loading is newer than what was stored.
+      Object.keys(this.$changes).forEach((key) => {
+        if (this.$items.hasOwnProperty(key)) {
+          items[key] = this.$items[key];
+        } else {
+          delete items[key];
+        }
+      });
+
+      this.$items = items;
+    }).catch((error) => {
+      logger('Failed to load the stored values...', error);
+    }).then(() => {
+      this.hydrated = true;
+      this.$changes = {};
+    });
+  }
+
+  /**
+   * Reloads the adapters values, this picks up changes made elsewhere (e.g. other tabs)
+   * @return {Promise} a promise that resolves once the values have been reloaded
+   */
+  reload() {
+    this.hydrated = false;
+    this.ready = this.$$load();
+    return this.ready;
+  }
+
+  /**
+   * Stores a value and writes it through to the adapter
+   * @param {String} key the key of the value
+   * @param {String} value the value to store
+   */
+  setItem(key, value) {
+    super.setItem(key, value);
+    this.$$persist(key, () => this.$adapter.setItem(key, String(value)));
+  }
+
+  /**
+   * Removes a value and removes it from the adapter
+   * @param {String} key the key of the value
+   */
+  removeItem(key) {
+    super.removeItem(key);
+    this.$$persist(key, () => this.$adapter.removeItem(key));
+  }
+
+  /**
+   * Queues a write to the adapter
+   * @param {String} key the key being changed
+   * @param {Function} write performs the write
+   * @private
+   */
+  $$persist(key, write) {
+    if (!this.hydrated) {
+      this.$changes[key] = true;
+    }
+
+    this.$pending = this.$pending.then(write).catch((error) => {
+      logger(`Failed to persist the value... (${key})`, error);
+    });
+  }
+
+  /**
+   * Waits for every pending write to reach the adapter
+   * @return {Promise} a promise that resolves once the adapter is up to date
+   */
+  flush() {
+    return this.$pending;
+  }
+}
+
+export { SalteAuthCachedStorage };
+export default SalteAuthCachedStorage;
@@ -0,0 +1,170 @@
+import { SalteAuthIndexedDBStorage } from './indexeddb.js';
+
+/**
+ * The algorithm every value is encrypted with
+ * @ignore
+ */
+const ALGORITHM = { name: 'AES-GCM', length: 256 };
+
+/**
+ * Converts bytes into a binary string
+ * @param {ArrayBuffer|Uint8Array} buffer the bytes to convert
+ * @return {String} the binary string
+ * @ignore
+ */
+function toBinary(buffer) {
+  const { Uint8Array } = window;
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return binary;
+}
+
+/**
+ * Converts a binary string into bytes
+ * @param {String} binary the binary string to convert
+ * @return {Uint8Array} the bytes
+ * @ignore
+ */
+function toBytes(binary) {
+  const { Uint8Array } = window;
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encrypts values before handing them to another storage
+ *
+ * The key is generated as non-extractable and kept in IndexedDB,
+ * so values copied out of storage can't be decrypted anywhere else.
+ */
+class SalteAuthEncryptedStorage {
+  /**
+   * Prepares the storage, the key isn't loaded until it's needed
+   * @param {Storage|StorageAdapter} storage the storage to keep the encrypted values in
+   * @param {String} prefix only keys with this prefix are loaded from the storage
+   * @param {SalteAuthIndexedDBStorage} [keys] where to keep the encryption key
+   */
+  constructor(storage, prefix, keys = new SalteAuthIndexedDBStorage('salte-auth-keys')) {
+    /** @ignore */
+    this.$storage = storage;
+    /** @ignore */
+    this.$prefix = prefix;
+    /** @ignore */
+    this.$keys = keys;
+  }
+
+  /**
+   * Loads the encryption key, generating it if it doesn't exist
+   * @return {Promise<CryptoKey>} the encryption key
+   * @private
+   */
+  get $key() {
+    if (!this.$$key) {
+      const { crypto } = window;
+      const name = `${this.$prefix}.encryption-key`;
+
+      /** @ignore */
+      this.$$key = Promise.resolve().then(() => {
+        if (!crypto || !crypto.subtle) {
+          throw new ReferenceError('WebCrypto is required to encrypt the stored values.');
+        }
+
+        return this.$keys.getItem(name);
+      }).then((key) => {
+        if (key) return key;
+
+        return Promise.resolve(crypto.subtle.generateKey(ALGORITHM, false, ['encrypt', 'decrypt'])).then((generatedKey) => {
+          return this.$keys.add(name, generatedKey).then(() => generatedKey, (error) => {
+            // NOTE: Another tab stored its key first, so we need to use that one instead.
+            if (error && error.name === 'ConstraintError') return this.$keys.getItem(name);
+
+            throw error;
+          });
+        });
+      });
+    }
+
+    return this.$$key;
+  }
+
+  /**
+   * Retrieves every key that belongs to us
+   * @return {Promise<Array<String>>} the stored keys
+   */
+  keys() {
+    const storage = this.$storage;
+
+    let keys;
+    if (typeof storage.keys === 'function') {
+      keys = storage.keys();
+    } else {
+      keys = [];
+      for (let i = 0; i < storage.length; i++) {
+        keys.push(storage.key(i));
+      }
+    }
+
+    return Promise.resolve(keys).then((keys) => {
+      return keys.filter((key) => key.indexOf(`${this.$prefix}.`) === 0);
+    });
+  }
+
+  /**
+   * Retrieves and decrypts a value
+   * @param {String} key the key of the value
+   * @return {Promise<String>} the value or null if there isn't one or it can't be decrypted
+   */
+  getItem(key) {
+    return Promise.all([this.$key, this.$storage.getItem(key)]).then(([cryptoKey, value]) => {
+      if ([undefined, null].indexOf(value) !== -1) return null;
+
+      const [iv, data] = value.split('.');
+      return Promise.resolve().then(() => {
+        return window.crypto.subtle.decrypt({ name: ALGORITHM.name, iv: toBytes(atob(iv)) }, cryptoKey, toBytes(atob(data)));
+      }).then((decrypted) => {
+        // NOTE: Values are encrypted as UTF-8, this converts them back.
+        return decodeURIComponent(escape(toBinary(decrypted)));
+      }).catch(() => {
+        // NOTE: This is likely a value stored before encryption was enabled or with a key we no longer have.
+        return null;
+      });
+    });
+  }
+
+  /**
+   * Encrypts and stores a value
+   * @param {String} key the key of the value
+   * @param {String} value the value to store
+   * @return {Promise} a promise that resolves once the value has been stored
+   */
+  setItem(key, value) {
+    const { Uint8Array } = window;
+
+    return this.$key.then((cryptoKey) => {
+      const iv = window.crypto.getRandomValues(new Uint8Array(12));
+      const data = toBytes(unescape(encodeURIComponent(value)));
+
+      return Promise.resolve(window.crypto.subtle.encrypt({ name: ALGORITHM.name, iv }, cryptoKey, data)).then((encrypted) => {
+        return this.$storage.setItem(key, `${btoa(toBinary(iv))}.${btoa(toBinary(encrypted))}`);
+      });
+    });
+  }
+
+  /**
+   * Removes a value
+   * @param {String} key the key of the value
+   * @return {Promise} a promise that resolves once the value has been removed
+   */
+  removeItem(key) {
+    return Promise.resolve(this.$storage.removeItem(key));
+  }
+}
+
+export { SalteAuthEncryptedStorage };
+export default SalteAuthEncryptedStorage;
@@ -0,0 +1,119 @@
+/**
+ * The name of the object store every value is kept in
+ * @ignore
+ */
+const STORE = 'storage';
+
+/**
+ * Persists values in IndexedDB, every method is asynchronous
+ */
+class SalteAuthIndexedDBStorage {
+  /**
+   * Prepares the storage, the database isn't opened until it's needed
+   * @param {String} [name='salte-auth'] the name of the database
+   */
+  constructor(name = 'salte-auth') {
+    /** @ignore */
+    this.$name = name;
+  }
+
+  /**
+   * Opens the database, creating it if it doesn't exist
+   * @return {Promise<IDBDatabase>} the opened database
+   * @private
+   */
+  get $database() {
+    if (!this.$$database) {
+      /** @ignore */
+      this.$$database = new Promise((resolve, reject) => {
+        const { indexedDB } = window;
+        if (!indexedDB) {
+          throw new ReferenceError('IndexedDB is not supported by this browser.');
+        }
+
+        const request = indexedDB.open(this.$name, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return this.$$database;
+  }
+
+  /**
+   * Runs a request against the object store
+   * @param {('readonly'|'readwrite')} mode the mode of the transaction
+   * @param {Function} callback invoked with the object store, returns the request to wait for
+   * @return {Promise} a promise that resolves with the result of the request
+   * @private
+   */
+  $$request(mode, callback) {
+    return this.$database.then((database) => new Promise((resolve, reject) => {
+      const request = callback(database.transaction(STORE, mode).objectStore(STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  /**
+   * Retrieves every stored key
+   * @return {Promise<Array<String>>} the stored keys
+   */
+  keys() {
+    return this.$database.then((database) => new Promise((resolve, reject) => {
+      const keys = [];
+      // NOTE: "getAllKeys" isn't supported by IE, so we need to walk the keys ourselves.
+      const request = database.transaction(STORE, 'readonly').objectStore(STORE).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return resolve(keys);
+
+        keys.push(cursor.key);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  /**
+   * Retrieves a value
+   * @param {String} key the key of the value
+   * @return {Promise<String>} the value or undefined if there isn't one
+   */
+  getItem(key) {
+    return this.$$request('readonly', (store) => store.get(key));
+  }
+
+  /**
+   * Stores a value
+   * @param {String} key the key of the value
+   * @param {String} value the value to store
+   * @return {Promise} a promise that resolves once the value has been stored
+   */
+  setItem(key, value) {
+    return this.$$request('readwrite', (store) => store.put(value, key));
+  }
+
+  /**
+   * Stores a value, unless one already exists
+   * @param {String} key the key of the value
+   * @param {String} value the value to store
+   * @return {Promise} a promise that resolves once the value has been stored or rejects with a "ConstraintError" if it already exists
+   */
+  add(key, value) {
+    return this.$$request('readwrite', (store) => store.add(value, key));
+  }
+
+  /**
+   * Removes a value
+   * @param {String} key the key of the value
+   * @return {Promise} a promise that resolves once the value has been removed
+   */
+  removeItem(key) {
+    return this.$$request('readwrite', (store) => store.delete(key));
+  }
+}
+
+export { SalteAuthIndexedDBStorage };
+export default SalteAuthIndexedDBStorage;
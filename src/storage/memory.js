@@ -0,0 +1,59 @@
+/**
+ * Keeps values in memory, nothing is persisted between page loads
+ */
+class SalteAuthMemoryStorage {
+  /**
+   * Creates an empty storage
+   */
+  constructor() {
+    /** @ignore */
+    this.$items = {};
+  }
+
+  /**
+   * The number of stored values
+   * @type {Number}
+   */
+  get length() {
+    return Object.keys(this.$items).length;
+  }
+
+  /**
+   * Retrieves the key at the given index
+   * @param {Number} index the index of the key
+   * @return {String} the key or null if there isn't one
+   */
+  key(index) {
+    const key = Object.keys(this.$items)[index];
+    return key === undefined ? null : key;
+  }
+
+  /**
+   * Retrieves a value
+   * @param {String} key the key of the value
+   * @return {String} the value or null if there isn't one
+   */
+  getItem(key) {
+    return this.$items.hasOwnProperty(key) ? this.$items[key] : null;
+  }
+
+  /**
+   * Stores a value
+   * @param {String} key the key of the value
+   * @param {String} value the value to store
+   */
+  setItem(key, value) {
+    this.$items[key] = String(value);
+  }
+
+  /**
+   * Removes a value
+   * @param {String} key the key of the value
+   */
+  removeItem(key) {
+    delete this.$items[key];
+  }
+}
+
+export { SalteAuthMemoryStorage };
+export default SalteAuthMemoryStorage;
@@ -6,7 +6,8 @@ import { SalteAuthMixinGenerator } from '../../../src/salte-auth.mixin.js';
 const auth = {
   on: sinon.stub(),
   profile: {
-    userInfo: {}
+    userInfo: {},
+    $hydrated: true
   }
 };
 
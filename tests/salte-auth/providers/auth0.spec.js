@@ -6,6 +6,30 @@ import auth0 from '../../../src/providers/auth0.js';
 describe('auth0', () => {
   const utilities = new SalteAuthUtilities();
 
+  describe('function(tokenEndpoint)', () => {
+    it('should create a token endpoint', () => {
+      expect(auth0.tokenEndpoint.call({ $utilities: utilities }, {
+        providerUrl: 'https://api.salte.io'
+      })).to.equal('https://api.salte.io/oauth/token');
+    });
+  });
+
+  describe('function(userInfoEndpoint)', () => {
+    it('should create a userinfo endpoint', () => {
+      expect(auth0.userInfoEndpoint.call({ $utilities: utilities }, {
+        providerUrl: 'https://api.salte.io'
+      })).to.equal('https://api.salte.io/userinfo');
+    });
+  });
+
+  describe('function(jwksUri)', () => {
+    it('should create a jwks uri', () => {
+      expect(auth0.jwksUri.call({ $utilities: utilities }, {
+        providerUrl: 'https://api.salte.io'
+      })).to.equal('https://api.salte.io/.well-known/jwks.json');
+    });
+  });
+
   describe('function(deauthorizeUrl)', () => {
     it('should create a logout url', () => {
       const url = new URL(auth0.deauthorizeUrl.call({ $utilities: utilities }, {
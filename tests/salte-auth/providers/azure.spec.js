@@ -16,6 +16,22 @@ describe('azure', () => {
     });
   });
 
+  describe('function(tokenEndpoint)', () => {
+    it('should create a token endpoint', () => {
+      expect(azure.tokenEndpoint.call({ $utilities: utilities }, {
+        providerUrl: 'https://login.microsoftonline.com/my-tenant'
+      })).to.equal('https://login.microsoftonline.com/my-tenant/oauth2/token');
+    });
+  });
+
+  describe('function(jwksUri)', () => {
+    it('should create a jwks uri', () => {
+      expect(azure.jwksUri.call({ $utilities: utilities }, {
+        providerUrl: 'https://login.microsoftonline.com/my-tenant'
+      })).to.equal('https://login.microsoftonline.com/my-tenant/discovery/keys');
+    });
+  });
+
   describe('function(deauthorizeUrl)', () => {
     it('should create a logout url', () => {
       const url = new URL(azure.deauthorizeUrl.call({ $utilities: utilities }, {
@@ -16,6 +16,22 @@ describe('cognito', () => {
     });
   });
 
+  describe('function(tokenEndpoint)', () => {
+    it('should create a token endpoint', () => {
+      expect(cognito.tokenEndpoint.call({ $utilities: utilities }, {
+        providerUrl: 'https://mydomain.auth.us-east-1.amazoncognito.com'
+      })).to.equal('https://mydomain.auth.us-east-1.amazoncognito.com/oauth2/token');
+    });
+  });
+
+  describe('function(userInfoEndpoint)', () => {
+    it('should create a userinfo endpoint', () => {
+      expect(cognito.userInfoEndpoint.call({ $utilities: utilities }, {
+        providerUrl: 'https://mydomain.auth.us-east-1.amazoncognito.com'
+      })).to.equal('https://mydomain.auth.us-east-1.amazoncognito.com/oauth2/userInfo');
+    });
+  });
+
   describe('function(deauthorizeUrl)', () => {
     it('should create a logout url', () => {
       const url = new URL(cognito.deauthorizeUrl.call({ $utilities: utilities }, {
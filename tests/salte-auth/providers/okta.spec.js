@@ -14,6 +14,38 @@ describe('cognito', () => {
     });
   });
 
+  describe('function(tokenEndpoint)', () => {
+    it('should create a token endpoint', () => {
+      expect(okta.tokenEndpoint.call({ $utilities: utilities }, {
+        providerUrl: 'https://my-org.oktapreview.com'
+      })).to.equal('https://my-org.oktapreview.com/oauth2/v1/token');
+    });
+  });
+
+  describe('function(userInfoEndpoint)', () => {
+    it('should create a userinfo endpoint', () => {
+      expect(okta.userInfoEndpoint.call({ $utilities: utilities }, {
+        providerUrl: 'https://my-org.oktapreview.com'
+      })).to.equal('https://my-org.oktapreview.com/oauth2/v1/userinfo');
+    });
+  });
+
+  describe('function(revocationEndpoint)', () => {
+    it('should create a revocation endpoint', () => {
+      expect(okta.revocationEndpoint.call({ $utilities: utilities }, {
+        providerUrl: 'https://my-org.oktapreview.com'
+      })).to.equal('https://my-org.oktapreview.com/oauth2/v1/revoke');
+    });
+  });
+
+  describe('function(jwksUri)', () => {
+    it('should create a jwks uri', () => {
+      expect(okta.jwksUri.call({ $utilities: utilities }, {
+        providerUrl: 'https://my-org.oktapreview.com'
+      })).to.equal('https://my-org.oktapreview.com/oauth2/v1/keys');
+    });
+  });
+
   describe('function(deauthorizeUrl)', () => {
     it('should create a logout url', () => {
       const url = new URL(okta.deauthorizeUrl.call({ $utilities: utilities }, {
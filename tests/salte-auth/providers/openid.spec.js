@@ -0,0 +1,24 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+import openid from '../../../src/providers/openid.js';
+
+describe('openid', () => {
+  const utilities = new SalteAuthUtilities();
+
+  describe('function(deauthorizeUrl)', () => {
+    it('should throw an error since the "end_session_endpoint" was not discovered', () => {
+      expect(() => openid.deauthorizeUrl.call({ $utilities: utilities }, {
+        providerUrl: 'https://api.salte.io'
+      })).to.throw(ReferenceError, 'The identity provider does not support logging out (missing "end_session_endpoint").');
+    });
+  });
+
+  describe('getter(defaultConfig)', () => {
+    it('should return a default config', () => {
+      expect(openid.defaultConfig).to.deep.equal({
+        discovery: true
+      });
+    });
+  });
+});
@@ -6,6 +6,38 @@ import wso2 from '../../../src/providers/wso2.js';
 describe('wso2', () => {
   const utilities = new SalteAuthUtilities();
 
+  describe('function(tokenEndpoint)', () => {
+    it('should create a token endpoint', () => {
+      expect(wso2.tokenEndpoint.call({ $utilities: utilities }, {
+        providerUrl: 'https://api.salte.io'
+      })).to.equal('https://api.salte.io/oauth2/token');
+    });
+  });
+
+  describe('function(userInfoEndpoint)', () => {
+    it('should create a userinfo endpoint', () => {
+      expect(wso2.userInfoEndpoint.call({ $utilities: utilities }, {
+        providerUrl: 'https://api.salte.io'
+      })).to.equal('https://api.salte.io/oauth2/userinfo');
+    });
+  });
+
+  describe('function(revocationEndpoint)', () => {
+    it('should create a revocation endpoint', () => {
+      expect(wso2.revocationEndpoint.call({ $utilities: utilities }, {
+        providerUrl: 'https://api.salte.io'
+      })).to.equal('https://api.salte.io/oauth2/revoke');
+    });
+  });
+
+  describe('function(jwksUri)', () => {
+    it('should create a jwks uri', () => {
+      expect(wso2.jwksUri.call({ $utilities: utilities }, {
+        providerUrl: 'https://api.salte.io'
+      })).to.equal('https://api.salte.io/oauth2/jwks');
+    });
+  });
+
   describe('function(deauthorizeUrl)', () => {
     it('should create a logout url', () => {
       const url = new URL(wso2.deauthorizeUrl.call({ $utilities: utilities }, {
@@ -0,0 +1,309 @@
+import { expect } from 'chai';
+
+import { SalteAuthConnection } from '../../src/salte-auth.connection.js';
+
+describe('salte-auth.connection', () => {
+  let Socket, utilities;
+
+  function wait() {
+    return new Promise((resolve) => setTimeout(resolve));
+  }
+
+  function createEvent(type) {
+    const event = document.createEvent('Event');
+    event.initEvent(type, false, true);
+    return event;
+  }
+
+  function emit(socket, type, readyState) {
+    if (readyState !== undefined) {
+      socket.readyState = readyState;
+    }
+
+    const listeners = socket.listeners[type] || [];
+    listeners.forEach((listener) => listener(createEvent(type)));
+  }
+
+  beforeEach(() => {
+    Socket = sinon.spy(function(url, options) {
+      this.url = url;
+      this.options = options;
+      this.readyState = 0;
+      this.listeners = {};
+      this.addEventListener = (type, listener) => {
+        this.listeners[type] = (this.listeners[type] || []).concat(listener);
+      };
+      this.send = sinon.stub();
+      this.close = sinon.stub();
+    });
+    Socket.CONNECTING = 0;
+    Socket.OPEN = 1;
+    Socket.CLOSING = 2;
+    Socket.CLOSED = 3;
+
+    utilities = {
+      $interceptors: {
+        realtime: []
+      },
+      $connections: []
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('function(constructor)', () => {
+    it('should open the connection once the interceptors have run', () => {
+      sinon.spy(SalteAuthConnection.prototype, '$$connect');
+      utilities.$interceptors.realtime.push((request) => {
+        expect(request).to.deep.equal({
+          type: 'websocket',
+          url: 'wss://api.salte.io',
+          protocols: ['graphql-ws']
+        });
+
+        return wait().then(() => {
+          request.url += '?access_token=12345';
+          request.protocols.push('access_token');
+        });
+      });
+
+      const connection = new SalteAuthConnection(Socket, 'websocket', 'wss://api.salte.io', 'graphql-ws', utilities);
+
+      expect(Socket.callCount).to.equal(0);
+      expect(connection.readyState).to.equal(0);
+      expect(utilities.$connections).to.deep.equal([]);
+
+      return SalteAuthConnection.prototype.$$connect.firstCall.returnValue.then(() => {
+        expect(Socket.lastCall.args).to.deep.equal(['wss://api.salte.io?access_token=12345', ['graphql-ws', 'access_token']]);
+        expect(connection.url).to.equal('wss://api.salte.io');
+        expect(utilities.$connections).to.deep.equal([connection]);
+      });
+    });
+
+    it('should track connections authenticated via the subprotocols', () => {
+      utilities.$interceptors.realtime.push((request) => {
+        request.protocols.push('access_token', '12345');
+      });
+
+      const connection = new SalteAuthConnection(Socket, 'websocket', 'wss://api.salte.io', undefined, utilities);
+
+      return wait().then(() => {
+        expect(Socket.lastCall.args).to.deep.equal(['wss://api.salte.io', ['access_token', '12345']]);
+        expect(utilities.$connections).to.deep.equal([connection]);
+      });
+    });
+
+    it('should not track connections the interceptors did not authenticate', () => {
+      utilities.$interceptors.realtime.push(() => null);
+
+      new SalteAuthConnection(Socket, 'websocket', 'wss://api.salte.io', 'graphql-ws', utilities);
+
+      return wait().then(() => {
+        expect(Socket.lastCall.args).to.deep.equal(['wss://api.salte.io', ['graphql-ws']]);
+        expect(utilities.$connections).to.deep.equal([]);
+      });
+    });
+
+    it('should pass the options through to EventSource connections', () => {
+      const connection = new SalteAuthConnection(Socket, 'eventsource', 'https://api.salte.io', { withCredentials: true }, utilities);
+
+      return wait().then(() => {
+        expect(Socket.lastCall.args).to.deep.equal(['https://api.salte.io', { withCredentials: true }]);
+        expect(connection.withCredentials).to.equal(true);
+      });
+    });
+
+    it('should fail the connection if an interceptor rejects', () => {
+      utilities.$interceptors.realtime.push(() => Promise.reject(new Error('Whoops!')));
+      const connection = new SalteAuthConnection(Socket, 'websocket', 'wss://api.salte.io', undefined, utilities);
+      const promise = new Promise((resolve) => {
+        connection.onerror = resolve;
+      });
+
+      return promise.then((event) => {
+        expect(event.detail.message).to.equal('Whoops!');
+        expect(Socket.callCount).to.equal(0);
+        expect(connection.readyState).to.equal(3);
+        expect(utilities.$connections).to.deep.equal([]);
+      });
+    });
+  });
+
+  describe('function(addEventListener)', () => {
+    it('should forward events to the handlers and listeners', () => {
+      const connection = new SalteAuthConnection(Socket, 'websocket', 'wss://api.salte.io', undefined, utilities);
+      const listener = sinon.stub();
+      const handler = { handleEvent: sinon.stub() };
+      connection.onmessage = sinon.stub();
+      connection.addEventListener('message', listener);
+      connection.addEventListener('message', handler);
+
+      return wait().then(() => {
+        emit(connection.$socket, 'message');
+
+        expect(connection.onmessage.callCount).to.equal(1);
+        expect(listener.callCount).to.equal(1);
+        expect(handler.handleEvent.callCount).to.equal(1);
+      });
+    });
+
+    it('should forward custom events', () => {
+      const connection = new SalteAuthConnection(Socket, 'eventsource', 'https://api.salte.io', undefined, utilities);
+      const listener = sinon.stub();
+
+      return wait().then(() => {
+        connection.addEventListener('notification', listener);
+        emit(connection.$socket, 'notification');
+
+        expect(listener.callCount).to.equal(1);
+      });
+    });
+  });
+
+  describe('function(removeEventListener)', () => {
+    it('should stop forwarding events to the listener', () => {
+      const connection = new SalteAuthConnection(Socket, 'websocket', 'wss://api.salte.io', undefined, utilities);
+      const listener = sinon.stub();
+      connection.addEventListener('message', listener);
+      connection.removeEventListener('message', listener);
+
+      return wait().then(() => {
+        emit(connection.$socket, 'message');
+
+        expect(listener.callCount).to.equal(0);
+      });
+    });
+  });
+
+  describe('function(send)', () => {
+    it('should send data over the socket', () => {
+      const connection = new SalteAuthConnection(Socket, 'websocket', 'wss://api.salte.io', undefined, utilities);
+
+      return wait().then(() => {
+        connection.send('hello');
+
+        expect(connection.$socket.send.calledWith('hello')).to.equal(true);
+      });
+    });
+
+    it('should throw an error if the connection is not open yet', () => {
+      const connection = new SalteAuthConnection(Socket, 'websocket', 'wss://api.salte.io', undefined, utilities);
+
+      expect(() => connection.send('hello')).to.throw(Error, `The connection isn't open yet. (wss://api.salte.io)`);
+    });
+  });
+
+  describe('function(close)', () => {
+    it('should close the socket and stop tracking the connection', () => {
+      utilities.$interceptors.realtime.push((request) => {
+        request.url += '?access_token=12345';
+      });
+
+      const connection = new SalteAuthConnection(Socket, 'websocket', 'wss://api.salte.io', undefined, utilities);
+
+      return wait().then(() => {
+        expect(utilities.$connections).to.deep.equal([connection]);
+
+        const socket = connection.$socket;
+        connection.close(1000, 'Goodbye!');
+
+        expect(socket.close.calledWith(1000, 'Goodbye!')).to.equal(true);
+        expect(utilities.$connections).to.deep.equal([]);
+      });
+    });
+
+    it('should not open the socket if it was closed while being intercepted', () => {
+      const connection = new SalteAuthConnection(Socket, 'websocket', 'wss://api.salte.io', undefined, utilities);
+      connection.close();
+
+      return wait().then(() => {
+        expect(Socket.callCount).to.equal(0);
+        expect(connection.readyState).to.equal(3);
+      });
+    });
+
+    it('should stop tracking connections closed by the server', () => {
+      utilities.$interceptors.realtime.push((request) => {
+        request.url += '?access_token=12345';
+      });
+
+      const connection = new SalteAuthConnection(Socket, 'websocket', 'wss://api.salte.io', undefined, utilities);
+      const listener = sinon.stub();
+      connection.addEventListener('close', listener);
+
+      return wait().then(() => {
+        expect(utilities.$connections).to.deep.equal([connection]);
+
+        emit(connection.$socket, 'close', 3);
+
+        expect(listener.callCount).to.equal(1);
+        expect(utilities.$connections).to.deep.equal([]);
+      });
+    });
+  });
+
+  describe('function(reconnect)', () => {
+    it('should replace the socket without notifying the app of the old one closing', () => {
+      let token = 0;
+      utilities.$interceptors.realtime.push((request) => {
+        token++;
+        request.url += `?access_token=${token}`;
+      });
+
+      const connection = new SalteAuthConnection(Socket, 'websocket', 'wss://api.salte.io', undefined, utilities);
+      const listener = sinon.stub();
+      connection.addEventListener('close', listener);
+
+      return wait().then(() => {
+        const socket = connection.$socket;
+
+        const promise = connection.reconnect();
+
+        expect(socket.close.callCount).to.equal(1);
+        expect(connection.readyState).to.equal(0);
+
+        emit(socket, 'close', 3);
+
+        expect(listener.callCount).to.equal(0);
+        expect(utilities.$connections).to.deep.equal([connection]);
+
+        return promise;
+      }).then(() => {
+        expect(connection.$socket.url).to.equal('wss://api.salte.io?access_token=2');
+      });
+    });
+
+    it('should stop tracking the connection if it is no longer authenticated', () => {
+      let token = '12345';
+      utilities.$interceptors.realtime.push((request) => {
+        if (token) request.url += `?access_token=${token}`;
+      });
+
+      const connection = new SalteAuthConnection(Socket, 'websocket', 'wss://api.salte.io', undefined, utilities);
+
+      return wait().then(() => {
+        expect(utilities.$connections).to.deep.equal([connection]);
+
+        token = null;
+        return connection.reconnect();
+      }).then(() => {
+        expect(connection.$socket.url).to.equal('wss://api.salte.io');
+        expect(utilities.$connections).to.deep.equal([]);
+      });
+    });
+
+    it('should not reconnect closed connections', () => {
+      const connection = new SalteAuthConnection(Socket, 'websocket', 'wss://api.salte.io', undefined, utilities);
+
+      return wait().then(() => {
+        connection.close();
+
+        return connection.reconnect();
+      }).then(() => {
+        expect(Socket.callCount).to.equal(1);
+      });
+    });
+  });
+});
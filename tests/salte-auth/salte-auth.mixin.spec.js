@@ -13,7 +13,8 @@ describe('salte-auth.mixin', () => {
       }),
       profile: {
         userInfo: {},
-        idTokenExpired: {}
+        idTokenExpired: {},
+        $hydrated: true
       }
     };
 
@@ -47,6 +48,33 @@ describe('salte-auth.mixin', () => {
     });
   });
 
+  describe('on(ready)', () => {
+    it('should update the elements once the stored session has loaded', () => {
+      let userInfo = null;
+      let resolve;
+      auth.profile.$hydrated = false;
+      auth.profile.$ready = new Promise((r) => {
+        resolve = r;
+      });
+      sinon.stub(auth.profile, 'userInfo').get(() => userInfo);
+      sinon.stub(auth.profile, 'idTokenExpired').get(() => !userInfo);
+      mixin = SalteAuthMixinGenerator(auth);
+      MyElement = class extends mixin(class {}) {};
+
+      const element = new MyElement();
+      expect(element.user).to.equal(null);
+      expect(element.authenticated).to.equal(false);
+
+      userInfo = { sub: '12345' };
+      resolve();
+
+      return auth.profile.$ready.then(() => {
+        expect(element.user).to.deep.equal({ sub: '12345' });
+        expect(element.authenticated).to.equal(true);
+      });
+    });
+  });
+
   describe('on(login)', () => {
     beforeEach(() => {
       sinon.stub(auth.profile, 'userInfo').get(() => null);
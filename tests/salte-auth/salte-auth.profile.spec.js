@@ -1,8 +1,15 @@
 import Cookie from 'js-cookie';
 import { expect } from 'chai';
 import base64url from 'base64url';
+import assign from 'lodash/assign';
+import { sha256 } from 'js-sha256';
+import { sha384, sha512 } from 'js-sha512';
 
 import SalteAuthProfile from '../../src/salte-auth.profile.js';
+import SalteAuthMemoryStorage from '../../src/storage/memory.js';
+import SalteAuthCachedStorage from '../../src/storage/cached.js';
+import SalteAuthIndexedDBStorage from '../../src/storage/indexeddb.js';
+import SalteAuthEncryptedStorage from '../../src/storage/encrypted.js';
 
 describe('salte-auth.profile', () => {
   let profile;
@@ -26,6 +33,21 @@ describe('salte-auth.profile', () => {
       expect(profile.bogus).to.be.undefined;
     });
 
+    it('should refresh the user info once asynchronous storage has loaded', () => {
+      profile = new SalteAuthProfile({
+        storageType: {
+          keys: () => Promise.resolve(['salte.auth.id-token']),
+          getItem: () => Promise.resolve(`12345.${btoa(JSON.stringify({ sub: '1234567890' }))}.12345`)
+        }
+      });
+
+      expect(profile.userInfo).to.equal(null);
+
+      return profile.$ready.then(() => {
+        expect(profile.userInfo).to.deep.equal({ sub: '1234567890' });
+      });
+    });
+
     it('should not automatically parse hash parameters', () => {
       history.replaceState(
         null,
@@ -53,6 +75,99 @@ describe('salte-auth.profile', () => {
 
       expect(profile.$state).to.equal('55555-55555');
     });
+
+    it('should only remove the authentication response from the url', () => {
+      history.replaceState(
+        null,
+        '',
+        `${location.protocol}//${location.host}${
+          location.pathname
+        }?page=2&code=12345#/users#state=55555-55555&tab=details`
+      );
+
+      profile.$parseParams();
+
+      expect(profile.code).to.equal('12345');
+      expect(profile.$state).to.equal('55555-55555');
+      expect(location.search).to.equal('?page=2');
+      expect(location.hash).to.equal('#/users#tab=details');
+
+      history.replaceState(null, '', `${location.protocol}//${location.host}${location.pathname}`);
+    });
+
+    it('should preserve the route of hash-based routers', () => {
+      history.replaceState(
+        null,
+        '',
+        `${location.protocol}//${location.host}${
+          location.pathname
+        }#!/users#access_token=12345&expires_in=3600`
+      );
+
+      profile.$parseParams();
+
+      expect(profile.$accessToken).to.equal('12345');
+      expect(location.search).to.equal('');
+      expect(location.hash).to.equal('#!/users');
+
+      history.replaceState(null, '', `${location.protocol}//${location.host}${location.pathname}`);
+    });
+
+    it('should replace the history entry rather than adding one', () => {
+      history.replaceState(
+        null,
+        '',
+        `${location.protocol}//${location.host}${
+          location.pathname
+        }#state=55555-55555`
+      );
+      const { length } = history;
+
+      profile.$parseParams();
+
+      expect(history.length).to.equal(length);
+      expect(location.hash).to.equal('');
+    });
+
+    it('should leave urls without an authentication response alone', () => {
+      sinon.spy(history, 'replaceState');
+      history.replaceState(
+        null,
+        '',
+        `${location.protocol}//${location.host}${
+          location.pathname
+        }?page=2#/users`
+      );
+
+      profile.$parseParams();
+
+      expect(history.replaceState.callCount).to.equal(1);
+      expect(location.search).to.equal('?page=2');
+      expect(location.hash).to.equal('#/users');
+
+      history.replaceState(null, '', `${location.protocol}//${location.host}${location.pathname}`);
+    });
+  });
+
+  describe('function($getParams)', () => {
+    it('should return the hash and query parameters', () => {
+      history.replaceState(
+        null,
+        '',
+        `${location.protocol}//${location.host}${
+          location.pathname
+        }?code=12345#state=55555-55555&error_description=Look%20what%20you%20did!`
+      );
+
+      expect(profile.$getParams()).to.deep.equal({
+        code: '12345',
+        state: '55555-55555',
+        error_description: 'Look what you did!'
+      });
+      expect(profile.$state).to.equal(null);
+
+      history.replaceState(null, '', `${location.protocol}//${location.host}${location.pathname}`);
+    });
   });
 
   describe('function($parse)', () => {
@@ -73,6 +188,11 @@ describe('salte-auth.profile', () => {
       expect(profile.$expiration).to.equal(5000000);
     });
 
+    it('should parse the refresh_token', () => {
+      profile.$parse('refresh_token', '54321-54321-54321');
+      expect(profile.$refreshToken).to.equal('54321-54321-54321');
+    });
+
     it('should parse the access_token', () => {
       profile.$parse('access_token', '12345-12345-12435');
       expect(profile.$accessToken).to.equal('12345-12345-12435');
@@ -88,6 +208,11 @@ describe('salte-auth.profile', () => {
       expect(profile.$state).to.equal('55555-555555');
     });
 
+    it('should parse the session_state', () => {
+      profile.$parse('session_state', '12345.67890');
+      expect(profile.$sessionState).to.equal('12345.67890');
+    });
+
     it('should parse the error', () => {
       profile.$parse('error', 'your-fault');
       expect(profile.$error).to.equal('your-fault');
@@ -98,6 +223,11 @@ describe('salte-auth.profile', () => {
       expect(profile.$errorDescription).to.equal('Look what you did!');
     });
 
+    it('should parse the scope', () => {
+      profile.$parse('scope', 'openid calendar.write');
+      expect(profile.$scope).to.equal('openid calendar.write');
+    });
+
     it('should ignore scope', () => {
       const warn = sinon.stub(console, 'warn');
       expect(warn.callCount).to.equal(0);
@@ -106,6 +236,144 @@ describe('salte-auth.profile', () => {
     });
   });
 
+  describe('function($parseTokenResponse)', () => {
+    it('should parse each value in the response', () => {
+      sinon.useFakeTimers();
+      profile.$parseTokenResponse({
+        access_token: '12345-12345-12435',
+        id_token: '54321-54321-54321',
+        token_type: 'Bearer',
+        expires_in: 3600
+      });
+
+      expect(profile.$accessToken).to.equal('12345-12345-12435');
+      expect(profile.$idToken).to.equal('54321-54321-54321');
+      expect(profile.$tokenType).to.equal('Bearer');
+      expect(profile.$expiration).to.equal(3600000);
+    });
+
+    it('should parse errors', () => {
+      profile.$parseTokenResponse({
+        error: 'invalid_grant',
+        error_description: 'The code has expired.'
+      });
+
+      expect(profile.$error).to.equal('invalid_grant');
+      expect(profile.$errorDescription).to.equal('The code has expired.');
+    });
+  });
+
+  describe('getter($pkce)', () => {
+    it('should be enabled for the code flow', () => {
+      profile.$$config.responseType = 'code';
+      profile.$$config.pkce = true;
+
+      expect(profile.$pkce).to.equal(true);
+    });
+
+    it('should be disabled if pkce was not requested', () => {
+      profile.$$config.responseType = 'code';
+
+      expect(profile.$pkce).to.equal(false);
+    });
+
+    it('should be disabled for the implicit flow', () => {
+      profile.$$config.responseType = 'id_token';
+      profile.$$config.pkce = true;
+
+      expect(profile.$pkce).to.equal(false);
+    });
+  });
+
+  describe('getter($responseTypes)', () => {
+    it('should split the response type', () => {
+      profile.$$config.responseType = 'code id_token token';
+
+      expect(profile.$responseTypes).to.deep.equal(['code', 'id_token', 'token']);
+    });
+
+    it('should default to "id_token"', () => {
+      expect(profile.$responseTypes).to.deep.equal(['id_token']);
+    });
+  });
+
+  describe('getter($idTokenExpected)', () => {
+    it('should expect an ID Token for the implicit and hybrid flows', () => {
+      ['id_token', 'id_token token', 'code id_token', 'code id_token token'].forEach((responseType) => {
+        profile.$$config.responseType = responseType;
+        expect(profile.$idTokenExpected).to.equal(true);
+      });
+    });
+
+    it('should expect an ID Token for the PKCE flow', () => {
+      profile.$$config.responseType = 'code';
+      profile.$$config.pkce = true;
+
+      expect(profile.$idTokenExpected).to.equal(true);
+    });
+
+    it('should not expect an ID Token for the code flow', () => {
+      ['code', 'code token'].forEach((responseType) => {
+        profile.$$config.responseType = responseType;
+        expect(profile.$idTokenExpected).to.equal(false);
+      });
+    });
+  });
+
+  describe('getter($codeExpected)', () => {
+    it('should expect a code for the code and hybrid flows', () => {
+      ['code', 'code id_token', 'code token', 'code id_token token'].forEach((responseType) => {
+        profile.$$config.responseType = responseType;
+        expect(profile.$codeExpected).to.equal(true);
+      });
+    });
+
+    it('should not expect a code for the PKCE flow', () => {
+      profile.$$config.responseType = 'code';
+      profile.$$config.pkce = true;
+
+      expect(profile.$codeExpected).to.equal(false);
+    });
+
+    it('should not expect a code for the implicit flow', () => {
+      ['id_token', 'id_token token'].forEach((responseType) => {
+        profile.$$config.responseType = responseType;
+        expect(profile.$codeExpected).to.equal(false);
+      });
+    });
+  });
+
+  describe('getter($loginResponse)', () => {
+    beforeEach(() => {
+      profile.code = '12345';
+      profile.$idToken = `0.${btoa(JSON.stringify({ sub: '1234567890' }))}.0`;
+      profile.$refreshUserInfo();
+    });
+
+    it('should return the code if an ID Token was not requested', () => {
+      profile.$$config.responseType = 'code token';
+      expect(profile.$loginResponse).to.equal('12345');
+    });
+
+    it('should return the user info for the hybrid response types', () => {
+      profile.$$config.responseType = 'code id_token';
+      expect(profile.$loginResponse).to.deep.equal({ sub: '1234567890' });
+
+      profile.$$config.responseType = 'code id_token token';
+      expect(profile.$loginResponse).to.deep.equal({ sub: '1234567890' });
+    });
+  });
+
+  describe('getter($codeVerifier)', () => {
+    it('should always use sessionStorage', () => {
+      profile.$$config.storageType = 'local';
+      profile.$codeVerifier = '12345';
+
+      expect(sessionStorage.getItem('salte.auth.$code-verifier')).to.equal('12345');
+      expect(profile.$codeVerifier).to.equal('12345');
+    });
+  });
+
   describe('getter(idTokenExpired)', () => {
     let clock;
     beforeEach(() => {
@@ -141,6 +409,14 @@ describe('salte-auth.profile', () => {
       clock.tick(1999);
       expect(profile.idTokenExpired).to.equal(false);
     });
+
+    it('should account for the "clockSkew"', () => {
+      profile.$$config.clockSkew = 500;
+      clock.tick(1499);
+      expect(profile.idTokenExpired).to.equal(false);
+      clock.tick(1);
+      expect(profile.idTokenExpired).to.equal(true);
+    });
   });
 
   describe('getter(accessTokenExpired)', () => {
@@ -165,6 +441,125 @@ describe('salte-auth.profile', () => {
     it('should not be expired if the "access_token" is present and the "expiration" is in the future', () => {
       expect(profile.accessTokenExpired).to.equal(false);
     });
+
+    it('should account for the "clockSkew"', () => {
+      profile.$$config.clockSkew = 500;
+      clock.tick(499);
+      expect(profile.accessTokenExpired).to.equal(false);
+      clock.tick(1);
+      expect(profile.accessTokenExpired).to.equal(true);
+    });
+  });
+
+  describe('getter(scopes)', () => {
+    it('should return the granted scopes', () => {
+      profile.$scope = 'openid calendar.write';
+
+      expect(profile.scopes).to.deep.equal(['openid', 'calendar.write']);
+    });
+
+    it('should default to the configured scope', () => {
+      profile = new SalteAuthProfile({
+        scope: 'openid email'
+      });
+
+      expect(profile.scopes).to.deep.equal(['openid', 'email']);
+    });
+
+    it('should default to an empty list', () => {
+      expect(profile.scopes).to.deep.equal([]);
+    });
+  });
+
+  describe('getter($discovery)', () => {
+    it('should default to null', () => {
+      expect(profile.$discovery).to.equal(null);
+    });
+
+    it('should serialize the discovery document', () => {
+      profile.$discovery = {
+        issuer: 'https://api.salte.io'
+      };
+
+      expect(sessionStorage.getItem('salte.auth.$discovery')).to.equal('{"issuer":"https://api.salte.io"}');
+      expect(profile.$discovery).to.deep.equal({
+        issuer: 'https://api.salte.io'
+      });
+    });
+  });
+
+  describe('function($tokenHash)', () => {
+    it('should compute the left-most half of the SHA-256 hash', () => {
+      expect(profile.$tokenHash('jHkWEdUXMU1BwAsC4vtUsZwnNvTIxEl0z9K3vx5KF0Y')).to.equal('77QmUPtjPfzWtF2AnpK9RQ');
+    });
+
+    it('should support other hashes', () => {
+      expect(profile.$tokenHash('jHkWEdUXMU1BwAsC4vtUsZwnNvTIxEl0z9K3vx5KF0Y', sha384)).to.equal('jtAeDp945y1dDqU3nkIVGNZP1HjH_MFs');
+      expect(profile.$tokenHash('jHkWEdUXMU1BwAsC4vtUsZwnNvTIxEl0z9K3vx5KF0Y', sha512)).to.equal('q7nS86GgvvFaZkzALLWqJYaJIKw2wCDAVfCAsm5CrBM');
+    });
+  });
+
+  describe('getter($tokenHashAlgorithm)', () => {
+    it('should match the algorithm the ID Token was signed with', () => {
+      profile.$idToken = `${btoa(JSON.stringify({ alg: 'RS256' }))}.e30.0`;
+      expect(profile.$tokenHashAlgorithm).to.equal(sha256);
+
+      profile.$idToken = `${btoa(JSON.stringify({ alg: 'ES384' }))}.e30.0`;
+      expect(profile.$tokenHashAlgorithm).to.equal(sha384);
+
+      profile.$idToken = `${btoa(JSON.stringify({ alg: 'PS512' }))}.e30.0`;
+      expect(profile.$tokenHashAlgorithm).to.equal(sha512);
+    });
+
+    it('should return null for unsupported algorithms', () => {
+      profile.$idToken = `${btoa(JSON.stringify({ alg: 'EdDSA' }))}.e30.0`;
+      expect(profile.$tokenHashAlgorithm).to.equal(null);
+
+      profile.$idToken = '0.e30.0';
+      expect(profile.$tokenHashAlgorithm).to.equal(null);
+    });
+  });
+
+  describe('getter($issuer)', () => {
+    it('should default to null', () => {
+      expect(profile.$issuer).to.equal(null);
+    });
+
+    it('should support a configured issuer', () => {
+      profile.$$config.issuer = 'https://api.salte.io';
+      expect(profile.$issuer).to.equal('https://api.salte.io');
+    });
+
+    it('should fallback to the discovered issuer', () => {
+      profile.$$config.discovery = true;
+      profile.$discovery = {
+        issuer: 'https://api.salte.io'
+      };
+      expect(profile.$issuer).to.equal('https://api.salte.io');
+    });
+
+    it('should ignore the discovered issuer if discovery is disabled', () => {
+      profile.$discovery = {
+        issuer: 'https://api.salte.io'
+      };
+      expect(profile.$issuer).to.equal(null);
+    });
+  });
+
+  describe('getter($jwks)', () => {
+    it('should default to null', () => {
+      expect(profile.$jwks).to.equal(null);
+    });
+
+    it('should serialize the key set', () => {
+      profile.$jwks = {
+        keys: [{ kid: '12345' }]
+      };
+
+      expect(profile.$jwks).to.deep.equal({
+        keys: [{ kid: '12345' }]
+      });
+    });
   });
 
   describe('getter(redirectUrl)', () => {
@@ -246,65 +641,283 @@ describe('salte-auth.profile', () => {
 
       expect(userInfo).to.equal(null);
     });
-  });
 
-  describe('function($validate)', () => {
-    it('should return an null if there are no issues', () => {
+    it('should merge the cached user info claims', () => {
       profile.$idToken = `0.${btoa(
         JSON.stringify({
           sub: '1234567890',
-          name: 'John Doe',
-          nonce: null,
-          aud: '55555-55555'
+          name: 'John Doe'
         })
       )}.0`;
-      profile.$nonce = null;
-      profile.$localState = null;
-      profile.$state = null;
-      profile.$$config.clientId = '55555-55555';
-      const response = profile.$validate();
-      expect(response).to.deep.equal(undefined);
+      profile.$userInfoClaims = {
+        sub: '1234567890',
+        name: 'Jane Doe',
+        email: 'john@salte.io'
+      };
+
+      profile.$refreshUserInfo();
+
+      expect(profile.userInfo).to.deep.equal({
+        sub: '1234567890',
+        name: 'John Doe',
+        email: 'john@salte.io'
+      });
     });
 
-    it('should not return an error if one  of the audiences matches the "clientId"', () => {
+    it('should not merge the cached user info claims of a different subject', () => {
       profile.$idToken = `0.${btoa(
         JSON.stringify({
-          sub: '1234567890',
-          name: 'John Doe',
-          nonce: null,
-          aud: ['55555-55555', 'test2'],
-          azp: '55555-55555'
+          sub: '1234567890'
         })
       )}.0`;
-      profile.$localState = null;
-      profile.$state = null;
-      profile.$nonce = null;
-      profile.$$config.clientId = '55555-55555';
-      const response = profile.$validate();
-      expect(response).to.deep.equal(undefined);
-    });
+      profile.$userInfoClaims = {
+        sub: '0987654321',
+        email: 'jane@salte.io'
+      };
 
-    it('should return an error if "error" is defined', () => {
-      profile.$error = 'your-fault';
-      profile.$errorDescription = 'Look what you did!';
-      const response = profile.$validate();
-      expect(response).to.deep.equal({
-        code: 'your-fault',
-        description: 'Look what you did!'
+      profile.$refreshUserInfo();
+
+      expect(profile.userInfo).to.deep.equal({
+        sub: '1234567890'
       });
     });
+  });
 
-    it('should return an error if no "id_token" is defined', () => {
-      const response = profile.$validate();
-      expect(response).to.deep.equal({
-        code: 'login_canceled',
-        description:
-          'User likely canceled the login or something unexpected occurred.'
+  describe('getter($userInfoClaims)', () => {
+    it('should default to null', () => {
+      expect(profile.$userInfoClaims).to.equal(null);
+    });
+
+    it('should serialize the claims', () => {
+      profile.$userInfoClaims = {
+        sub: '1234567890'
+      };
+
+      expect(sessionStorage.getItem('salte.auth.user-info')).to.equal('{"sub":"1234567890"}');
+      expect(profile.$userInfoClaims).to.deep.equal({
+        sub: '1234567890'
       });
     });
+  });
 
-    it('should return an error if the "local-state" does not match the "state"', () => {
-      profile.$localState = '54321';
+  describe('function(fetchUserInfo)', () => {
+    beforeEach(() => {
+      profile.$$userInfoEndpoint = () => 'https://api.salte.io/userinfo';
+      profile.$accessToken = '55555-55555';
+      profile.$idToken = `0.${btoa(
+        JSON.stringify({
+          sub: '1234567890',
+          name: 'John Doe'
+        })
+      )}.0`;
+    });
+
+    it('should retrieve and merge the claims', () => {
+      sinon.stub(window, 'fetch').returns(Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({
+          sub: '1234567890',
+          name: 'Jane Doe',
+          email: 'john@salte.io'
+        })
+      }));
+
+      return profile.fetchUserInfo().then((userInfo) => {
+        const [url, options] = window.fetch.firstCall.args;
+
+        expect(url).to.equal('https://api.salte.io/userinfo');
+        expect(options.headers).to.deep.equal({
+          Authorization: 'Bearer 55555-55555'
+        });
+        expect(userInfo).to.deep.equal({
+          sub: '1234567890',
+          name: 'John Doe',
+          email: 'john@salte.io'
+        });
+        expect(profile.userInfo).to.deep.equal(userInfo);
+        expect(profile.$userInfoClaims).to.deep.equal({
+          sub: '1234567890',
+          name: 'Jane Doe',
+          email: 'john@salte.io'
+        });
+      });
+    });
+
+    it('should reject claims for a different subject', () => {
+      sinon.stub(window, 'fetch').returns(Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({
+          sub: '0987654321',
+          email: 'jane@salte.io'
+        })
+      }));
+
+      return profile.fetchUserInfo().catch((error) => error).then((error) => {
+        expect(error).to.deep.equal({
+          code: 'invalid_sub',
+          description: 'The subject of the user info did not match the ID Token.'
+        });
+        expect(profile.$userInfoClaims).to.equal(null);
+      });
+    });
+
+    it('should reject with the error returned by the userinfo endpoint', () => {
+      sinon.stub(window, 'fetch').returns(Promise.resolve({
+        ok: false,
+        status: 401,
+        json: () => Promise.resolve({
+          error: 'invalid_token',
+          error_description: 'The access token expired.'
+        })
+      }));
+
+      return profile.fetchUserInfo().catch((error) => error).then((error) => {
+        expect(error).to.deep.equal({
+          code: 'invalid_token',
+          description: 'The access token expired.'
+        });
+        expect(profile.$userInfoClaims).to.equal(null);
+      });
+    });
+
+    it('should reject with the status if the userinfo endpoint did not return an error', () => {
+      sinon.stub(window, 'fetch').returns(Promise.resolve({
+        ok: false,
+        status: 403,
+        json: () => Promise.reject(new SyntaxError('Unexpected end of JSON input'))
+      }));
+
+      return profile.fetchUserInfo().catch((error) => error).then((error) => {
+        expect(error).to.deep.equal({
+          code: 'userinfo_failed',
+          description: 'The userinfo endpoint responded with a 403.'
+        });
+      });
+    });
+
+    it('should require a userinfo endpoint', () => {
+      profile.$$userInfoEndpoint = () => null;
+
+      return profile.fetchUserInfo().catch((error) => error).then((error) => {
+        expect(error).to.be.instanceOf(ReferenceError);
+        expect(error.message).to.equal('The identity provider does not have a userinfo endpoint.');
+      });
+    });
+
+    it('should require an access token', () => {
+      profile.$accessToken = undefined;
+
+      return profile.fetchUserInfo().catch((error) => error).then((error) => {
+        expect(error).to.be.instanceOf(ReferenceError);
+        expect(error.message).to.equal('An access token is required to retrieve the user info.');
+      });
+    });
+  });
+
+  describe('function($endpointTokens)', () => {
+    it('should save and retrieve the access token for an endpoint', () => {
+      profile.$endpointTokens('audience=https://api.salte.io', {
+        accessToken: '12345',
+        expiration: 1000
+      });
+
+      expect(profile.$endpointTokens('audience=https://api.salte.io')).to.deep.equal({
+        accessToken: '12345',
+        expiration: 1000
+      });
+      expect(profile.$accessToken).to.equal(null);
+    });
+
+    it('should default to null', () => {
+      expect(profile.$endpointTokens('audience=https://api.salte.io')).to.equal(null);
+    });
+  });
+
+  describe('function($endpointTokenExpired)', () => {
+    beforeEach(() => {
+      sinon.useFakeTimers(1000000);
+    });
+
+    it('should be true if the access token is missing', () => {
+      expect(profile.$endpointTokenExpired('audience=https://api.salte.io')).to.equal(true);
+    });
+
+    it('should be true if the access token has expired', () => {
+      profile.$endpointTokens('audience=https://api.salte.io', {
+        accessToken: '12345',
+        expiration: 1000000
+      });
+
+      expect(profile.$endpointTokenExpired('audience=https://api.salte.io')).to.equal(true);
+    });
+
+    it('should be false if the access token is still valid', () => {
+      profile.$endpointTokens('audience=https://api.salte.io', {
+        accessToken: '12345',
+        expiration: 1005000
+      });
+
+      expect(profile.$endpointTokenExpired('audience=https://api.salte.io')).to.equal(false);
+    });
+  });
+
+  describe('function($validate)', () => {
+    it('should return an null if there are no issues', () => {
+      profile.$idToken = `0.${btoa(
+        JSON.stringify({
+          sub: '1234567890',
+          name: 'John Doe',
+          nonce: null,
+          aud: '55555-55555'
+        })
+      )}.0`;
+      profile.$nonce = null;
+      profile.$localState = null;
+      profile.$state = null;
+      profile.$$config.clientId = '55555-55555';
+      const response = profile.$validate();
+      expect(response).to.deep.equal(undefined);
+    });
+
+    it('should not return an error if one  of the audiences matches the "clientId"', () => {
+      profile.$idToken = `0.${btoa(
+        JSON.stringify({
+          sub: '1234567890',
+          name: 'John Doe',
+          nonce: null,
+          aud: ['55555-55555', 'test2'],
+          azp: '55555-55555'
+        })
+      )}.0`;
+      profile.$localState = null;
+      profile.$state = null;
+      profile.$nonce = null;
+      profile.$$config.clientId = '55555-55555';
+      const response = profile.$validate();
+      expect(response).to.deep.equal(undefined);
+    });
+
+    it('should return an error if "error" is defined', () => {
+      profile.$error = 'your-fault';
+      profile.$errorDescription = 'Look what you did!';
+      const response = profile.$validate();
+      expect(response).to.deep.equal({
+        code: 'your-fault',
+        description: 'Look what you did!'
+      });
+    });
+
+    it('should return an error if no "id_token" is defined', () => {
+      const response = profile.$validate();
+      expect(response).to.deep.equal({
+        code: 'login_canceled',
+        description:
+          'User likely canceled the login or something unexpected occurred.'
+      });
+    });
+
+    it('should return an error if the "local-state" does not match the "state"', () => {
+      profile.$localState = '54321';
       profile.$state = '12345';
       profile.$idToken = `0.${btoa(
         JSON.stringify({
@@ -445,6 +1058,366 @@ describe('salte-auth.profile', () => {
       expect(response).to.deep.equal(undefined);
     });
 
+    it('should require an "id_token" when using pkce', () => {
+      profile.code = '12345';
+      profile.$localState = null;
+      profile.$state = null;
+      profile.$$config.responseType = 'code';
+      profile.$$config.pkce = true;
+      const response = profile.$validate();
+      expect(response).to.deep.equal({
+        code: 'login_canceled',
+        description:
+          'User likely canceled the login or something unexpected occurred.'
+      });
+    });
+
+    it('should validate the "id_token" when using pkce', () => {
+      profile.$idToken = `0.${btoa(
+        JSON.stringify({
+          sub: '1234567890',
+          name: 'John Doe',
+          nonce: '54321'
+        })
+      )}.0`;
+      profile.$nonce = '12345';
+      profile.$localState = null;
+      profile.$state = null;
+      profile.$$config.responseType = 'code';
+      profile.$$config.pkce = true;
+      const response = profile.$validate();
+      expect(response).to.deep.equal({
+        code: 'invalid_nonce',
+        description:
+          'Nonce provided by identity provider did not match local nonce.'
+      });
+    });
+
+    it('should return an error if the signature was not verified', () => {
+      profile.$idToken = `0.${btoa(
+        JSON.stringify({
+          sub: '1234567890',
+          name: 'John Doe',
+          nonce: null,
+          aud: '55555-55555'
+        })
+      )}.0`;
+      profile.$nonce = null;
+      profile.$localState = null;
+      profile.$state = null;
+      profile.$$config.clientId = '55555-55555';
+      profile.$$config.validation.signature = true;
+      const response = profile.$validate();
+      expect(response).to.deep.equal({
+        code: 'invalid_signature',
+        description: 'The signature of the ID Token could not be verified.'
+      });
+    });
+
+    it('should not return an error if the signature was verified', () => {
+      profile.$idToken = `0.${btoa(
+        JSON.stringify({
+          sub: '1234567890',
+          name: 'John Doe',
+          nonce: null,
+          aud: '55555-55555'
+        })
+      )}.0`;
+      profile.$nonce = null;
+      profile.$localState = null;
+      profile.$state = null;
+      profile.$$config.clientId = '55555-55555';
+      profile.$$config.validation.signature = true;
+      profile.$$verifiedIdToken = profile.$idToken;
+      const response = profile.$validate();
+      expect(response).to.equal(undefined);
+    });
+
+    describe('claims', () => {
+      let clock;
+      beforeEach(() => {
+        clock = sinon.useFakeTimers(1000000);
+        profile.$nonce = null;
+        profile.$localState = null;
+        profile.$state = null;
+        profile.$$config.clientId = '55555-55555';
+      });
+
+      function idToken(claims, alg = 'RS256') {
+        profile.$idToken = `${btoa(JSON.stringify({ alg }))}.${btoa(
+          JSON.stringify(assign({
+            sub: '1234567890',
+            nonce: null,
+            aud: '55555-55555'
+          }, claims))
+        )}.0`;
+      }
+
+      it('should return an error if the "iss" does not match the expected issuer', () => {
+        idToken({ iss: 'https://bogus.salte.io' });
+        profile.$$config.issuer = 'https://api.salte.io';
+        expect(profile.$validate()).to.deep.equal({
+          code: 'invalid_iss',
+          description: 'The issuer did not match the expected issuer.'
+        });
+      });
+
+      it('should not return an error if the "iss" matches the expected issuer', () => {
+        idToken({ iss: 'https://api.salte.io' });
+        profile.$$config.issuer = 'https://api.salte.io';
+        expect(profile.$validate()).to.equal(undefined);
+      });
+
+      it('should return an error if the "exp" is in the past', () => {
+        idToken({ exp: 1000 });
+        expect(profile.$validate()).to.deep.equal({
+          code: 'invalid_exp',
+          description: 'The ID Token has already expired.'
+        });
+      });
+
+      it('should return an error if the "nbf" is in the future', () => {
+        idToken({ nbf: 1001 });
+        profile.$$config.clockTolerance = 0;
+        expect(profile.$validate()).to.deep.equal({
+          code: 'invalid_nbf',
+          description: 'The ID Token is not valid yet.'
+        });
+      });
+
+      it('should return an error if the "iat" is in the future', () => {
+        idToken({ iat: 1001 });
+        profile.$$config.clockTolerance = 0;
+        expect(profile.$validate()).to.deep.equal({
+          code: 'invalid_iat',
+          description: 'The ID Token was issued in the future.'
+        });
+      });
+
+      it('should return an error if the "iat" is older than the "maxTokenAge"', () => {
+        idToken({ iat: 699 });
+        profile.$$config.clockTolerance = 0;
+        expect(profile.$validate()).to.deep.equal({
+          code: 'invalid_iat',
+          description: 'The ID Token was issued too long ago.'
+        });
+      });
+
+      it('should not return an error if the claims are valid', () => {
+        idToken({ exp: 1001, nbf: 1000, iat: 700 });
+        expect(profile.$validate()).to.equal(undefined);
+      });
+
+      it('should tolerate the "clockSkew"', () => {
+        idToken({ exp: 1000, nbf: 1005, iat: 1005 });
+        profile.$$config.clockSkew = 5000;
+        expect(profile.$validate()).to.equal(undefined);
+        clock.tick(5000);
+        expect(profile.$validate()).to.deep.equal({
+          code: 'invalid_exp',
+          description: 'The ID Token has already expired.'
+        });
+      });
+
+      it('should tolerate clients slightly behind the identity provider by default', () => {
+        idToken({ exp: 1600, nbf: 1002, iat: 1002 });
+        expect(profile.$validate()).to.equal(undefined);
+      });
+
+      it('should not tolerate clients that are too far behind the identity provider', () => {
+        idToken({ exp: 1600, nbf: 1301, iat: 1301 });
+        expect(profile.$validate()).to.deep.equal({
+          code: 'invalid_nbf',
+          description: 'The ID Token is not valid yet.'
+        });
+      });
+
+      it('should skip the claim validation if it is disabled', () => {
+        idToken({ iss: 'https://bogus.salte.io', exp: 1000, nbf: 1001, iat: 1001 });
+        profile.$$config.issuer = 'https://api.salte.io';
+        profile.$$config.validation = {
+          iss: false,
+          exp: false,
+          nbf: false,
+          iat: false
+        };
+        expect(profile.$validate()).to.equal(undefined);
+      });
+    });
+
+    describe('hashes', () => {
+      beforeEach(() => {
+        profile.$nonce = null;
+        profile.$localState = null;
+        profile.$state = null;
+        profile.$$config.clientId = '55555-55555';
+      });
+
+      function idToken(claims, alg = 'RS256') {
+        profile.$idToken = `${btoa(JSON.stringify({ alg }))}.${btoa(
+          JSON.stringify(assign({
+            sub: '1234567890',
+            nonce: null,
+            aud: '55555-55555'
+          }, claims))
+        )}.0`;
+      }
+
+      it('should return an error if the "at_hash" does not match the access token', () => {
+        idToken({ at_hash: '77QmUPtjPfzWtF2AnpK9RQ' });
+        profile.$$config.responseType = 'id_token token';
+        profile.$accessToken = 'bogus';
+        expect(profile.$validate()).to.deep.equal({
+          code: 'invalid_at_hash',
+          description: 'The access token did not match the "at_hash" of the ID Token.'
+        });
+      });
+
+      it('should return an error if the "at_hash" is missing', () => {
+        idToken();
+        profile.$$config.responseType = 'id_token token';
+        profile.$accessToken = 'jHkWEdUXMU1BwAsC4vtUsZwnNvTIxEl0z9K3vx5KF0Y';
+        expect(profile.$validate()).to.deep.equal({
+          code: 'invalid_at_hash',
+          description: 'The access token did not match the "at_hash" of the ID Token.'
+        });
+      });
+
+      it('should not return an error if the "at_hash" matches the access token', () => {
+        idToken({ at_hash: '77QmUPtjPfzWtF2AnpK9RQ' });
+        profile.$$config.responseType = 'id_token token';
+        profile.$accessToken = 'jHkWEdUXMU1BwAsC4vtUsZwnNvTIxEl0z9K3vx5KF0Y';
+        expect(profile.$validate()).to.equal(undefined);
+      });
+
+      it('should ignore the "at_hash" if an access token was not requested', () => {
+        idToken();
+        profile.$accessToken = 'jHkWEdUXMU1BwAsC4vtUsZwnNvTIxEl0z9K3vx5KF0Y';
+        expect(profile.$validate()).to.equal(undefined);
+      });
+
+      it('should return an error if the "c_hash" does not match the code', () => {
+        idToken({ c_hash: 'LDktKdoQak3Pk0cnXxCltA' });
+        profile.$$config.responseType = 'code id_token';
+        profile.code = 'bogus';
+        expect(profile.$validate()).to.deep.equal({
+          code: 'invalid_c_hash',
+          description: 'The authorization code did not match the "c_hash" of the ID Token.'
+        });
+      });
+
+      it('should not return an error if the "c_hash" matches the code', () => {
+        idToken({ c_hash: 'LDktKdoQak3Pk0cnXxCltA' });
+        profile.$$config.responseType = 'code id_token';
+        profile.code = 'Qcb0Orv1zh30vL1MPRsbm-diHiMwcLyZvn1arpZv-Jxf_11jnpEX3Tgfvk';
+        expect(profile.$validate()).to.equal(undefined);
+      });
+
+      it('should use the hash matching the algorithm the ID Token was signed with', () => {
+        idToken({ at_hash: 'jtAeDp945y1dDqU3nkIVGNZP1HjH_MFs' }, 'ES384');
+        profile.$$config.responseType = 'id_token token';
+        profile.$accessToken = 'jHkWEdUXMU1BwAsC4vtUsZwnNvTIxEl0z9K3vx5KF0Y';
+        expect(profile.$validate()).to.equal(undefined);
+
+        idToken({ at_hash: 'q7nS86GgvvFaZkzALLWqJYaJIKw2wCDAVfCAsm5CrBM' }, 'PS512');
+        expect(profile.$validate()).to.equal(undefined);
+
+        idToken({ at_hash: '77QmUPtjPfzWtF2AnpK9RQ' }, 'RS512');
+        expect(profile.$validate()).to.deep.equal({
+          code: 'invalid_at_hash',
+          description: 'The access token did not match the "at_hash" of the ID Token.'
+        });
+      });
+
+      it('should return an error if the algorithm is not supported', () => {
+        idToken({ at_hash: '77QmUPtjPfzWtF2AnpK9RQ' }, 'none');
+        profile.$$config.responseType = 'id_token token';
+        profile.$accessToken = 'jHkWEdUXMU1BwAsC4vtUsZwnNvTIxEl0z9K3vx5KF0Y';
+        expect(profile.$validate()).to.deep.equal({
+          code: 'invalid_alg',
+          description: 'The ID Token was signed with an unsupported algorithm, so the "at_hash" and "c_hash" could not be verified.'
+        });
+      });
+
+      it('should skip the hash validation if it is disabled', () => {
+        idToken();
+        profile.$$config.responseType = 'code id_token token';
+        profile.$$config.validation.atHash = false;
+        profile.$$config.validation.cHash = false;
+        profile.$accessToken = 'bogus';
+        profile.code = 'bogus';
+        expect(profile.$validate()).to.equal(undefined);
+      });
+    });
+
+    describe('hybrid', () => {
+      beforeEach(() => {
+        profile.$nonce = null;
+        profile.$localState = null;
+        profile.$state = null;
+        profile.$$config.clientId = '55555-55555';
+        profile.$$config.validation.cHash = false;
+      });
+
+      it('should return an error if the code is missing', () => {
+        profile.$idToken = `0.${btoa(
+          JSON.stringify({
+            sub: '1234567890',
+            nonce: null,
+            aud: '55555-55555'
+          })
+        )}.0`;
+        profile.$$config.responseType = 'code id_token';
+        expect(profile.$validate()).to.deep.equal({
+          code: 'login_canceled',
+          description: 'User likely canceled the login or something unexpected occurred.'
+        });
+      });
+
+      it('should return an error if the ID Token is missing', () => {
+        profile.code = '12345';
+        profile.$$config.responseType = 'code id_token';
+        expect(profile.$validate()).to.deep.equal({
+          code: 'login_canceled',
+          description: 'User likely canceled the login or something unexpected occurred.'
+        });
+      });
+
+      it('should validate the ID Token alongside the code', () => {
+        profile.$idToken = `0.${btoa(
+          JSON.stringify({
+            sub: '1234567890',
+            nonce: null,
+            aud: 'bogus'
+          })
+        )}.0`;
+        profile.code = '12345';
+        profile.$$config.responseType = 'code id_token';
+        expect(profile.$validate()).to.deep.equal({
+          code: 'invalid_aud',
+          description: 'The audience did not match the Client ID.'
+        });
+      });
+
+      it('should not require an ID Token for "code token"', () => {
+        profile.code = '12345';
+        profile.$$config.responseType = 'code token';
+        expect(profile.$validate()).to.equal(undefined);
+      });
+
+      it('should not require a code for access token requests', () => {
+        profile.$idToken = `0.${btoa(
+          JSON.stringify({
+            sub: '1234567890',
+            nonce: null,
+            aud: '55555-55555'
+          })
+        )}.0`;
+        profile.$$config.responseType = 'code id_token token';
+        expect(profile.$validate(true)).to.equal(undefined);
+      });
+    });
+
     it('should skip individual validation if it is disabled', () => {
       profile.$idToken = `0.${btoa(
         JSON.stringify({
@@ -502,6 +1475,68 @@ describe('salte-auth.profile', () => {
       profile.$saveItem('bogus', undefined);
       expect(sessionStorage.getItem('bogus')).to.equal(null);
     });
+
+    it('should save cookies with the configured attributes', () => {
+      sinon.spy(Cookie, 'set');
+      sinon.spy(Cookie, 'remove');
+      profile.$$config.cookie = {
+        domain: location.hostname
+      };
+
+      profile.$saveItem('salte.auth.$state', '12345', 'cookie');
+      profile.$saveItem('salte.auth.$state', undefined, 'cookie');
+
+      expect(Cookie.set.calledWith('salte.auth.$state', '12345', profile.$cookieAttributes)).to.equal(true);
+      expect(Cookie.remove.calledWith('salte.auth.$state', {
+        path: '/',
+        domain: location.hostname
+      })).to.equal(true);
+    });
+
+    it('should save transient values to sessionStorage if configured', () => {
+      profile.$$config.transientStorageType = 'session';
+
+      profile.$saveItem('salte.auth.$state', '12345', 'cookie');
+
+      expect(sessionStorage.getItem('salte.auth.$state')).to.equal('12345');
+      expect(Cookie.get('salte.auth.$state')).to.equal(undefined);
+      expect(profile.$getItem('salte.auth.$state', 'cookie')).to.equal('12345');
+    });
+  });
+
+  describe('getter($cookieAttributes)', () => {
+    it('should default to secure attributes', () => {
+      expect(profile.$cookieAttributes).to.deep.equal({
+        path: '/',
+        secure: location.protocol === 'https:',
+        sameSite: 'lax'
+      });
+    });
+
+    it('should support overriding the attributes', () => {
+      profile.$$config.cookie = {
+        secure: true,
+        sameSite: 'strict',
+        path: '/app',
+        domain: 'salte.io'
+      };
+
+      expect(profile.$cookieAttributes).to.deep.equal({
+        secure: true,
+        sameSite: 'strict',
+        path: '/app',
+        domain: 'salte.io'
+      });
+    });
+
+    it('should treat expires as a number of miliseconds', () => {
+      sinon.useFakeTimers(1000000);
+      profile.$$config.cookie = {
+        expires: 60000
+      };
+
+      expect(profile.$cookieAttributes.expires).to.deep.equal(new Date(1060000));
+    });
   });
 
   describe('function($getItem)', () => {
@@ -536,6 +1571,136 @@ describe('salte-auth.profile', () => {
         'Unknown Storage Type (bogus)'
       );
     });
+
+    it('should support storing values in memory', () => {
+      const storage = profile.$$getStorage('memory');
+
+      expect(storage).to.be.an.instanceof(SalteAuthMemoryStorage);
+      expect(profile.$$getStorage('memory')).to.equal(storage);
+    });
+
+    it('should support storing values in IndexedDB', () => {
+      const storage = profile.$$getStorage('indexeddb');
+
+      expect(storage).to.be.an.instanceof(SalteAuthCachedStorage);
+      expect(storage.$adapter).to.be.an.instanceof(SalteAuthIndexedDBStorage);
+      return storage.ready;
+    });
+
+    it('should support custom storage adapters', () => {
+      const adapter = {
+        keys: () => []
+      };
+      const storage = profile.$$getStorage(adapter);
+
+      expect(storage).to.be.an.instanceof(SalteAuthCachedStorage);
+      expect(storage.$adapter).to.equal(adapter);
+      expect(profile.$$getStorage(adapter)).to.equal(storage);
+    });
+
+    it('should return the configured storage', () => {
+      expect(profile.$storage).to.equal(sessionStorage);
+    });
+
+    it('should encrypt the configured storage', () => {
+      profile.$$config.encryption = true;
+      profile.$$config.storageType = 'local';
+
+      const storage = profile.$storage;
+
+      expect(storage).to.be.an.instanceof(SalteAuthCachedStorage);
+      expect(storage.$adapter).to.be.an.instanceof(SalteAuthEncryptedStorage);
+      expect(storage.$adapter.$storage).to.equal(localStorage);
+      expect(storage.$adapter.$prefix).to.equal('salte.auth');
+      expect(profile.$storage).to.equal(storage);
+      return storage.ready;
+    });
+
+    it('should encrypt IndexedDB without caching it twice', () => {
+      profile.$$config.encryption = true;
+      profile.$$config.storageType = 'indexeddb';
+
+      expect(profile.$storage.$adapter.$storage).to.be.an.instanceof(SalteAuthIndexedDBStorage);
+      return profile.$storage.ready;
+    });
+
+    it('should encrypt custom storage adapters', () => {
+      const adapter = {
+        keys: () => []
+      };
+      profile.$$config.encryption = true;
+      profile.$$config.storageType = adapter;
+
+      expect(profile.$storage.$adapter.$storage).to.equal(adapter);
+      return profile.$storage.ready;
+    });
+  });
+
+  describe('getter($cached)', () => {
+    it('should be false for Web Storage', () => {
+      expect(profile.$cached).to.equal(false);
+    });
+
+    it('should be true for asynchronous storage', () => {
+      profile.$$config.storageType = {
+        keys: () => []
+      };
+
+      expect(profile.$cached).to.equal(true);
+    });
+  });
+
+  describe('function($reload)', () => {
+    it('should resolve immediately for Web Storage', () => {
+      return profile.$reload();
+    });
+
+    it('should reload cached storage', () => {
+      profile.$$config.storageType = {
+        keys: () => []
+      };
+      sinon.stub(profile.$storage, 'reload').returns(Promise.resolve());
+
+      return profile.$reload().then(() => {
+        expect(profile.$storage.reload.callCount).to.equal(1);
+      });
+    });
+  });
+
+  describe('getter($hydrated)', () => {
+    it('should be true for synchronous storage', () => {
+      expect(profile.$hydrated).to.equal(true);
+    });
+
+    it('should be false until asynchronous storage has loaded', () => {
+      profile.$$config.storageType = {
+        keys: () => Promise.resolve([])
+      };
+
+      expect(profile.$hydrated).to.equal(false);
+      return profile.$ready.then(() => {
+        expect(profile.$hydrated).to.equal(true);
+      });
+    });
+  });
+
+  describe('function($flush)', () => {
+    it('should resolve immediately for synchronous storage', () => {
+      return profile.$flush();
+    });
+
+    it('should wait for asynchronous storage to persist the changes', () => {
+      const adapter = {
+        keys: () => [],
+        setItem: sinon.stub().returns(Promise.resolve())
+      };
+      profile.$$config.storageType = adapter;
+      profile.$accessToken = '12345';
+
+      return profile.$flush().then(() => {
+        expect(adapter.setItem.calledWith('salte.auth.access-token', '12345')).to.equal(true);
+      });
+    });
   });
 
   describe('function($clear)', () => {
@@ -566,6 +1731,209 @@ describe('salte-auth.profile', () => {
       expect(sessionStorage.getItem('salte.auth.bogus')).to.equal(null);
       expect(sessionStorage.getItem('bogus')).to.equal('12345');
     });
+
+    it('should remove all "salte.auth" items from custom storage', () => {
+      profile.$$config.storageType = 'memory';
+      profile.$saveItem('salte.auth.$test', '123');
+      profile.$saveItem('salte.auth.id_token', '12345-12345-12345');
+      profile.$$getStorage('memory').setItem('bogus', '12345');
+
+      profile.$clear();
+
+      expect(profile.$getItem('salte.auth.$test')).to.equal('123');
+      expect(profile.$getItem('salte.auth.id_token')).to.equal(null);
+      expect(profile.$getItem('bogus')).to.equal('12345');
+    });
+
+    it('should remove cookies with the configured path', () => {
+      Cookie.set('salte.auth.nonce', '12345');
+      sinon.spy(Cookie, 'remove');
+      profile.$$config.cookie = {
+        sameSite: 'strict'
+      };
+
+      profile.$clear();
+
+      expect(Cookie.remove.calledWith('salte.auth.nonce', {
+        path: '/'
+      })).to.equal(true);
+      expect(Cookie.get('salte.auth.nonce')).to.equal(undefined);
+    });
+
+    it('should only remove the items of the named instance', () => {
+      profile = new SalteAuthProfile({
+        name: 'admin'
+      });
+
+      sessionStorage.setItem('salte.auth.id_token', '12345-12345-12345');
+      sessionStorage.setItem('salte.auth:admin.id_token', '54321-54321-54321');
+      sessionStorage.setItem('salte.auth:admin.$test', '123');
+
+      profile.$clear();
+
+      expect(sessionStorage.getItem('salte.auth.id_token')).to.equal('12345-12345-12345');
+      expect(sessionStorage.getItem('salte.auth:admin.id_token')).to.equal(null);
+      expect(sessionStorage.getItem('salte.auth:admin.$test')).to.equal('123');
+
+      profile.$clear(true);
+
+      expect(sessionStorage.getItem('salte.auth:admin.$test')).to.equal(null);
+    });
+
+    it('should not remove the items of named instances', () => {
+      sessionStorage.setItem('salte.auth:admin.id_token', '54321-54321-54321');
+
+      profile.$clear(true);
+
+      expect(sessionStorage.getItem('salte.auth:admin.id_token')).to.equal('54321-54321-54321');
+      sessionStorage.removeItem('salte.auth:admin.id_token');
+    });
+  });
+
+  describe('getter($prefix)', () => {
+    it('should default to "salte.auth"', () => {
+      expect(profile.$prefix).to.equal('salte.auth');
+    });
+
+    it('should include the name of the instance', () => {
+      profile = new SalteAuthProfile({
+        name: 'admin'
+      });
+
+      expect(profile.$prefix).to.equal('salte.auth:admin');
+    });
+
+    it('should support custom namespaces', () => {
+      profile = new SalteAuthProfile({
+        namespace: 'my-app'
+      });
+
+      expect(profile.$prefix).to.equal('my-app');
+    });
+
+    it('should include the name of the instance in custom namespaces', () => {
+      profile = new SalteAuthProfile({
+        namespace: 'my-app',
+        name: 'admin'
+      });
+
+      expect(profile.$prefix).to.equal('my-app:admin');
+    });
+  });
+
+  describe('function($$migrate)', () => {
+    afterEach(() => {
+      sessionStorage.clear();
+    });
+
+    it('should stamp the schema version', () => {
+      profile = new SalteAuthProfile();
+
+      expect(sessionStorage.getItem('salte.auth.$version')).to.equal('1');
+    });
+
+    it('should move legacy sessions into the configured namespace', () => {
+      sessionStorage.setItem('salte.auth.id-token', '12345.e30.12345');
+
+      profile = new SalteAuthProfile({
+        namespace: 'my-app'
+      });
+
+      expect(sessionStorage.getItem('salte.auth.id-token')).to.equal(null);
+      expect(sessionStorage.getItem('my-app.id-token')).to.equal('12345.e30.12345');
+      expect(sessionStorage.getItem('my-app.$version')).to.equal('1');
+      expect(profile.$idToken).to.equal('12345.e30.12345');
+    });
+
+    it('should move legacy sessions of named instances', () => {
+      sessionStorage.setItem('salte.auth:admin.id-token', '12345.e30.12345');
+      sessionStorage.setItem('salte.auth.id-token', '54321.e30.54321');
+
+      profile = new SalteAuthProfile({
+        namespace: 'my-app',
+        name: 'admin'
+      });
+
+      expect(sessionStorage.getItem('my-app:admin.id-token')).to.equal('12345.e30.12345');
+      expect(sessionStorage.getItem('salte.auth.id-token')).to.equal('54321.e30.54321');
+    });
+
+    it('should invoke the migrate hook with the previous version', () => {
+      const migrate = sinon.stub();
+
+      profile = new SalteAuthProfile({
+        namespace: 'my-app',
+        migrate
+      });
+
+      expect(migrate.callCount).to.equal(1);
+      expect(migrate.firstCall.args).to.deep.equal([0, profile]);
+    });
+
+    it('should skip sessions that are already up to date', () => {
+      const migrate = sinon.stub();
+      sessionStorage.setItem('my-app.$version', '1');
+      sessionStorage.setItem('salte.auth.id-token', '12345.12345.12345');
+
+      profile = new SalteAuthProfile({
+        namespace: 'my-app',
+        migrate
+      });
+
+      expect(migrate.callCount).to.equal(0);
+      expect(sessionStorage.getItem('salte.auth.id-token')).to.equal('12345.12345.12345');
+    });
+  });
+
+  describe('function($$move)', () => {
+    afterEach(() => {
+      sessionStorage.clear();
+    });
+
+    it('should not overwrite values that already exist', () => {
+      sessionStorage.setItem('salte.auth.id-token', '12345.12345.12345');
+      sessionStorage.setItem('my-app.id-token', '54321.54321.54321');
+
+      profile.$$move('salte.auth', 'my-app');
+
+      expect(sessionStorage.getItem('salte.auth.id-token')).to.equal(null);
+      expect(sessionStorage.getItem('my-app.id-token')).to.equal('54321.54321.54321');
+    });
+  });
+
+  describe('function($key)', () => {
+    it('should namespace the key for named instances', () => {
+      profile = new SalteAuthProfile({
+        name: 'admin'
+      });
+
+      expect(profile.$key('salte.auth.id-token')).to.equal('salte.auth:admin.id-token');
+    });
+
+    it('should not modify the key for the default instance', () => {
+      expect(profile.$key('salte.auth.id-token')).to.equal('salte.auth.id-token');
+    });
+
+    it('should not modify unrelated keys', () => {
+      profile = new SalteAuthProfile({
+        name: 'admin'
+      });
+
+      expect(profile.$key('bogus')).to.equal('bogus');
+    });
+
+    it('should be used when saving items', () => {
+      profile = new SalteAuthProfile({
+        name: 'admin'
+      });
+
+      profile.$idToken = '12345.12345.12345';
+
+      expect(sessionStorage.getItem('salte.auth:admin.id-token')).to.equal('12345.12345.12345');
+      expect(sessionStorage.getItem('salte.auth.id-token')).to.equal(null);
+      expect(profile.$idToken).to.equal('12345.12345.12345');
+      profile.$clear(true);
+    });
   });
 
   describe('function($clearErrors)', () => {
@@ -32,4 +32,10 @@ describe('salte-auth.providers', () => {
       expect(Providers.okta).to.not.be.undefined;
     });
   });
+
+  describe('getter(openid)', () => {
+    it('should return the openid provider', () => {
+      expect(Providers.openid).to.not.be.undefined;
+    });
+  });
 });
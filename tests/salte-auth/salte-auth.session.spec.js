@@ -0,0 +1,136 @@
+import { expect } from 'chai';
+
+import { SalteAuthSessionMonitor } from '../../src/salte-auth.session.js';
+
+describe('salte-auth.session', () => {
+  const url = `${location.protocol}//${location.host}/check-session`;
+  let monitor, callback;
+
+  beforeEach(() => {
+    callback = sinon.stub();
+    monitor = new SalteAuthSessionMonitor(url, callback, 1000);
+  });
+
+  afterEach(() => {
+    monitor.stop();
+    sinon.restore();
+  });
+
+  function respond(data, source = monitor.$iframe.contentWindow) {
+    monitor.$$onMessage({
+      data,
+      origin: `${location.protocol}//${location.host}`,
+      source
+    });
+  }
+
+  describe('function(constructor)', () => {
+    it('should determine the origin of the "check_session_iframe"', () => {
+      monitor = new SalteAuthSessionMonitor('https://api.salte.io/connect/checksession', callback);
+
+      expect(monitor.$origin).to.equal('https://api.salte.io');
+      expect(monitor.$interval).to.equal(3000);
+    });
+  });
+
+  describe('function(start)', () => {
+    it('should load the "check_session_iframe" in a hidden iframe', () => {
+      monitor.start('33333333-3333-4333-b333-333333333333', '12345.67890');
+
+      const iframe = document.body.querySelector('iframe[owner="salte-auth-session"]');
+
+      expect(iframe).to.equal(monitor.$iframe);
+      expect(iframe.src).to.equal(url);
+      expect(iframe.style.display).to.equal('none');
+      expect(monitor.$message).to.equal('33333333-3333-4333-b333-333333333333 12345.67890');
+    });
+
+    it('should not be mistaken for a login iframe', () => {
+      monitor.start('33333333-3333-4333-b333-333333333333', '12345.67890');
+
+      expect(document.body.querySelector('iframe[owner="salte-auth"]')).to.equal(null);
+    });
+
+    it('should replace any existing iframe', () => {
+      monitor.start('33333333-3333-4333-b333-333333333333', '12345.67890');
+      monitor.start('33333333-3333-4333-b333-333333333333', '09876.54321');
+
+      expect(document.body.querySelectorAll('iframe[owner="salte-auth-session"]').length).to.equal(1);
+      expect(monitor.$message).to.equal('33333333-3333-4333-b333-333333333333 09876.54321');
+    });
+  });
+
+  describe('function($$check)', () => {
+    it('should send the client id and session state to the "check_session_iframe"', () => {
+      monitor.start('33333333-3333-4333-b333-333333333333', '12345.67890');
+      sinon.stub(monitor.$iframe.contentWindow, 'postMessage');
+
+      monitor.$$check();
+
+      expect(monitor.$iframe.contentWindow.postMessage.calledWith(
+        '33333333-3333-4333-b333-333333333333 12345.67890',
+        `${location.protocol}//${location.host}`
+      )).to.equal(true);
+    });
+
+    it('should bail if the monitor has been stopped', () => {
+      monitor.$$check();
+    });
+  });
+
+  describe('function($$onMessage)', () => {
+    beforeEach(() => {
+      monitor.start('33333333-3333-4333-b333-333333333333', '12345.67890');
+    });
+
+    it('should stop and invoke the callback when the session has changed', () => {
+      respond('changed');
+
+      expect(callback.callCount).to.equal(1);
+      expect(monitor.$iframe).to.equal(null);
+      expect(document.body.querySelector('iframe[owner="salte-auth-session"]')).to.equal(null);
+    });
+
+    it('should ignore unchanged sessions', () => {
+      respond('unchanged');
+
+      expect(callback.callCount).to.equal(0);
+      expect(monitor.$iframe).to.not.equal(null);
+    });
+
+    it('should stop without invoking the callback on errors', () => {
+      respond('error');
+
+      expect(callback.callCount).to.equal(0);
+      expect(monitor.$iframe).to.equal(null);
+    });
+
+    it('should ignore messages from other windows', () => {
+      respond('changed', window);
+
+      expect(callback.callCount).to.equal(0);
+    });
+
+    it('should ignore messages from other origins', () => {
+      monitor.$$onMessage({
+        data: 'changed',
+        origin: 'https://www.google.com',
+        source: monitor.$iframe.contentWindow
+      });
+
+      expect(callback.callCount).to.equal(0);
+    });
+  });
+
+  describe('function(stop)', () => {
+    it('should remove the iframe and stop listening for messages', () => {
+      monitor.start('33333333-3333-4333-b333-333333333333', '12345.67890');
+      sinon.spy(window, 'removeEventListener');
+
+      monitor.stop();
+
+      expect(window.removeEventListener.calledWith('message', monitor.$$onMessage)).to.equal(true);
+      expect(document.body.querySelector('iframe[owner="salte-auth-session"]')).to.equal(null);
+    });
+  });
+});
@@ -4,6 +4,7 @@ import uuid from 'uuid';
 import SalteAuth from '../../src/salte-auth.js';
 import SalteAuthUtilities from '../../src/salte-auth.utilities.js';
 import SalteAuthProfile from '../../src/salte-auth.profile.js';
+import SalteAuthSync from '../../src/salte-auth.sync.js';
 
 describe('salte-auth', () => {
   let auth;
@@ -47,6 +48,52 @@ describe('salte-auth', () => {
       expect(new SalteAuth().bogus).to.equal('test');
     });
 
+    it('should support named instances', () => {
+      const admin = new SalteAuth({
+        name: 'admin',
+        provider: 'auth0',
+        responseType: 'id_token'
+      });
+
+      expect(admin).to.not.equal(auth);
+      expect(window.salte.auth).to.equal(auth);
+      expect(window.salte.instances.admin).to.equal(admin);
+      expect(admin.$utilities).to.not.equal(auth.$utilities);
+      expect(new SalteAuth({ name: 'admin' })).to.equal(admin);
+
+      admin.profile.$clear(true);
+      delete window.salte.instances.admin;
+    });
+
+    it('should only intercept requests to its own endpoints', () => {
+      auth.$config.endpoints = [`${location.protocol}//${location.host}/api`];
+      const admin = new SalteAuth({
+        name: 'admin',
+        provider: 'auth0',
+        responseType: 'id_token',
+        endpoints: [`${location.protocol}//${location.host}/admin`]
+      });
+
+      sinon.stub(auth, 'retrieveAccessToken').returns(Promise.resolve('12345'));
+      sinon.stub(admin, 'retrieveAccessToken').returns(Promise.resolve('54321'));
+
+      const request = {
+        url: `${location.protocol}//${location.host}/admin/users`,
+        headers: {
+          set: sinon.stub()
+        }
+      };
+
+      return Promise.all(auth.$utilities.$interceptors.fetch.concat(admin.$utilities.$interceptors.fetch).map((interceptor) => interceptor(request))).then(() => {
+        expect(auth.retrieveAccessToken.callCount).to.equal(0);
+        expect(admin.retrieveAccessToken.callCount).to.equal(1);
+        expect(request.headers.set.calledWith('Authorization', 'Bearer 54321')).to.equal(true);
+
+        admin.profile.$clear(true);
+        delete window.salte.instances.admin;
+      });
+    });
+
     it('should not allow passing an empty config', () => {
       delete window.salte.auth;
 
@@ -94,8 +141,17 @@ describe('salte-auth', () => {
           aud: true,
           azp: true,
           nonce: true,
-          state: true
-        }
+          state: true,
+          iss: true,
+          exp: true,
+          nbf: true,
+          iat: true,
+          atHash: true,
+          cHash: true
+        },
+        clockSkew: 0,
+        clockTolerance: 300000,
+        maxTokenAge: 300000
       });
       expect(auth.$config).to.deep.equal(auth.profile.$$config);
     });
@@ -126,8 +182,17 @@ describe('salte-auth', () => {
           aud: true,
           azp: true,
           nonce: false,
-          state: true
-        }
+          state: true,
+          iss: true,
+          exp: true,
+          nbf: true,
+          iat: true,
+          atHash: true,
+          cHash: true
+        },
+        clockSkew: 0,
+        clockTolerance: 300000,
+        maxTokenAge: 300000
       });
       expect(auth.$config).to.deep.equal(auth.profile.$$config);
     });
@@ -147,10 +212,10 @@ describe('salte-auth', () => {
       expect(window.salte.auth).to.be.instanceof(SalteAuth);
     });
 
-    it('should destroy the authentication iframe', () => {
-      const iframe = document.createElement('iframe');
-      parent.document.body.appendChild(iframe);
-      iframe.setAttribute('owner', 'salte-auth');
+    it('should handle front-channel logouts', () => {
+      sinon.stub(SalteAuth.prototype, '$frontChannelLogout').get(() => true);
+      sinon.stub(SalteAuth.prototype, '$$frontChannelLogout');
+      sinon.stub(SalteAuthUtilities.prototype, '$respond');
 
       delete window.salte.auth;
 
@@ -159,36 +224,56 @@ describe('salte-auth', () => {
         responseType: 'id_token'
       });
 
-      expect(parent.document.querySelector('[owner="salte-auth"]')).to.equal(
-        null
-      );
+      expect(auth.$$frontChannelLogout.callCount).to.equal(1);
+      expect(auth.$utilities.$respond.callCount).to.equal(0);
     });
 
-    it('should close the popup window', () => {
-      const popup = {
-        close: sinon.stub()
-      };
-      sinon.stub(SalteAuthUtilities.prototype, '$popup').get(() => popup);
+    it('should warn if redirect logins are used with memory storage', () => {
+      delete window.salte.auth;
+
+      auth = new SalteAuth({
+        provider: 'auth0',
+        responseType: 'id_token',
+        storageType: 'memory',
+        loginType: 'redirect'
+      });
+
+      expect(console.warn.calledWith(`The "redirect" loginType can't be used with the "memory" storageType, since it doesn't survive the redirect.`)).to.equal(true);
+    });
 
+    it('should warn if front-channel logouts can not reach the other tabs', () => {
       delete window.salte.auth;
 
       auth = new SalteAuth({
-        storageType: 'local',
         provider: 'auth0',
-        responseType: 'id_token'
+        responseType: 'id_token',
+        frontChannelLogoutUrl: '/logout/front-channel'
       });
 
-      expect(popup.close.callCount).to.equal(0);
-      setTimeout(() => {
-        expect(popup.close.callCount).to.equal(1);
+      expect(console.warn.callCount).to.equal(1);
+    });
+
+    it('should not warn if front-channel logouts are synchronized', () => {
+      sinon.stub(SalteAuth.prototype, '$$sync');
+
+      delete window.salte.auth;
+
+      auth = new SalteAuth({
+        provider: 'auth0',
+        responseType: 'id_token',
+        storageType: 'local',
+        frontChannelLogoutUrl: '/logout/front-channel'
       });
+
+      expect(console.warn.callCount).to.equal(0);
     });
 
-    it('should transfer the storage if we are using "sessionStorage"', () => {
-      const popup = {
-        close: sinon.stub()
-      };
-      sinon.stub(SalteAuthUtilities.prototype, '$popup').get(() => popup);
+    it('should send the response to the parent of the authentication iframe', () => {
+      sinon.stub(SalteAuthUtilities.prototype, '$iframe').get(() => document.createElement('iframe'));
+      sinon.stub(SalteAuthUtilities.prototype, '$respond');
+      sinon.stub(SalteAuthProfile.prototype, '$getParams').returns({
+        state: '55555-55555'
+      });
 
       delete window.salte.auth;
 
@@ -197,10 +282,31 @@ describe('salte-auth', () => {
         responseType: 'id_token'
       });
 
-      expect(popup.close.callCount).to.equal(0);
-      setTimeout(() => {
-        expect(popup.close.callCount).to.equal(1);
+      expect(auth.$utilities.$respond.callCount).to.equal(1);
+      expect(auth.$utilities.$respond.calledWith(parent, {
+        state: '55555-55555'
+      })).to.equal(true);
+    });
+
+    it('should send the response to the opener of the popup window', () => {
+      sinon.stub(SalteAuthUtilities.prototype, '$iframe').get(() => null);
+      sinon.stub(SalteAuthUtilities.prototype, '$popup').get(() => window);
+      sinon.stub(SalteAuthUtilities.prototype, '$respond');
+      sinon.stub(SalteAuthProfile.prototype, '$getParams').returns({
+        state: '55555-55555'
+      });
+
+      delete window.salte.auth;
+
+      auth = new SalteAuth({
+        provider: 'auth0',
+        responseType: 'id_token'
       });
+
+      expect(auth.$utilities.$respond.callCount).to.equal(1);
+      expect(auth.$utilities.$respond.calledWith(window.opener, {
+        state: '55555-55555'
+      })).to.equal(true);
     });
 
     it('should redirect to the "redirectUrl" for implicit flow', done => {
@@ -259,6 +365,36 @@ describe('salte-auth', () => {
       });
     });
 
+    it('should wait for the storage to be flushed before redirecting', done => {
+      window.setTimeout.restore();
+
+      let flushed = false;
+      sinon.stub(SalteAuthProfile.prototype, '$flush').callsFake(() => Promise.resolve().then(() => {
+        flushed = true;
+      }));
+      SalteAuthUtilities.prototype.$navigate.callsFake((url) => {
+        expect(flushed).to.equal(true);
+        expect(url).to.equal(`${location.protocol}//${location.host}/redirect`);
+      });
+      sinon.stub(SalteAuthProfile.prototype, '$validate').returns(undefined);
+      sinon
+        .stub(SalteAuthProfile.prototype, '$redirectUrl')
+        .get(() => `${location.protocol}//${location.host}/redirect`)
+        .set(() => {});
+
+      delete window.salte.auth;
+
+      auth = new SalteAuth({
+        provider: 'auth0',
+        responseType: 'id_token',
+        redirectLoginCallback: error => {
+          expect(error).to.equal(undefined);
+          expect(SalteAuthUtilities.prototype.$navigate.callCount).to.equal(1);
+          done();
+        }
+      });
+    });
+
     it('should fire off a "login" event if we failed to login via a redirect', () => {
       window.setTimeout.restore();
 
@@ -429,6 +565,101 @@ describe('salte-auth', () => {
       expect(auth.$$refreshToken.callCount).to.equal(1);
     });
 
+    it('should wait for asynchronous storage before initializing "$$refreshToken"', () => {
+      sinon.stub(SalteAuth.prototype, '$$refreshToken');
+      sinon.stub(SalteAuth.prototype, '$$discover').returns(Promise.resolve());
+
+      sinon.stub(SalteAuthProfile.prototype, '$idToken').get(() => {
+        return `12345.${btoa(JSON.stringify({
+          sub: '1234567890',
+          name: 'John Doe',
+          exp: Date.now() + 10000
+        }))}.12345`;
+      });
+
+      let hydrated = false;
+      const ready = Promise.resolve().then(() => {
+        hydrated = true;
+      });
+      sinon.stub(SalteAuthProfile.prototype, '$hydrated').get(() => hydrated);
+      sinon.stub(SalteAuthProfile.prototype, '$ready').get(() => ready);
+
+      delete window.salte.auth;
+
+      auth = new SalteAuth({
+        provider: 'auth0',
+        responseType: 'id_token'
+      });
+
+      expect(auth.$$refreshToken.callCount).to.equal(0);
+
+      return ready.then(() => {
+        expect(auth.$$refreshToken.callCount).to.equal(1);
+      });
+    });
+
+    it('should not resume if it was destroyed while waiting for asynchronous storage', () => {
+      sinon.stub(SalteAuth.prototype, '$$refreshToken');
+      sinon.stub(SalteAuth.prototype, '$$discover').returns(Promise.resolve());
+
+      sinon.stub(SalteAuthProfile.prototype, '$idToken').get(() => {
+        return `12345.${btoa(JSON.stringify({
+          sub: '1234567890',
+          name: 'John Doe',
+          exp: Date.now() + 10000
+        }))}.12345`;
+      });
+
+      let hydrated = false;
+      const ready = Promise.resolve().then(() => {
+        hydrated = true;
+      });
+      sinon.stub(SalteAuthProfile.prototype, '$hydrated').get(() => hydrated);
+      sinon.stub(SalteAuthProfile.prototype, '$ready').get(() => ready);
+
+      delete window.salte.auth;
+
+      auth = new SalteAuth({
+        provider: 'auth0',
+        responseType: 'id_token'
+      });
+      auth.destroy();
+
+      return ready.then(() => {
+        expect(auth.$$refreshToken.callCount).to.equal(0);
+      });
+    });
+
+    it('should not monitor the session if it was destroyed while discovering', () => {
+      let discovered;
+      sinon.stub(SalteAuth.prototype, '$$refreshToken');
+      sinon.stub(SalteAuth.prototype, '$$monitorSession');
+      sinon.stub(SalteAuth.prototype, '$$discover').returns(new Promise((resolve) => {
+        discovered = resolve;
+      }));
+
+      sinon.stub(SalteAuthProfile.prototype, '$idToken').get(() => {
+        return `12345.${btoa(JSON.stringify({
+          sub: '1234567890',
+          name: 'John Doe',
+          exp: Date.now() + 10000
+        }))}.12345`;
+      });
+
+      delete window.salte.auth;
+
+      auth = new SalteAuth({
+        provider: 'auth0',
+        responseType: 'id_token'
+      });
+      auth.destroy();
+      discovered();
+
+      return auth.$$discover().then(() => {
+        expect(auth.$$monitorSession.callCount).to.equal(0);
+      });
+    });
+
     it('should not initialize "$$refreshToken" if the id token has expired', () => {
       sinon.stub(SalteAuth.prototype, '$$refreshToken');
 
@@ -459,6 +690,35 @@ describe('salte-auth', () => {
 
       expect(auth.$$refreshToken.callCount).to.equal(0);
     });
+
+    it('should reconnect the realtime connections on "refresh"', () => {
+      sinon.stub(SalteAuth.prototype, '$$refreshToken');
+      sinon.stub(auth.$utilities, 'reconnect');
+      auth.$config.realtime = true;
+
+      auth.$fire('refresh', null, {});
+
+      expect(auth.$utilities.reconnect.callCount).to.equal(1);
+    });
+
+    it('should not reconnect the realtime connections if the tokens were not refreshed', () => {
+      sinon.stub(SalteAuth.prototype, '$$refreshToken');
+      sinon.stub(auth.$utilities, 'reconnect');
+      auth.$config.realtime = true;
+
+      auth.$fire('refresh');
+
+      expect(auth.$utilities.reconnect.callCount).to.equal(0);
+    });
+
+    it('should not reconnect the realtime connections if realtime is disabled', () => {
+      sinon.stub(SalteAuth.prototype, '$$refreshToken');
+      sinon.stub(auth.$utilities, 'reconnect');
+
+      auth.$fire('refresh', null, {});
+
+      expect(auth.$utilities.reconnect.callCount).to.equal(0);
+    });
   });
 
   describe('interceptor(fetch)', () => {
@@ -625,6 +885,13 @@ describe('salte-auth', () => {
       expect(() => auth.$provider).to.throw('Unknown Provider (bogus)');
     });
 
+    it('should default to the openid provider if discovery is enabled', () => {
+      auth.$config.provider = null;
+      auth.$config.discovery = true;
+
+      expect(auth.$provider).to.equal(auth.$providers.openid);
+    });
+
     it('should throw an error if the provider was not specified', () => {
       auth.$config.provider = null;
 
@@ -694,6 +961,51 @@ describe('salte-auth', () => {
     });
   });
 
+  describe('function($$accessTokenUrl)', () => {
+    it('should include the audience, resource, and scope of the endpoint', () => {
+      delete window.salte.auth;
+
+      auth = new SalteAuth({
+        providerUrl: 'https://api.salte.io',
+        responseType: 'id_token',
+        redirectUrl: `${location.protocol}//${location.host}`,
+        clientId: 'Hzl9Rvu_Ws_s1QKIhI2TXi8NZRn672FC',
+        scope: 'openid',
+        provider: 'auth0',
+        queryParams: {
+          audience: 'https://www.google.com'
+        }
+      });
+
+      expect(auth.$$accessTokenUrl({
+        url: 'https://api.salte.io',
+        audience: 'https://api.salte.io',
+        scope: 'users:read'
+      })).to.equal(
+        `https://api.salte.io/authorize?state=33333333-3333-4333-b333-333333333333&nonce=33333333-3333-4333-b333-333333333333&response_type=token&redirect_uri=${encodeURIComponent(
+          `${location.protocol}//${location.host}`
+        )}&client_id=Hzl9Rvu_Ws_s1QKIhI2TXi8NZRn672FC&scope=users%3Aread&prompt=none&audience=${encodeURIComponent('https://api.salte.io')}`
+      );
+    });
+  });
+
+  describe('function($$endpointParams)', () => {
+    it('should only include the values that were provided', () => {
+      expect(auth.$$endpointParams({
+        url: 'https://api.salte.io',
+        resource: 'https://graph.microsoft.com'
+      })).to.deep.equal({
+        resource: 'https://graph.microsoft.com'
+      });
+    });
+
+    it('should support strings and regular expressions', () => {
+      expect(auth.$$endpointParams('https://api.salte.io')).to.deep.equal({});
+      expect(auth.$$endpointParams(/api\.salte\.io/)).to.deep.equal({});
+      expect(auth.$$endpointParams()).to.deep.equal({});
+    });
+  });
+
   describe('function($loginUrl)', () => {
     it('should compute the loginUrl', () => {
       delete window.salte.auth;
@@ -714,6 +1026,14 @@ describe('salte-auth', () => {
       );
     });
 
+    it('should request the granted scopes', () => {
+      auth.$config.scope = 'openid';
+      auth.profile.$scope = 'openid calendar.write';
+
+      expect(auth.$loginUrl()).to.contain(`scope=${encodeURIComponent('openid calendar.write')}`);
+      expect(auth.$loginUrl(false, 'openid email')).to.contain(`scope=${encodeURIComponent('openid email')}`);
+    });
+
     it('should utilize authorizeEndpoint overrides', () => {
       delete window.salte.auth;
 
@@ -755,85 +1075,354 @@ describe('salte-auth', () => {
     });
   });
 
-  describe('getter($deauthorizeUrl)', () => {
-    it('should compute the deauthorizeUrl', done => {
+  describe('function($loginUrl) with pkce', () => {
+    it('should include the code challenge', () => {
       delete window.salte.auth;
 
       auth = new SalteAuth({
         providerUrl: 'https://api.salte.io',
-        responseType: 'id_token',
+        responseType: 'code',
+        pkce: true,
         redirectUrl: `${location.protocol}//${location.host}`,
         clientId: 'Hzl9Rvu_Ws_s1QKIhI2TXi8NZRn672FC',
         scope: 'openid',
-
         provider: 'auth0'
       });
 
-      sinon
-        .stub(auth.$provider, 'deauthorizeUrl')
-        .callsFake(function(config) {
-          expect(this).to.be.an.instanceof(SalteAuth);
-          expect(config).to.deep.equal(salte.auth.$config);
-          done();
-        });
+      const url = new URL(auth.$loginUrl());
 
-      auth.$deauthorizeUrl;
+      expect(auth.profile.$codeVerifier).to.equal('3333333333334333b3333333333333333333333333334333b333333333333333');
+      expect(url.searchParams.get('code_challenge')).to.equal(auth.$utilities.createCodeChallenge(auth.profile.$codeVerifier));
+      expect(url.searchParams.get('code_challenge_method')).to.equal('S256');
     });
-  });
 
-  describe('function(on)', () => {
-    it('should register a listener', () => {
-      const reference = function() {};
-      auth.on('login', reference);
+    it('should not include a code challenge without pkce', () => {
+      auth.$config.providerUrl = 'https://api.salte.io';
+      auth.$config.responseType = 'code';
 
-      expect(auth.$listeners.login.indexOf(reference)).to.deep.equal(2);
-    });
+      const url = new URL(auth.$loginUrl());
 
-    it('should throw an error if an invalid event type is provided', () => {
-      expect(() => auth.on('bogus')).to.throw(ReferenceError, 'Unknown Event Type (bogus)');
+      expect(auth.profile.$codeVerifier).to.equal(null);
+      expect(url.searchParams.has('code_challenge')).to.equal(false);
+      expect(url.searchParams.has('code_challenge_method')).to.equal(false);
     });
+  });
 
-    it('should throw an error if an invalid callback is provided', () => {
-      expect(() => auth.on('login')).to.throw(ReferenceError, 'Invalid callback provided!');
+  describe('function($$discover)', () => {
+    const discovery = {
+      issuer: 'https://api.salte.io',
+      authorization_endpoint: 'https://api.salte.io/oauth2/authorize',
+      token_endpoint: 'https://api.salte.io/oauth2/token',
+      userinfo_endpoint: 'https://api.salte.io/oauth2/userinfo',
+      revocation_endpoint: 'https://api.salte.io/oauth2/revoke',
+      end_session_endpoint: 'https://api.salte.io/oauth2/logout',
+      jwks_uri: 'https://api.salte.io/oauth2/keys'
+    };
+
+    beforeEach(() => {
+      auth.$config.providerUrl = 'https://api.salte.io';
+      auth.$config.discovery = true;
+      sinon.stub(auth.$utilities, 'getJSON').returns(Promise.resolve(discovery));
     });
-  });
 
-  describe('function(off)', () => {
-    it('should deregister a listener', () => {
-      const reference = function() {};
-      auth.on('login', reference);
+    it('should retrieve and cache the discovery document', () => {
+      return auth.$$discover().then((response) => {
+        expect(auth.$utilities.getJSON.calledWith('https://api.salte.io/.well-known/openid-configuration')).to.equal(true);
+        expect(response).to.deep.equal(discovery);
+        expect(auth.profile.$discovery).to.deep.equal(discovery);
+        expect(auth.$discovery).to.deep.equal(discovery);
 
-      expect(auth.$listeners.login.indexOf(reference)).to.deep.equal(2);
+        return auth.$$discover();
+      }).then(() => {
+        expect(auth.$utilities.getJSON.callCount).to.equal(1);
+      });
+    });
 
-      auth.off('login', reference);
+    it('should dedupe requests', () => {
+      const promise = auth.$$discover();
 
-      expect(auth.$listeners.login.indexOf(reference)).to.deep.equal(-1);
+      expect(auth.$$discover()).to.equal(promise);
+
+      return promise;
     });
 
-    it('should bail if the listeners are falsy or the list is empty', () => {
-      const reference = function() {};
+    it('should skip retrieval if discovery is disabled', () => {
+      auth.$config.discovery = false;
 
-      auth.off('login', reference);
+      return auth.$$discover().then((response) => {
+        expect(response).to.equal(null);
+        expect(auth.$utilities.getJSON.callCount).to.equal(0);
+      });
+    });
 
-      expect(auth.$listeners.login.indexOf(reference)).to.deep.equal(-1);
+    it('should reject discovery documents for a different issuer', () => {
+      auth.$config.providerUrl = 'https://bogus.salte.io';
 
-      auth.on('login', reference);
-      auth.off('login', reference);
-      auth.off('login', reference);
+      return auth.$$discover().catch((error) => error).then((error) => {
+        expect(error.message).to.equal('The discovered issuer (https://api.salte.io) does not match the providerUrl (https://bogus.salte.io).');
+        expect(auth.profile.$discovery).to.equal(null);
+        expect(auth.$promises.discovery).to.equal(null);
+      });
+    });
 
-      expect(auth.$listeners.login.indexOf(reference)).to.deep.equal(-1);
+    it('should ignore cached discovery documents for a different issuer', () => {
+      auth.profile.$discovery = discovery;
+      auth.$config.providerUrl = 'https://bogus.salte.io';
+
+      expect(auth.$discovery).to.equal(null);
     });
 
-    it('should throw an error if an invalid event type is provided', () => {
-      expect(() => auth.off('bogus')).to.throw(ReferenceError, 'Unknown Event Type (bogus)');
+    it('should utilize the discovered endpoints', () => {
+      return auth.$$discover().then(() => {
+        expect(auth.$authorizeEndpoint).to.equal('https://api.salte.io/oauth2/authorize');
+        expect(auth.$tokenEndpoint).to.equal('https://api.salte.io/oauth2/token');
+        expect(auth.$userInfoEndpoint).to.equal('https://api.salte.io/oauth2/userinfo');
+        expect(auth.$revocationEndpoint).to.equal('https://api.salte.io/oauth2/revoke');
+        expect(auth.$jwksUri).to.equal('https://api.salte.io/oauth2/keys');
+      });
     });
 
-    it('should throw an error if an invalid callback is provided', () => {
-      expect(() => auth.off('login')).to.throw(ReferenceError, 'Invalid callback provided!');
+    it('should utilize the discovered "end_session_endpoint"', () => {
+      auth.$config.redirectUrl = `${location.protocol}//${location.host}`;
+      auth.$config.clientId = '33333333-3333-4333-b333-333333333333';
+
+      return auth.$$discover().then(() => {
+        const url = new URL(auth.$deauthorizeUrl);
+
+        expect(url.origin + url.pathname).to.equal('https://api.salte.io/oauth2/logout');
+        expect(url.searchParams.get('client_id')).to.equal('33333333-3333-4333-b333-333333333333');
+        expect(url.searchParams.get('post_logout_redirect_uri')).to.equal(`${location.protocol}//${location.host}`);
+      });
     });
   });
 
-  describe('function($fire)', () => {
+  describe('getter($tokenEndpoint)', () => {
+    it('should default to the "/token" endpoint', () => {
+      auth.$config.providerUrl = 'https://api.salte.io';
+      auth.$config.provider = class {};
+
+      expect(auth.$tokenEndpoint).to.equal('https://api.salte.io/token');
+    });
+
+    it('should utilize tokenEndpoint overrides', () => {
+      auth.$config.providerUrl = 'https://api.salte.io';
+
+      expect(auth.$tokenEndpoint).to.equal('https://api.salte.io/oauth/token');
+    });
+  });
+
+  describe('getter($deauthorizeUrl)', () => {
+    it('should compute the deauthorizeUrl', done => {
+      delete window.salte.auth;
+
+      auth = new SalteAuth({
+        providerUrl: 'https://api.salte.io',
+        responseType: 'id_token',
+        redirectUrl: `${location.protocol}//${location.host}`,
+        clientId: 'Hzl9Rvu_Ws_s1QKIhI2TXi8NZRn672FC',
+        scope: 'openid',
+
+        provider: 'auth0'
+      });
+
+      sinon
+        .stub(auth.$provider, 'deauthorizeUrl')
+        .callsFake(function(config) {
+          expect(this).to.be.an.instanceof(SalteAuth);
+          expect(config).to.deep.equal(salte.auth.$config);
+          done();
+        });
+
+      auth.$deauthorizeUrl;
+    });
+  });
+
+  describe('function($$resolveDeauthorizeUrl)', () => {
+    beforeEach(() => {
+      auth.$config.providerUrl = 'https://api.salte.io';
+      auth.$config.provider = undefined;
+      auth.$config.discovery = true;
+    });
+
+    it('should wait for the discovery document', () => {
+      let idToken = '12345.67890.12345';
+      sinon.stub(auth.profile, '$idToken').get(() => idToken);
+      sinon.stub(auth.$utilities, 'getJSON').returns(Promise.resolve({
+        issuer: 'https://api.salte.io',
+        end_session_endpoint: 'https://api.salte.io/oauth2/logout'
+      }));
+
+      const promise = auth.$$resolveDeauthorizeUrl();
+      idToken = null;
+
+      return promise.then((deauthorizeUrl) => {
+        const url = new URL(deauthorizeUrl);
+
+        expect(url.origin + url.pathname).to.equal('https://api.salte.io/oauth2/logout');
+        expect(url.searchParams.get('id_token_hint')).to.equal('12345.67890.12345');
+      });
+    });
+
+    it('should reject if the identity provider does not support logging out', () => {
+      sinon.stub(auth.$utilities, 'getJSON').returns(Promise.resolve({
+        issuer: 'https://api.salte.io'
+      }));
+
+      return auth.$$resolveDeauthorizeUrl().then(() => {
+        return Promise.reject(new Error('Promise unexpectedly resolved'));
+      }, (error) => {
+        expect(error).to.be.an.instanceof(ReferenceError);
+        expect(error.message).to.equal('The identity provider does not support logging out (missing "end_session_endpoint").');
+      });
+    });
+
+    it('should reject if the discovery document could not be retrieved', () => {
+      sinon.stub(auth.$utilities, 'getJSON').returns(Promise.reject(new Error('Whoops!')));
+
+      return auth.$$resolveDeauthorizeUrl().catch((error) => error).then((error) => {
+        expect(error.message).to.equal('Whoops!');
+      });
+    });
+  });
+
+  describe('function(destroy)', () => {
+    it('should restore the globals and remove the listeners', () => {
+      sinon.stub(auth.$utilities, 'destroy');
+      sinon.spy(window, 'removeEventListener');
+      sinon.spy(document, 'removeEventListener');
+      const { route, visibility } = auth.$$domListeners;
+
+      auth.destroy();
+
+      expect(auth.$utilities.destroy.callCount).to.equal(1);
+      expect(window.removeEventListener.calledWith('popstate', route)).to.equal(true);
+      expect(document.removeEventListener.calledWith('click', route)).to.equal(true);
+      expect(document.removeEventListener.calledWith('visibilitychange', visibility)).to.equal(true);
+      expect(auth.$$domListeners).to.equal(null);
+    });
+
+    it('should clear the timers and listeners', () => {
+      auth.$timeouts.refresh = 'refresh';
+      auth.on('login', () => {});
+
+      auth.destroy();
+
+      expect(window.clearTimeout.calledWith('refresh')).to.equal(true);
+      expect(auth.$timeouts).to.deep.equal({});
+      expect(auth.$listeners).to.deep.equal({});
+    });
+
+    it('should close the sync channel and stop the session monitor', () => {
+      const close = sinon.stub();
+      const stop = sinon.stub();
+      auth.$sync = { close };
+      auth.$session = { stop };
+
+      auth.destroy();
+
+      expect(close.callCount).to.equal(1);
+      expect(stop.callCount).to.equal(1);
+      expect(auth.$sync).to.equal(null);
+      expect(auth.$session).to.equal(null);
+    });
+
+    it('should release the singleton', () => {
+      auth.destroy();
+
+      expect(window.salte.auth).to.equal(undefined);
+    });
+
+    it('should not release a newer singleton', () => {
+      const other = {};
+      window.salte.auth = other;
+
+      auth.destroy();
+
+      expect(window.salte.auth).to.equal(other);
+    });
+
+    it('should release named instances', () => {
+      const calendar = new SalteAuth({
+        name: 'calendar',
+        provider: 'auth0',
+        responseType: 'id_token'
+      });
+
+      calendar.destroy();
+
+      expect(window.salte.instances.calendar).to.equal(undefined);
+      expect(window.salte.auth).to.equal(auth);
+      calendar.profile.$clear(true);
+    });
+  });
+
+  describe('function(on)', () => {
+    it('should register a listener', () => {
+      const reference = function() {};
+      auth.on('login', reference);
+
+      expect(auth.$listeners.login.indexOf(reference)).to.deep.equal(2);
+    });
+
+    it('should throw an error if an invalid event type is provided', () => {
+      expect(() => auth.on('bogus')).to.throw(ReferenceError, 'Unknown Event Type (bogus)');
+    });
+
+    it('should support the "revoked" event', () => {
+      const reference = function() {};
+      auth.on('revoked', reference);
+
+      expect(auth.$listeners.revoked).to.deep.equal([reference]);
+    });
+
+    it('should support the "session-changed" event', () => {
+      const reference = function() {};
+      auth.on('session-changed', reference);
+
+      expect(auth.$listeners['session-changed'].indexOf(reference)).to.not.equal(-1);
+    });
+
+    it('should throw an error if an invalid callback is provided', () => {
+      expect(() => auth.on('login')).to.throw(ReferenceError, 'Invalid callback provided!');
+    });
+  });
+
+  describe('function(off)', () => {
+    it('should deregister a listener', () => {
+      const reference = function() {};
+      auth.on('login', reference);
+
+      expect(auth.$listeners.login.indexOf(reference)).to.deep.equal(2);
+
+      auth.off('login', reference);
+
+      expect(auth.$listeners.login.indexOf(reference)).to.deep.equal(-1);
+    });
+
+    it('should bail if the listeners are falsy or the list is empty', () => {
+      const reference = function() {};
+
+      auth.off('login', reference);
+
+      expect(auth.$listeners.login.indexOf(reference)).to.deep.equal(-1);
+
+      auth.on('login', reference);
+      auth.off('login', reference);
+      auth.off('login', reference);
+
+      expect(auth.$listeners.login.indexOf(reference)).to.deep.equal(-1);
+    });
+
+    it('should throw an error if an invalid event type is provided', () => {
+      expect(() => auth.off('bogus')).to.throw(ReferenceError, 'Unknown Event Type (bogus)');
+    });
+
+    it('should throw an error if an invalid callback is provided', () => {
+      expect(() => auth.off('login')).to.throw(ReferenceError, 'Invalid callback provided!');
+    });
+  });
+
+  describe('function($fire)', () => {
     it('should fire off an event to all listeners', () => {
       const promise = new Promise((resolve, reject) => {
         auth.on('logout', (error) => {
@@ -918,6 +1507,30 @@ describe('salte-auth', () => {
       });
     });
 
+    it('should resolve with the user info rather than the code for the hybrid response types', () => {
+      sinon.stub(auth.profile, '$validate');
+      auth.$config.responseType = 'code id_token';
+      auth.profile.code = '12345';
+
+      return auth.loginWithIframe().then((user) => {
+        expect(user).to.deep.equal({
+          sub: '1234567890',
+          name: 'John Doe',
+          exp: 1524168810
+        });
+      });
+    });
+
+    it('should resolve with the code if an ID Token was not requested', () => {
+      sinon.stub(auth.profile, '$validate');
+      auth.$config.responseType = 'code';
+      auth.profile.code = '12345';
+
+      return auth.loginWithIframe().then((code) => {
+        expect(code).to.equal('12345');
+      });
+    });
+
     it('should not fire off a "login" event if this is a refresh request', () => {
       const onLogin = sinon.stub();
       auth.on('login', onLogin);
@@ -1023,6 +1636,46 @@ describe('salte-auth', () => {
       return promise;
     });
 
+    it('should wait for discovery before logging in', () => {
+      sinon.stub(auth, '$$discover').returns(Promise.resolve());
+      sinon.stub(auth.profile, '$validate');
+
+      return auth.loginWithIframe().then(() => {
+        expect(auth.$$discover.calledBefore(auth.$utilities.createIframe)).to.equal(true);
+      });
+    });
+
+    it('should exchange the code before validating', () => {
+      sinon.stub(auth, '$$exchangeCode').returns(Promise.resolve());
+      sinon.stub(auth.profile, '$validate');
+
+      return auth.loginWithIframe().then(() => {
+        expect(auth.$$exchangeCode.callCount).to.equal(1);
+        expect(auth.$$exchangeCode.calledBefore(auth.profile.$validate)).to.equal(true);
+      });
+    });
+
+    it('should parse the response sent by the iframe', () => {
+      auth.$utilities.createIframe.returns(Promise.resolve({
+        state: '55555-55555'
+      }));
+      sinon.stub(auth.profile, '$validate');
+
+      return auth.loginWithIframe().then(() => {
+        expect(auth.profile.$state).to.equal('55555-55555');
+      });
+    });
+
+    it('should fetch the user info after validating', () => {
+      sinon.stub(auth, '$$fetchUserInfo').returns(Promise.resolve());
+      sinon.stub(auth.profile, '$validate');
+
+      return auth.loginWithIframe().then(() => {
+        expect(auth.$$fetchUserInfo.callCount).to.equal(1);
+        expect(auth.$$fetchUserInfo.calledAfter(auth.profile.$validate)).to.equal(true);
+      });
+    });
+
     it('should throw validation errors', () => {
       const promise = auth.loginWithIframe();
 
@@ -1052,22 +1705,82 @@ describe('salte-auth', () => {
   });
 
   describe('function(loginWithPopup)', () => {
+    it('should open the popup before the discovery document has loaded', () => {
+      let resolve;
+      sinon.stub(auth, '$$discover').returns(new Promise((r) => {
+        resolve = r;
+      }));
+      sinon.stub(auth, '$loginUrl').returns('https://api.salte.io/authorize');
+      sinon.stub(auth.$utilities, 'openPopup').callsFake((url) => url.then(() => ({})));
+      sinon.stub(auth.profile, '$validate');
+
+      const promise = auth.loginWithPopup();
+
+      expect(auth.$utilities.openPopup.callCount).to.equal(1);
+      expect(auth.$loginUrl.callCount).to.equal(0);
+
+      resolve();
+
+      return auth.$utilities.openPopup.firstCall.args[0].then((url) => {
+        expect(url).to.equal('https://api.salte.io/authorize');
+
+        return promise;
+      });
+    });
+
+    it('should support keeping the profile and disabling events', () => {
+      sinon.stub(auth.profile, '$clear');
+      sinon.stub(auth.profile, '$clearErrors');
+      sinon.stub(auth, '$fire');
+      sinon.stub(auth, '$loginUrl').returns('');
+      sinon.stub(auth.$utilities, 'openPopup').returns(Promise.resolve());
+      sinon.stub(auth.profile, '$validate').returns({
+        code: 'access_denied',
+        description: 'The user denied consent.'
+      });
+
+      return auth.loginWithPopup({
+        clear: 'errors',
+        events: false,
+        scope: 'openid calendar.write'
+      }).catch((error) => error).then((error) => {
+        expect(error.code).to.equal('access_denied');
+        expect(auth.$loginUrl.calledWith(false, 'openid calendar.write')).to.equal(true);
+        expect(auth.profile.$clearErrors.callCount).to.equal(1);
+        expect(auth.profile.$clear.callCount).to.equal(0);
+        expect(auth.$fire.callCount).to.equal(0);
+      });
+    });
+
+    it('should parse the response sent by the popup', () => {
+      sinon.stub(auth.profile, '$clear');
+      sinon.stub(auth, '$loginUrl').returns('');
+      sinon.stub(auth.$utilities, 'openPopup').returns(Promise.resolve({
+        state: '55555-55555'
+      }));
+      sinon.stub(auth.profile, '$validate');
+
+      return auth.loginWithPopup().then(() => {
+        expect(auth.profile.$state).to.equal('55555-55555');
+      });
+    });
+
     it('should resolve when we have logged in', () => {
       sinon.stub(auth.profile, '$clear');
       sinon.stub(auth, '$loginUrl').returns('');
       sinon.stub(auth.$utilities, 'openPopup').returns(Promise.resolve());
       sinon.stub(auth.profile, '$validate');
-      sinon.stub(auth.profile, '$parseParams');
+      sinon.stub(auth.profile, '$parseTokenResponse');
 
       const promise = auth.loginWithPopup();
 
       expect(auth.profile.$clear.callCount).to.equal(1);
       expect(auth.$promises.login).to.equal(promise);
-      expect(auth.profile.$parseParams.callCount).to.equal(0);
+      expect(auth.profile.$parseTokenResponse.callCount).to.equal(0);
 
       return promise.then((user) => {
         expect(user).to.deep.equal(auth.profile.userInfo);
-        expect(auth.profile.$parseParams.callCount).to.equal(1);
+        expect(auth.profile.$parseTokenResponse.callCount).to.equal(1);
         expect(auth.$promises.login).to.equal(null);
       });
     });
@@ -1085,7 +1798,7 @@ describe('salte-auth', () => {
       sinon.stub(auth, '$loginUrl').returns('');
       sinon.stub(auth.$utilities, 'openPopup').returns(Promise.resolve());
       sinon.stub(auth.profile, '$validate');
-      sinon.stub(auth.profile, '$parseParams');
+      sinon.stub(auth.profile, '$parseTokenResponse');
 
       auth.loginWithPopup();
 
@@ -1162,22 +1875,45 @@ describe('salte-auth', () => {
   });
 
   describe('function(loginWithNewTab)', () => {
+    it('should open the tab before the discovery document has loaded', () => {
+      let resolve;
+      sinon.stub(auth, '$$discover').returns(new Promise((r) => {
+        resolve = r;
+      }));
+      sinon.stub(auth, '$loginUrl').returns('https://api.salte.io/authorize');
+      sinon.stub(auth.$utilities, 'openNewTab').callsFake((url) => url.then(() => ({})));
+      sinon.stub(auth.profile, '$validate');
+
+      const promise = auth.loginWithNewTab();
+
+      expect(auth.$utilities.openNewTab.callCount).to.equal(1);
+      expect(auth.$loginUrl.callCount).to.equal(0);
+
+      resolve();
+
+      return auth.$utilities.openNewTab.firstCall.args[0].then((url) => {
+        expect(url).to.equal('https://api.salte.io/authorize');
+
+        return promise;
+      });
+    });
+
     it('should resolve when we have logged in', () => {
       sinon.stub(auth.profile, '$clear');
       sinon.stub(auth, '$loginUrl').returns('');
       sinon.stub(auth.$utilities, 'openNewTab').returns(Promise.resolve());
       sinon.stub(auth.profile, '$validate');
-      sinon.stub(auth.profile, '$parseParams');
+      sinon.stub(auth.profile, '$parseTokenResponse');
 
       const promise = auth.loginWithNewTab();
 
       expect(auth.profile.$clear.callCount).to.equal(1);
       expect(auth.$promises.login).to.equal(promise);
-      expect(auth.profile.$parseParams.callCount).to.equal(0);
+      expect(auth.profile.$parseTokenResponse.callCount).to.equal(0);
 
       return promise.then((user) => {
         expect(user).to.deep.equal(auth.profile.userInfo);
-        expect(auth.profile.$parseParams.callCount).to.equal(1);
+        expect(auth.profile.$parseTokenResponse.callCount).to.equal(1);
         expect(auth.$promises.login).to.equal(null);
       });
     });
@@ -1195,7 +1931,7 @@ describe('salte-auth', () => {
       sinon.stub(auth, '$loginUrl').returns('');
       sinon.stub(auth.$utilities, 'openNewTab').returns(Promise.resolve());
       sinon.stub(auth.profile, '$validate');
-      sinon.stub(auth.profile, '$parseParams');
+      sinon.stub(auth.profile, '$parseTokenResponse');
 
       auth.loginWithNewTab();
 
@@ -1291,6 +2027,19 @@ describe('salte-auth', () => {
       expect(auth.$promises.logout).to.be.undefined;
     });
 
+    it('should reject if the storage does not survive the redirect', () => {
+      sinon.stub(auth, '$fire');
+      auth.$config.storageType = 'memory';
+
+      return auth.loginWithRedirect().catch((error) => error).then((error) => {
+        expect(error).to.be.an.instanceof(ReferenceError);
+        expect(error.message).to.equal(`Redirect logins can't be used with the "memory" storageType, since it doesn't survive the redirect.`);
+        expect(auth.$fire.calledWith('login', error)).to.equal(true);
+        expect(auth.profile.$clear.callCount).to.equal(0);
+        expect(auth.$promises.login).to.equal(undefined);
+      });
+    });
+
     it('should prevent duplicate promises', () => {
       auth.$config.redirectLoginCallback = sinon.stub();
 
@@ -1324,12 +2073,20 @@ describe('salte-auth', () => {
 
       expect(auth.profile.$redirectUrl).to.equal(`${window.location.protocol}//${window.location.host}/dashboard`);
     });
+
+    it('should store the requested scopes', () => {
+      auth.loginWithRedirect(undefined, {
+        scope: 'openid calendar.write'
+      });
+
+      expect(auth.profile.$scope).to.equal('openid calendar.write');
+    });
   });
 
   describe('function(logoutWithIframe)', () => {
     it('should resolve when we have logged out', () => {
       sinon.stub(auth.profile, '$clear');
-      sinon.stub(auth, '$deauthorizeUrl').get(() => '');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
       sinon.stub(auth.$utilities, 'createIframe').returns(Promise.resolve());
 
       const promise = auth.logoutWithIframe();
@@ -1351,7 +2108,7 @@ describe('salte-auth', () => {
       });
 
       sinon.stub(auth.profile, '$clear');
-      sinon.stub(auth, '$deauthorizeUrl').get(() => '');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
       sinon.stub(auth.$utilities, 'createIframe').returns(Promise.resolve());
 
       auth.logoutWithIframe();
@@ -1369,7 +2126,7 @@ describe('salte-auth', () => {
       });
 
       sinon.stub(auth.profile, '$clear');
-      sinon.stub(auth, '$deauthorizeUrl').get(() => '');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
       sinon.stub(auth.$utilities, 'createIframe').returns(Promise.reject('Iframe blocked!'));
 
       auth.logoutWithIframe();
@@ -1381,7 +2138,7 @@ describe('salte-auth', () => {
 
     it('should prevent duplicate promises', () => {
       sinon.stub(auth.profile, '$clear');
-      sinon.stub(auth, '$deauthorizeUrl').get(() => '');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
       sinon.stub(auth.$utilities, 'createIframe').returns(Promise.resolve());
 
       const promise = auth.logoutWithIframe();
@@ -1392,9 +2149,26 @@ describe('salte-auth', () => {
       return promise;
     });
 
+    it('should revoke the tokens before logging out', () => {
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
+      sinon.stub(auth, '$$revokeTokens').returns(Promise.resolve());
+      sinon.stub(auth.$utilities, 'createIframe').returns(Promise.resolve());
+      auth.profile.$accessToken = '55555-55555';
+      auth.profile.$refreshToken = '12345';
+
+      return auth.logoutWithIframe().then(() => {
+        expect(auth.$$revokeTokens.calledWith({
+          refresh_token: '12345',
+          access_token: '55555-55555'
+        })).to.equal(true);
+        expect(auth.$$revokeTokens.calledBefore(auth.$utilities.createIframe)).to.equal(true);
+        expect(auth.profile.$accessToken).to.equal(null);
+      });
+    });
+
     it('should support failures', () => {
       sinon.stub(auth.profile, '$clear');
-      sinon.stub(auth, '$deauthorizeUrl').get(() => '');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
       sinon.stub(auth.$utilities, 'createIframe').returns(Promise.reject('Iframe blocked!'));
 
       return auth.logoutWithIframe().catch((error) => error).then((error) => {
@@ -1405,9 +2179,20 @@ describe('salte-auth', () => {
   });
 
   describe('function(logoutWithPopup)', () => {
+    it('should open the window before the discovery document has loaded', () => {
+      const deauthorizeUrl = Promise.resolve('https://api.salte.io/logout');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(deauthorizeUrl);
+      sinon.stub(auth.$utilities, 'openPopup').returns(Promise.resolve());
+
+      const promise = auth.logoutWithPopup();
+
+      expect(auth.$utilities.openPopup.calledWith(deauthorizeUrl)).to.equal(true);
+      return promise;
+    });
+
     it('should resolve when we have logged out', () => {
       sinon.stub(auth.profile, '$clear');
-      sinon.stub(auth, '$deauthorizeUrl').get(() => '');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
       sinon.stub(auth.$utilities, 'openPopup').returns(Promise.resolve());
 
       const promise = auth.logoutWithPopup();
@@ -1419,6 +2204,18 @@ describe('salte-auth', () => {
       });
     });
 
+    it('should open the window before revoking the tokens', () => {
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
+      sinon.stub(auth.$utilities, 'openPopup').returns(Promise.resolve());
+      sinon.stub(auth, '$$revokeTokens').returns(Promise.resolve());
+
+      const promise = auth.logoutWithPopup();
+
+      expect(auth.$utilities.openPopup.callCount).to.equal(1);
+      expect(auth.$utilities.openPopup.calledBefore(auth.$$revokeTokens)).to.equal(true);
+      return promise;
+    });
+
     it('should fire off a "logout" event when successful', () => {
       const promise = new Promise((resolve, reject) => {
         auth.on('logout', (error, user) => {
@@ -1429,7 +2226,7 @@ describe('salte-auth', () => {
       });
 
       sinon.stub(auth.profile, '$clear');
-      sinon.stub(auth, '$deauthorizeUrl').get(() => '');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
       sinon.stub(auth.$utilities, 'openPopup').returns(Promise.resolve());
 
       auth.logoutWithPopup();
@@ -1447,7 +2244,7 @@ describe('salte-auth', () => {
       });
 
       sinon.stub(auth.profile, '$clear');
-      sinon.stub(auth, '$deauthorizeUrl').get(() => '');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
       sinon.stub(auth.$utilities, 'openPopup').returns(Promise.reject('Popup blocked!'));
 
       auth.logoutWithPopup();
@@ -1459,7 +2256,7 @@ describe('salte-auth', () => {
 
     it('should prevent duplicate promises', () => {
       sinon.stub(auth.profile, '$clear');
-      sinon.stub(auth, '$deauthorizeUrl').get(() => '');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
       sinon.stub(auth.$utilities, 'openPopup').returns(Promise.resolve());
       sinon.stub(auth.profile, '$validate');
 
@@ -1473,7 +2270,7 @@ describe('salte-auth', () => {
 
     it('should support failures', () => {
       sinon.stub(auth.profile, '$clear');
-      sinon.stub(auth, '$deauthorizeUrl').get(() => '');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
       sinon.stub(auth.$utilities, 'openPopup').returns(Promise.reject('Popup blocked!'));
 
       return auth.logoutWithPopup().catch((error) => error).then((error) => {
@@ -1484,9 +2281,20 @@ describe('salte-auth', () => {
   });
 
   describe('function(logoutWithNewTab)', () => {
+    it('should open the window before the discovery document has loaded', () => {
+      const deauthorizeUrl = Promise.resolve('https://api.salte.io/logout');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(deauthorizeUrl);
+      sinon.stub(auth.$utilities, 'openNewTab').returns(Promise.resolve());
+
+      const promise = auth.logoutWithNewTab();
+
+      expect(auth.$utilities.openNewTab.calledWith(deauthorizeUrl)).to.equal(true);
+      return promise;
+    });
+
     it('should resolve when we have logged out', () => {
       sinon.stub(auth.profile, '$clear');
-      sinon.stub(auth, '$deauthorizeUrl').get(() => '');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
       sinon.stub(auth.$utilities, 'openNewTab').returns(Promise.resolve());
 
       const promise = auth.logoutWithNewTab();
@@ -1498,6 +2306,18 @@ describe('salte-auth', () => {
       });
     });
 
+    it('should open the window before revoking the tokens', () => {
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
+      sinon.stub(auth.$utilities, 'openNewTab').returns(Promise.resolve());
+      sinon.stub(auth, '$$revokeTokens').returns(Promise.resolve());
+
+      const promise = auth.logoutWithNewTab();
+
+      expect(auth.$utilities.openNewTab.callCount).to.equal(1);
+      expect(auth.$utilities.openNewTab.calledBefore(auth.$$revokeTokens)).to.equal(true);
+      return promise;
+    });
+
     it('should fire off a "logout" event when successful', () => {
       const promise = new Promise((resolve, reject) => {
         auth.on('logout', (error, user) => {
@@ -1508,7 +2328,7 @@ describe('salte-auth', () => {
       });
 
       sinon.stub(auth.profile, '$clear');
-      sinon.stub(auth, '$deauthorizeUrl').get(() => '');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
       sinon.stub(auth.$utilities, 'openNewTab').returns(Promise.resolve());
 
       auth.logoutWithNewTab();
@@ -1526,7 +2346,7 @@ describe('salte-auth', () => {
       });
 
       sinon.stub(auth.profile, '$clear');
-      sinon.stub(auth, '$deauthorizeUrl').get(() => '');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
       sinon.stub(auth.$utilities, 'openNewTab').returns(Promise.reject('New Tab blocked!'));
 
       auth.logoutWithNewTab();
@@ -1538,7 +2358,7 @@ describe('salte-auth', () => {
 
     it('should prevent duplicate promises', () => {
       sinon.stub(auth.profile, '$clear');
-      sinon.stub(auth, '$deauthorizeUrl').get(() => '');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
       sinon.stub(auth.$utilities, 'openNewTab').returns(Promise.resolve());
       sinon.stub(auth.profile, '$validate');
 
@@ -1552,7 +2372,7 @@ describe('salte-auth', () => {
 
     it('should support failures', () => {
       sinon.stub(auth.profile, '$clear');
-      sinon.stub(auth, '$deauthorizeUrl').get(() => '');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(''));
       sinon.stub(auth.$utilities, 'openNewTab').returns(Promise.reject('New Tab blocked!'));
 
       return auth.logoutWithNewTab().catch((error) => error).then((error) => {
@@ -1563,15 +2383,251 @@ describe('salte-auth', () => {
   });
 
   describe('function(logoutWithRedirect)', () => {
-    it('should resolve when we have logged out', () => {
-      sinon.stub(auth.profile, '$clear');
-      sinon.stub(auth, '$deauthorizeUrl').get(() => location.href);
+    it('should reject if the identity provider does not support logging out', () => {
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.reject(new ReferenceError('Whoops!')));
 
-      auth.logoutWithRedirect();
+      return auth.logoutWithRedirect().catch((error) => error).then((error) => {
+        expect(error.message).to.equal('Whoops!');
+        expect(auth.$utilities.$navigate.callCount).to.equal(0);
+      });
+    });
+
+    it('should resolve when we have logged out', () => {
+      sinon.stub(auth.profile, '$clear');
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(location.href));
+
+      auth.logoutWithRedirect();
 
       expect(auth.profile.$clear.callCount).to.equal(1);
       expect(auth.$promises.logout).to.be.undefined;
     });
+
+    it('should revoke the tokens before navigating', () => {
+      sinon.stub(auth, '$$resolveDeauthorizeUrl').returns(Promise.resolve(location.href));
+      sinon.stub(auth, '$$revokeTokens').returns(Promise.resolve());
+      auth.profile.$accessToken = '55555-55555';
+
+      return auth.logoutWithRedirect().then(() => {
+        expect(auth.$$revokeTokens.calledWith({
+          refresh_token: null,
+          access_token: '55555-55555'
+        })).to.equal(true);
+        expect(auth.$utilities.$navigate.calledWith(location.href)).to.equal(true);
+      });
+    });
+  });
+
+  describe('function($$revokeTokens)', () => {
+    beforeEach(() => {
+      auth.$config.provider = 'okta';
+      auth.$config.providerUrl = 'https://api.salte.io';
+      auth.$config.clientId = '33333333-3333-4333-b333-333333333333';
+    });
+
+    it('should revoke each of the tokens', () => {
+      sinon.stub(auth.$utilities, 'sendForm').returns(Promise.resolve({ ok: true }));
+      sinon.stub(auth, '$fire');
+
+      return auth.$$revokeTokens({
+        refresh_token: '12345',
+        access_token: '55555-55555'
+      }).then(() => {
+        expect(auth.$utilities.sendForm.callCount).to.equal(2);
+        expect(auth.$utilities.sendForm.calledWith('https://api.salte.io/oauth2/v1/revoke', {
+          token: '12345',
+          token_type_hint: 'refresh_token',
+          client_id: '33333333-3333-4333-b333-333333333333'
+        })).to.equal(true);
+        expect(auth.$utilities.sendForm.calledWith('https://api.salte.io/oauth2/v1/revoke', {
+          token: '55555-55555',
+          token_type_hint: 'access_token',
+          client_id: '33333333-3333-4333-b333-333333333333'
+        })).to.equal(true);
+        expect(auth.$fire.calledWith('revoked')).to.equal(true);
+      });
+    });
+
+    it('should skip tokens that are missing', () => {
+      sinon.stub(auth.$utilities, 'sendForm').returns(Promise.resolve({ ok: true }));
+
+      return auth.$$revokeTokens({
+        refresh_token: null,
+        access_token: '55555-55555'
+      }).then(() => {
+        expect(auth.$utilities.sendForm.callCount).to.equal(1);
+      });
+    });
+
+    it('should skip revocation if the provider does not support it', () => {
+      auth.$config.provider = 'auth0';
+      sinon.stub(auth.$utilities, 'sendForm');
+      sinon.stub(auth, '$fire');
+
+      return auth.$$revokeTokens({
+        access_token: '55555-55555'
+      }).then(() => {
+        expect(auth.$utilities.sendForm.callCount).to.equal(0);
+        expect(auth.$fire.callCount).to.equal(0);
+      });
+    });
+
+    it('should fire a "revoked" event on failures', () => {
+      sinon.stub(auth.$utilities, 'sendForm').returns(Promise.resolve({ ok: false, status: 503 }));
+      sinon.stub(auth, '$fire');
+
+      return auth.$$revokeTokens({
+        access_token: '55555-55555'
+      }).then(() => {
+        expect(auth.$fire.callCount).to.equal(1);
+        expect(auth.$fire.firstCall.args[0]).to.equal('revoked');
+        expect(auth.$fire.firstCall.args[1].message).to.equal('Failed to revoke the access_token (503).');
+      });
+    });
+  });
+
+  describe('function($$fetchUserInfo)', () => {
+    it('should fetch the user info', () => {
+      auth.$config.fetchUserInfo = true;
+      auth.profile.$accessToken = '55555-55555';
+      sinon.stub(auth.profile, 'fetchUserInfo').returns(Promise.resolve());
+
+      return auth.$$fetchUserInfo().then(() => {
+        expect(auth.profile.fetchUserInfo.callCount).to.equal(1);
+      });
+    });
+
+    it('should skip fetching the user info if it is disabled', () => {
+      auth.profile.$accessToken = '55555-55555';
+      sinon.stub(auth.profile, 'fetchUserInfo').returns(Promise.resolve());
+
+      return auth.$$fetchUserInfo().then(() => {
+        expect(auth.profile.fetchUserInfo.callCount).to.equal(0);
+      });
+    });
+
+    it('should skip fetching the user info if there is no access token', () => {
+      auth.$config.fetchUserInfo = true;
+      sinon.stub(auth.profile, 'fetchUserInfo').returns(Promise.resolve());
+
+      return auth.$$fetchUserInfo().then(() => {
+        expect(auth.profile.fetchUserInfo.callCount).to.equal(0);
+      });
+    });
+
+    it('should ignore failures', () => {
+      auth.$config.fetchUserInfo = true;
+      auth.profile.$accessToken = '55555-55555';
+      sinon.stub(auth.profile, 'fetchUserInfo').returns(Promise.reject(new Error('Whoops!')));
+
+      return auth.$$fetchUserInfo();
+    });
+  });
+
+  describe('getter($frontChannelLogout)', () => {
+    it('should be true when the current page is the front-channel logout uri', () => {
+      auth.$config.frontChannelLogoutUrl = `${location.protocol}//${location.host}${location.pathname}`;
+
+      expect(auth.$frontChannelLogout).to.equal(true);
+    });
+
+    it('should be false for any other page', () => {
+      auth.$config.frontChannelLogoutUrl = `${location.protocol}//${location.host}/logout/front-channel`;
+
+      expect(auth.$frontChannelLogout).to.equal(false);
+    });
+
+    it('should be false if a front-channel logout uri was not provided', () => {
+      expect(auth.$frontChannelLogout).to.equal(false);
+    });
+  });
+
+  describe('getter($checkSessionEndpoint)', () => {
+    it('should use the discovered "check_session_iframe"', () => {
+      auth.$config.discovery = true;
+      auth.$config.providerUrl = 'https://api.salte.io';
+      auth.profile.$discovery = {
+        issuer: 'https://api.salte.io',
+        check_session_iframe: 'https://api.salte.io/connect/checksession'
+      };
+
+      expect(auth.$checkSessionEndpoint).to.equal('https://api.salte.io/connect/checksession');
+    });
+
+    it('should default to null', () => {
+      expect(auth.$checkSessionEndpoint).to.equal(null);
+    });
+  });
+
+  describe('getter($userInfoEndpoint)', () => {
+    it('should be provided to the profile', () => {
+      auth.$config.provider = 'auth0';
+      auth.$config.providerUrl = 'https://api.salte.io';
+
+      expect(auth.profile.$$userInfoEndpoint()).to.equal('https://api.salte.io/userinfo');
+    });
+  });
+
+  describe('function($$exchangeCode)', () => {
+    beforeEach(() => {
+      auth.$config.providerUrl = 'https://api.salte.io';
+      auth.$config.clientId = '33333333-3333-4333-b333-333333333333';
+      auth.$config.redirectUrl = `${location.protocol}//${location.host}`;
+      auth.$config.responseType = 'code';
+      auth.$config.pkce = true;
+      auth.profile.code = '12345';
+      auth.profile.$codeVerifier = '54321';
+      auth.profile.$localState = '55555';
+      auth.profile.$state = '55555';
+      sinon.stub(auth.$utilities, 'postForm').returns(Promise.resolve({
+        access_token: '55555-55555',
+        id_token: '0.0.0',
+        expires_in: 3600
+      }));
+    });
+
+    it('should exchange the code for tokens', () => {
+      return auth.$$exchangeCode().then(() => {
+        expect(auth.$utilities.postForm.calledWith('https://api.salte.io/oauth/token', {
+          grant_type: 'authorization_code',
+          code: '12345',
+          redirect_uri: `${location.protocol}//${location.host}`,
+          client_id: '33333333-3333-4333-b333-333333333333',
+          code_verifier: '54321'
+        })).to.equal(true);
+        expect(auth.profile.$accessToken).to.equal('55555-55555');
+        expect(auth.profile.code).to.equal(null);
+        expect(auth.profile.$codeVerifier).to.equal(null);
+      });
+    });
+
+    it('should skip the exchange if pkce is disabled', () => {
+      auth.$config.pkce = false;
+
+      return auth.$$exchangeCode().then(() => {
+        expect(auth.$utilities.postForm.callCount).to.equal(0);
+        expect(auth.profile.code).to.equal('12345');
+      });
+    });
+
+    it('should skip the exchange if the identity provider returned an error', () => {
+      auth.profile.$error = 'access_denied';
+
+      return auth.$$exchangeCode().then(() => {
+        expect(auth.$utilities.postForm.callCount).to.equal(0);
+      });
+    });
+
+    it('should reject the exchange if the state does not match', () => {
+      auth.profile.$state = 'bogus';
+
+      return auth.$$exchangeCode().catch((error) => error).then((error) => {
+        expect(error).to.deep.equal({
+          code: 'invalid_state',
+          description: 'State provided by identity provider did not match local state.'
+        });
+        expect(auth.$utilities.postForm.callCount).to.equal(0);
+      });
+    });
   });
 
   describe('function(refreshToken)', () => {
@@ -1661,6 +2717,16 @@ describe('salte-auth', () => {
       });
     });
 
+    it('should redeem the refresh token if one is available', () => {
+      sinon.stub(auth, '$$redeemRefreshToken').returns(Promise.resolve());
+      sinon.stub(auth.profile, '$refreshToken').get(() => '12345');
+
+      return auth.refreshToken().then(() => {
+        expect(auth.$$redeemRefreshToken.callCount).to.equal(1);
+        expect(auth.loginWithIframe.callCount).to.equal(0);
+      });
+    });
+
     it('should dedupe requests', () => {
       const promise = auth.refreshToken();
 
@@ -1671,6 +2737,158 @@ describe('salte-auth', () => {
     });
   });
 
+  describe('function($$verifySignature)', () => {
+    const header = btoa(JSON.stringify({ alg: 'RS256', kid: '12345' }));
+
+    beforeEach(() => {
+      auth.$config.providerUrl = 'https://api.salte.io';
+      auth.$config.validation = { signature: true };
+      sinon.stub(auth.profile, '$idToken').get(() => `${header}.e30.12345`);
+      sinon.stub(auth.$utilities, 'verifySignature').returns(Promise.resolve(true));
+      sinon.stub(auth.$utilities, 'getJSON').returns(Promise.resolve({
+        keys: [{ kid: '12345', kty: 'RSA' }]
+      }));
+    });
+
+    it('should verify the id token against the matching key', () => {
+      return auth.$$verifySignature().then(() => {
+        expect(auth.$utilities.getJSON.calledWith('https://api.salte.io/.well-known/jwks.json')).to.equal(true);
+        expect(auth.$utilities.verifySignature.calledWith(`${header}.e30.12345`, {
+          kid: '12345',
+          kty: 'RSA'
+        })).to.equal(true);
+        expect(auth.profile.$$verifiedIdToken).to.equal(`${header}.e30.12345`);
+      });
+    });
+
+    it('should cache the key set', () => {
+      return auth.$$verifySignature().then(() => {
+        auth.profile.$$verifiedIdToken = null;
+        return auth.$$verifySignature();
+      }).then(() => {
+        expect(auth.$utilities.getJSON.callCount).to.equal(1);
+        expect(auth.$utilities.verifySignature.callCount).to.equal(2);
+      });
+    });
+
+    it('should skip tokens that have already been verified', () => {
+      auth.profile.$$verifiedIdToken = `${header}.e30.12345`;
+
+      return auth.$$verifySignature().then(() => {
+        expect(auth.$utilities.verifySignature.callCount).to.equal(0);
+      });
+    });
+
+    it('should skip verification if it is disabled', () => {
+      auth.$config.validation = { signature: false };
+
+      return auth.$$verifySignature().then(() => {
+        expect(auth.$utilities.verifySignature.callCount).to.equal(0);
+        expect(auth.profile.$$verifiedIdToken).to.equal(null);
+      });
+    });
+
+    it('should refresh the key set if the key has been rotated', () => {
+      auth.profile.$jwks = {
+        keys: [{ kid: '54321', kty: 'RSA' }]
+      };
+
+      return auth.$$verifySignature().then(() => {
+        expect(auth.$utilities.getJSON.callCount).to.equal(1);
+        expect(auth.profile.$jwks).to.deep.equal({
+          keys: [{ kid: '12345', kty: 'RSA' }]
+        });
+        expect(auth.profile.$$verifiedIdToken).to.equal(`${header}.e30.12345`);
+      });
+    });
+
+    it('should not mark the token as verified if the key could not be found', () => {
+      auth.$utilities.getJSON.returns(Promise.resolve({
+        keys: [{ kid: '54321', kty: 'RSA' }]
+      }));
+
+      return auth.$$verifySignature().then(() => {
+        expect(auth.$utilities.verifySignature.callCount).to.equal(0);
+        expect(auth.profile.$$verifiedIdToken).to.equal(null);
+      });
+    });
+
+    it('should not mark the token as verified if the signature is invalid', () => {
+      auth.$utilities.verifySignature.returns(Promise.resolve(false));
+
+      return auth.$$verifySignature().then(() => {
+        expect(auth.profile.$$verifiedIdToken).to.equal(null);
+      });
+    });
+
+    it('should reject if a "jwks_uri" is not available', () => {
+      auth.$config.provider = class {};
+
+      return auth.$$verifySignature().catch((error) => error).then((error) => {
+        expect(error).to.be.instanceof(ReferenceError);
+      });
+    });
+  });
+
+  describe('function($$redeemRefreshToken)', () => {
+    beforeEach(() => {
+      auth.$config.providerUrl = 'https://api.salte.io';
+      auth.$config.clientId = '33333333-3333-4333-b333-333333333333';
+      auth.profile.$refreshToken = '12345';
+    });
+
+    it('should redeem the refresh token', () => {
+      sinon.stub(auth.$utilities, 'postForm').returns(Promise.resolve({
+        access_token: '55555-55555',
+        expires_in: 3600
+      }));
+
+      return auth.$$redeemRefreshToken().then(() => {
+        expect(auth.$utilities.postForm.calledWith('https://api.salte.io/oauth/token', {
+          grant_type: 'refresh_token',
+          refresh_token: '12345',
+          client_id: '33333333-3333-4333-b333-333333333333'
+        })).to.equal(true);
+        expect(auth.profile.$accessToken).to.equal('55555-55555');
+        expect(auth.profile.$refreshToken).to.equal('12345');
+      });
+    });
+
+    it('should support rotated refresh tokens', () => {
+      sinon.stub(auth.$utilities, 'postForm').returns(Promise.resolve({
+        access_token: '55555-55555',
+        refresh_token: '54321',
+        expires_in: 3600
+      }));
+
+      return auth.$$redeemRefreshToken().then(() => {
+        expect(auth.profile.$refreshToken).to.equal('54321');
+      });
+    });
+
+    it('should end the session if the refresh token was rejected', () => {
+      const onExpired = sinon.stub();
+      const onLogout = sinon.stub();
+      auth.on('expired', onExpired);
+      auth.on('logout', onLogout);
+
+      sinon.stub(auth.$utilities, 'postForm').returns(Promise.resolve({
+        error: 'invalid_grant',
+        error_description: 'The refresh token has been revoked.'
+      }));
+
+      return auth.$$redeemRefreshToken().catch((error) => error).then((error) => {
+        expect(error).to.deep.equal({
+          code: 'invalid_grant',
+          description: 'The refresh token has been revoked.'
+        });
+        expect(auth.profile.$refreshToken).to.equal(null);
+        expect(onExpired.callCount).to.equal(1);
+        expect(onLogout.callCount).to.equal(1);
+      });
+    });
+  });
+
   describe('function($$refreshToken)', () => {
     it('should invoke "refreshToken"', () => {
       window.setTimeout.restore();
@@ -1697,62 +2915,630 @@ describe('salte-auth', () => {
       });
       sinon.stub(auth, 'refreshToken').returns(Promise.reject('Iframe Failed!'));
 
-      auth.$$refreshToken();
+      auth.$$refreshToken();
+
+      return promise.then(() => {
+        expect(console.error.calledWith('Iframe Failed!')).to.equal(true);
+      });
+    });
+
+    it('should leave refreshing to the leader when synchronizing with other tabs', () => {
+      window.setTimeout.restore();
+      const timeout = sinon.stub(window, 'setTimeout');
+      sinon.stub(auth, 'refreshToken').returns(Promise.resolve());
+      auth.$sync = {
+        leader: false,
+        $leaseDuration: 5000
+      };
+
+      auth.$$refreshToken();
+      timeout.firstCall.args[0]();
+
+      expect(auth.refreshToken.callCount).to.equal(0);
+      expect(timeout.thirdCall.args[1]).to.equal(5000);
+
+      auth.$sync.leader = true;
+      timeout.thirdCall.args[0]();
+
+      expect(auth.refreshToken.callCount).to.equal(1);
+    });
+
+    it('should register a timeout based on when the token will expire', () => {
+      const timeout = auth.$timeouts.refresh;
+
+      auth.$$refreshToken();
+
+      expect(timeout).to.not.equal(auth.$timeouts.refresh);
+    });
+
+    it('should deregister an outdated timeout', () => {
+      expect(clearTimeout.callCount).to.equal(0);
+
+      auth.$$refreshToken();
+
+      expect(clearTimeout.callCount).to.equal(0);
+
+      auth.$$refreshToken();
+
+      expect(clearTimeout.callCount).to.equal(2);
+    });
+
+    it('should schedule the refresh from the access token when there is a refresh token', () => {
+      window.setTimeout.restore();
+      const timeout = sinon.stub(window, 'setTimeout');
+      sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+      auth.$config.autoRefreshBuffer = 60000;
+      auth.profile.$refreshToken = '12345';
+      auth.profile.$expiration = 1000000 + 3600000;
+
+      auth.$$refreshToken();
+
+      expect(timeout.firstCall.args[1]).to.equal(3540000);
+      expect(timeout.secondCall.args[1]).to.equal(3600000);
+    });
+
+    it('should not refresh again if refreshing did not extend the expiration', () => {
+      window.setTimeout.restore();
+      const timeout = sinon.stub(window, 'setTimeout');
+      sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+      auth.profile.$refreshToken = '12345';
+      auth.profile.$expiration = 1000000 + 30000;
+
+      auth.$$refreshToken();
+
+      expect(timeout.callCount).to.equal(2);
+      expect(timeout.firstCall.args[1]).to.equal(0);
+
+      auth.$$refreshToken();
+
+      expect(timeout.callCount).to.equal(3);
+      expect(timeout.thirdCall.args[1]).to.equal(30000);
+    });
+
+    it('should not invoke "refreshToken" if autoRefresh is false', () => {
+      window.setTimeout.restore();
+      auth.$config.autoRefresh = false;
+
+      const spy = sinon.spy(auth, 'refreshToken');
+
+      auth.$$refreshToken();
+
+      sinon.assert.notCalled(spy);
+    });
+
+    it('should fire off a "refresh" event if autoRefresh is false', () => {
+      window.setTimeout.restore();
+      auth.$config.autoRefresh = false;
+      const promise = new Promise((resolve, reject) => {
+        auth.on('refresh', () => {
+          return resolve('refresh event fired');
+        });
+      });
+
+      auth.$$refreshToken();
+
+      return promise.then((resolution) => {
+        expect(resolution).to.equal('refresh event fired');
+      });
+    });
+  });
+
+  describe('function($$autoLogin)', () => {
+    beforeEach(() => {
+      sinon.stub(auth, 'loginWithIframe').returns(Promise.resolve());
+      sinon.stub(auth.profile, 'idTokenExpired').get(() => true);
+    });
+
+    it('should login if the id token has expired', () => {
+      return auth.$$autoLogin().then(() => {
+        expect(auth.loginWithIframe.callCount).to.equal(1);
+      });
+    });
+
+    it('should not login while the refresh token keeps the session alive', () => {
+      sinon.stub(auth, 'refreshToken').returns(Promise.resolve());
+      sinon.stub(auth.profile, 'accessTokenExpired').get(() => false);
+      auth.profile.$refreshToken = '12345';
+
+      return auth.$$autoLogin().then(() => {
+        expect(auth.refreshToken.callCount).to.equal(0);
+        expect(auth.loginWithIframe.callCount).to.equal(0);
+      });
+    });
+
+    it('should redeem the refresh token instead of logging in', () => {
+      sinon.stub(auth, 'refreshToken').returns(Promise.resolve());
+      sinon.stub(auth.profile, 'accessTokenExpired').get(() => true);
+      auth.profile.$refreshToken = '12345';
+
+      return auth.$$autoLogin().then(() => {
+        expect(auth.refreshToken.callCount).to.equal(1);
+        expect(auth.loginWithIframe.callCount).to.equal(0);
+      });
+    });
+
+    it('should login if the refresh token was rejected', () => {
+      sinon.stub(auth, 'refreshToken').callsFake(() => {
+        auth.profile.$refreshToken = undefined;
+        return Promise.reject({ code: 'invalid_grant' });
+      });
+      sinon.stub(auth.profile, 'accessTokenExpired').get(() => true);
+      auth.profile.$refreshToken = '12345';
+
+      return auth.$$autoLogin().then(() => {
+        expect(auth.loginWithIframe.callCount).to.equal(1);
+      });
+    });
+
+    it('should not login if the refresh token could not be redeemed for other reasons', () => {
+      sinon.stub(auth, 'refreshToken').returns(Promise.reject(new Error('Whoops!')));
+      sinon.stub(auth.profile, 'accessTokenExpired').get(() => true);
+      auth.profile.$refreshToken = '12345';
+
+      return auth.$$autoLogin().catch((error) => error).then((error) => {
+        expect(error.message).to.equal('Whoops!');
+        expect(auth.loginWithIframe.callCount).to.equal(0);
+      });
+    });
+  });
+
+  describe('function($$renewAccessToken)', () => {
+    it('should discard the access token', () => {
+      auth.profile.$accessToken = '55555-55555';
+
+      return auth.$$renewAccessToken('https://api.salte.io').then((retry) => {
+        expect(retry).to.equal(true);
+        expect(auth.profile.$accessToken).to.equal(null);
+      });
+    });
+
+    it('should discard the access token of endpoints with their own audience', () => {
+      auth.profile.$accessToken = '55555-55555';
+      auth.profile.$endpointTokens('audience=https://api.salte.io', {
+        accessToken: '12345-12345',
+        expiration: Date.now() + 3600000
+      });
+
+      return auth.$$renewAccessToken({
+        url: 'https://api.salte.io',
+        audience: 'https://api.salte.io'
+      }).then((retry) => {
+        expect(retry).to.equal(true);
+        expect(auth.profile.$endpointTokens('audience=https://api.salte.io')).to.equal(null);
+        expect(auth.profile.$accessToken).to.equal('55555-55555');
+      });
+    });
+
+    it('should request the scopes named in the challenge', () => {
+      sinon.stub(auth, 'requestScopes').returns(Promise.resolve());
+
+      return auth.$$renewAccessToken('https://api.salte.io', 'calendar.read calendar.write').then((retry) => {
+        expect(retry).to.equal(true);
+        expect(auth.requestScopes.calledWith(['calendar.read', 'calendar.write'])).to.equal(true);
+      });
+    });
+
+    it('should not replay the request if the scopes could not be granted', () => {
+      sinon.stub(auth, 'requestScopes').returns(Promise.reject({
+        code: 'consent_required',
+        description: 'The user must consent.'
+      }));
+
+      return auth.$$renewAccessToken('https://api.salte.io', 'calendar.write').then((retry) => {
+        expect(retry).to.equal(false);
+      });
+    });
+  });
+
+  describe('interceptor(retry)', () => {
+    beforeEach(() => {
+      delete window.salte.auth;
+
+      auth = new SalteAuth({
+        provider: 'auth0',
+        responseType: 'id_token',
+        endpoints: ['https://api.salte.io'],
+        retryUnauthorized: true
+      });
+
+      sinon.stub(auth, '$$renewAccessToken').returns(Promise.resolve(true));
+    });
+
+    it('should renew the access token of secured fetch endpoints', () => {
+      const [interceptor] = auth.$utilities.$interceptors.retry;
+
+      return Promise.resolve(interceptor({ url: 'https://api.salte.io/users' }, { error: 'invalid_token', scope: 'calendar.write' })).then((retry) => {
+        expect(retry).to.equal(true);
+        expect(auth.$$renewAccessToken.calledWith('https://api.salte.io', 'calendar.write')).to.equal(true);
+      });
+    });
+
+    it('should renew the access token of secured XMLHttpRequest endpoints', () => {
+      const [interceptor] = auth.$utilities.$interceptors.xhrRetry;
+
+      return Promise.resolve(interceptor({ $url: 'https://api.salte.io/users' }, { error: 'invalid_token' })).then((retry) => {
+        expect(retry).to.equal(true);
+        expect(auth.$$renewAccessToken.calledWith('https://api.salte.io', undefined)).to.equal(true);
+      });
+    });
+
+    it('should ignore unsecured endpoints', () => {
+      const [interceptor] = auth.$utilities.$interceptors.retry;
+
+      expect(interceptor({ url: 'https://www.google.com' }, { error: 'invalid_token' })).to.equal(false);
+    });
+
+    it('should not be registered by default', () => {
+      delete window.salte.auth;
+
+      auth = new SalteAuth({
+        provider: 'auth0',
+        responseType: 'id_token',
+        endpoints: ['https://api.salte.io']
+      });
+
+      expect(auth.$utilities.$interceptors.retry).to.deep.equal([]);
+      expect(auth.$utilities.$interceptors.xhrRetry).to.deep.equal([]);
+    });
+  });
+
+  describe('interceptor(realtime)', () => {
+    let interceptor;
+    beforeEach(() => {
+      auth.$config.endpoints = ['wss://api.salte.io'];
+      auth.$config.realtime = true;
+      sinon.stub(auth, 'retrieveAccessToken').returns(Promise.resolve('12345'));
+      [interceptor] = auth.$utilities.$interceptors.realtime;
+    });
+
+    it('should attach the access token as a query parameter', () => {
+      const request = {
+        type: 'websocket',
+        url: 'wss://api.salte.io/notifications?channel=alerts',
+        protocols: []
+      };
+
+      return interceptor(request).then(() => {
+        expect(auth.retrieveAccessToken.calledWith('wss://api.salte.io')).to.equal(true);
+        expect(request.url).to.equal('wss://api.salte.io/notifications?channel=alerts&access_token=12345');
+        expect(request.protocols).to.deep.equal([]);
+      });
+    });
+
+    it('should support custom query parameters', () => {
+      auth.$config.realtime = { name: 'token' };
+      const request = {
+        type: 'eventsource',
+        url: 'wss://api.salte.io/notifications',
+        protocols: []
+      };
+
+      return interceptor(request).then(() => {
+        expect(request.url).to.equal('wss://api.salte.io/notifications?token=12345');
+      });
+    });
+
+    it('should support attaching the access token as a subprotocol', () => {
+      auth.$config.realtime = { type: 'subprotocol' };
+      const request = {
+        type: 'websocket',
+        url: 'wss://api.salte.io/notifications',
+        protocols: ['graphql-ws']
+      };
+
+      return interceptor(request).then(() => {
+        expect(request.url).to.equal('wss://api.salte.io/notifications');
+        expect(request.protocols).to.deep.equal(['graphql-ws', 'access_token', '12345']);
+      });
+    });
+
+    it('should fallback to a query parameter for EventSource connections', () => {
+      auth.$config.realtime = { type: 'subprotocol', name: 'token' };
+      const request = {
+        type: 'eventsource',
+        url: 'wss://api.salte.io/notifications',
+        protocols: []
+      };
+
+      return interceptor(request).then(() => {
+        expect(request.url).to.equal('wss://api.salte.io/notifications?token=12345');
+        expect(request.protocols).to.deep.equal([]);
+      });
+    });
+
+    it('should ignore unsecured endpoints', () => {
+      expect(interceptor({ type: 'websocket', url: 'wss://www.google.com', protocols: [] })).to.equal(undefined);
+      expect(auth.retrieveAccessToken.callCount).to.equal(0);
+    });
+
+    it('should be disabled by default', () => {
+      auth.$config.realtime = undefined;
+
+      expect(interceptor({ type: 'websocket', url: 'wss://api.salte.io', protocols: [] })).to.equal(undefined);
+      expect(auth.retrieveAccessToken.callCount).to.equal(0);
+    });
+  });
+
+  describe('function(requestScopes)', () => {
+    beforeEach(() => {
+      auth.$config.scope = 'openid';
+      sinon.stub(auth, '$fire');
+    });
+
+    it('should skip scopes that have already been granted', () => {
+      sinon.stub(auth, 'loginWithIframe');
+      auth.profile.$scope = 'openid calendar.write';
+
+      return auth.requestScopes(['calendar.write']).then((scopes) => {
+        expect(scopes).to.deep.equal(['openid', 'calendar.write']);
+        expect(auth.loginWithIframe.callCount).to.equal(0);
+      });
+    });
+
+    it('should silently request the missing scopes', () => {
+      sinon.stub(auth, 'loginWithIframe').returns(Promise.resolve(auth.profile.userInfo));
+
+      return auth.requestScopes(['calendar.write']).then((scopes) => {
+        expect(auth.loginWithIframe.calledWith({
+          noPrompt: true,
+          timeout: 3000,
+          scope: 'openid calendar.write',
+          clear: 'errors',
+          events: false
+        })).to.equal(true);
+        expect(scopes).to.deep.equal(['openid', 'calendar.write']);
+        expect(auth.profile.$scope).to.equal('openid calendar.write');
+        expect(auth.$fire.calledWith('refresh', null, auth.profile.userInfo)).to.equal(true);
+      });
+    });
+
+    it('should prefer the scopes returned by the identity provider', () => {
+      sinon.stub(auth, 'loginWithIframe').callsFake(() => {
+        auth.profile.$parse('scope', 'openid calendar.read');
+        return Promise.resolve();
+      });
+
+      return auth.requestScopes(['calendar.write']).then((scopes) => {
+        expect(scopes).to.deep.equal(['openid', 'calendar.read']);
+      });
+    });
+
+    it('should restore the granted scopes on failure', () => {
+      auth.profile.$scope = 'openid email';
+      sinon.stub(auth, 'loginWithIframe').returns(Promise.reject({
+        code: 'consent_required',
+        description: 'The user must consent.'
+      }));
+
+      return auth.requestScopes(['calendar.write']).catch((error) => error).then((error) => {
+        expect(error.code).to.equal('consent_required');
+        expect(auth.profile.$scope).to.equal('openid email');
+        expect(auth.$fire.callCount).to.equal(0);
+      });
+    });
+
+    it('should support prompting via a popup', () => {
+      sinon.stub(auth, 'loginWithPopup').returns(Promise.resolve());
+
+      return auth.requestScopes(['calendar.write'], { interactive: true }).then(() => {
+        expect(auth.loginWithPopup.calledWith({
+          scope: 'openid calendar.write',
+          clear: 'errors',
+          events: false
+        })).to.equal(true);
+      });
+    });
+
+    it('should support prompting via a new tab', () => {
+      sinon.stub(auth, 'loginWithNewTab').returns(Promise.resolve());
+
+      return auth.requestScopes(['calendar.write'], { interactive: true, type: 'tab' }).then(() => {
+        expect(auth.loginWithNewTab.callCount).to.equal(1);
+      });
+    });
+
+    it('should support prompting via an iframe', () => {
+      sinon.stub(auth, 'loginWithIframe').returns(Promise.resolve());
+
+      return auth.requestScopes(['calendar.write'], { interactive: true, type: 'iframe' }).then(() => {
+        expect(auth.loginWithIframe.calledWith({
+          scope: 'openid calendar.write',
+          clear: 'errors',
+          events: false
+        })).to.equal(true);
+      });
+    });
+
+    it('should support prompting via a redirect', () => {
+      sinon.stub(auth, 'loginWithRedirect').returns(new Promise(() => {}));
+
+      auth.requestScopes(['calendar.write'], { interactive: true, type: 'redirect' });
+
+      expect(auth.loginWithRedirect.calledWith(undefined, {
+        scope: 'openid calendar.write',
+        clear: 'errors',
+        events: false
+      })).to.equal(true);
+    });
+
+    it('should reject unknown login types', () => {
+      return auth.requestScopes(['calendar.write'], { interactive: true, type: 'bogus' }).catch((error) => error).then((error) => {
+        expect(error.message).to.equal('Invalid Login Type (bogus)');
+      });
+    });
+  });
+
+  describe('function(retrieveAccessToken)', () => {
+    it('should wait for asynchronous storage to load', () => {
+      let hydrated = false;
+      sinon.stub(auth.profile, '$hydrated').get(() => hydrated);
+      sinon.stub(auth.profile, '$ready').get(() => Promise.resolve().then(() => {
+        hydrated = true;
+      }));
+      sinon.stub(auth.profile, 'idTokenExpired').get(() => false);
+      sinon.stub(auth.profile, 'accessTokenExpired').get(() => false);
+      auth.profile.$accessToken = '55555-55555';
 
-      return promise.then(() => {
-        expect(console.error.calledWith('Iframe Failed!')).to.equal(true);
+      const promise = auth.retrieveAccessToken();
+
+      expect(auth.$promises.token).to.equal(undefined);
+      return promise.then((accessToken) => {
+        expect(hydrated).to.equal(true);
+        expect(accessToken).to.equal('55555-55555');
       });
     });
 
-    it('should register a timeout based on when the token will expire', () => {
-      const timeout = auth.$timeouts.refresh;
+    describe('endpoints', () => {
+      const endpoint = {
+        url: 'https://api.salte.io',
+        audience: 'https://api.salte.io'
+      };
 
-      auth.$$refreshToken();
+      beforeEach(() => {
+        sinon.stub(auth.profile, 'idTokenExpired').get(() => false);
+        sinon.stub(auth.profile, '$validate');
+        sinon.useFakeTimers(1000000);
+      });
 
-      expect(timeout).to.not.equal(auth.$timeouts.refresh);
-    });
+      it('should request a separate access token', () => {
+        auth.profile.$accessToken = '55555-55555';
+        sinon.stub(auth.$utilities, 'createIframe').returns(Promise.resolve({
+          access_token: '12345-12345',
+          expires_in: 3600,
+          state: '33333333-3333-4333-b333-333333333333'
+        }));
+
+        return auth.retrieveAccessToken(endpoint).then((accessToken) => {
+          expect(accessToken).to.equal('12345-12345');
+          expect(auth.$utilities.createIframe.firstCall.args[0]).to.contain(`audience=${encodeURIComponent('https://api.salte.io')}`);
+          expect(auth.profile.$accessToken).to.equal('55555-55555');
+          expect(auth.profile.$endpointTokens('audience=https://api.salte.io')).to.deep.equal({
+            accessToken: '12345-12345',
+            expiration: 4600000
+          });
+          expect(auth.$promises.endpoints['audience=https://api.salte.io']).to.equal(null);
+        });
+      });
 
-    it('should deregister an outdated timeout', () => {
-      expect(clearTimeout.callCount).to.equal(0);
+      it('should use the cached access token', () => {
+        sinon.stub(auth.$utilities, 'createIframe');
+        auth.profile.$endpointTokens('audience=https://api.salte.io', {
+          accessToken: '12345-12345',
+          expiration: 4600000
+        });
 
-      auth.$$refreshToken();
+        return auth.retrieveAccessToken(endpoint).then((accessToken) => {
+          expect(accessToken).to.equal('12345-12345');
+          expect(auth.$utilities.createIframe.callCount).to.equal(0);
+        });
+      });
 
-      expect(clearTimeout.callCount).to.equal(0);
+      it('should redeem the refresh token if available', () => {
+        auth.profile.$refreshToken = '54321';
+        auth.$config.clientId = '33333333-3333-4333-b333-333333333333';
+        auth.$config.providerUrl = 'https://api.salte.io';
+        sinon.stub(auth.$utilities, 'postForm').returns(Promise.resolve({
+          access_token: '12345-12345',
+          refresh_token: '98765',
+          expires_in: 3600
+        }));
+
+        return auth.retrieveAccessToken(endpoint).then((accessToken) => {
+          expect(accessToken).to.equal('12345-12345');
+          expect(auth.$utilities.postForm.calledWith('https://api.salte.io/oauth/token', {
+            grant_type: 'refresh_token',
+            refresh_token: '54321',
+            client_id: '33333333-3333-4333-b333-333333333333',
+            audience: 'https://api.salte.io'
+          })).to.equal(true);
+          expect(auth.profile.$refreshToken).to.equal('98765');
+        });
+      });
 
-      auth.$$refreshToken();
+      it('should prevent duplicate promises', () => {
+        sinon.stub(auth.$utilities, 'createIframe').returns(Promise.resolve({
+          access_token: '12345-12345',
+          expires_in: 3600
+        }));
 
-      expect(clearTimeout.callCount).to.equal(2);
-    });
+        const promise = auth.retrieveAccessToken(endpoint);
 
-    it('should not invoke "refreshToken" if autoRefresh is false', () => {
-      window.setTimeout.restore();
-      auth.$config.autoRefresh = false;
+        expect(auth.retrieveAccessToken(endpoint)).to.equal(promise);
 
-      const spy = sinon.spy(auth, 'refreshToken');
+        return promise.then(() => {
+          expect(auth.$utilities.createIframe.callCount).to.equal(1);
+        });
+      });
 
-      auth.$$refreshToken();
+      it('should reject validation errors', () => {
+        auth.profile.$validate.returns({
+          code: 'invalid_state',
+          description: 'State provided by identity provider did not match local state.'
+        });
+        sinon.stub(auth.$utilities, 'createIframe').returns(Promise.resolve({
+          access_token: '12345-12345',
+          expires_in: 3600
+        }));
+
+        return auth.retrieveAccessToken(endpoint).catch((error) => error).then((error) => {
+          expect(error.code).to.equal('invalid_state');
+          expect(auth.profile.$endpointTokens('audience=https://api.salte.io')).to.equal(null);
+        });
+      });
 
-      sinon.assert.notCalled(spy);
-    });
+      it('should keep the state of concurrent requests separate', () => {
+        let id = 0;
+        uuid.v4.callsFake(() => `state-${++id}`);
+        auth.profile.$localState = 'login-state';
+        sinon.stub(auth.$utilities, 'createIframe').callsFake((url) => Promise.resolve({
+          access_token: '12345-12345',
+          expires_in: 3600,
+          state: url.match(/state=([^&]+)/)[1]
+        }));
+
+        return Promise.all([
+          auth.retrieveAccessToken(endpoint),
+          auth.retrieveAccessToken({
+            url: 'https://graph.salte.io',
+            audience: 'https://graph.salte.io'
+          })
+        ]).then(() => {
+          expect(auth.profile.$validate.calledWith(true, 'state-1', 'state-1')).to.equal(true);
+          expect(auth.profile.$validate.calledWith(true, 'state-2', 'state-2')).to.equal(true);
+          expect(auth.profile.$localState).to.equal('login-state');
+        });
+      });
 
-    it('should fire off a "refresh" event if autoRefresh is false', () => {
-      window.setTimeout.restore();
-      auth.$config.autoRefresh = false;
-      const promise = new Promise((resolve, reject) => {
-        auth.on('refresh', () => {
-          return resolve('refresh event fired');
+      it('should verify the signature of the ID Token after a reload', () => {
+        auth.profile.$validate.restore();
+        auth.$config.clientId = '55555-55555';
+        auth.$config.validation = { signature: true, state: true };
+        auth.profile.$$verifiedIdToken = null;
+        sinon.stub(auth, '$$verifySignature').callsFake(() => {
+          auth.profile.$$verifiedIdToken = auth.profile.$idToken;
+          return Promise.resolve();
+        });
+        sinon.stub(auth.$utilities, 'createIframe').returns(Promise.resolve({
+          access_token: '12345-12345',
+          expires_in: 3600,
+          state: '33333333-3333-4333-b333-333333333333'
+        }));
+
+        return auth.retrieveAccessToken(endpoint).then((accessToken) => {
+          expect(auth.$$verifySignature.callCount).to.equal(1);
+          expect(accessToken).to.equal('12345-12345');
         });
       });
 
-      auth.$$refreshToken();
+      it('should reject if an access token was not returned', () => {
+        sinon.stub(auth.$utilities, 'createIframe').returns(Promise.resolve({}));
 
-      return promise.then((resolution) => {
-        expect(resolution).to.equal('refresh event fired');
+        return auth.retrieveAccessToken(endpoint).catch((error) => error).then((error) => {
+          expect(error.code).to.equal('login_canceled');
+        });
       });
     });
-  });
 
-  describe('function(retrieveAccessToken)', () => {
     it('should default to using an iframe for auto logging in', () => {
       sinon.stub(auth, 'loginWithIframe').returns(Promise.resolve());
       sinon.stub(auth.profile, 'idTokenExpired').get(() => true);
@@ -1919,6 +3705,163 @@ describe('salte-auth', () => {
         expect(auth.$promises.token).to.equal(null);
       });
     });
+
+    it('should support the hybrid flow', () => {
+      sinon.stub(auth, 'loginWithIframe').returns(Promise.resolve());
+      sinon.stub(auth.profile, 'idTokenExpired').get(() => false);
+      sinon.stub(auth.profile, 'accessTokenExpired').get(() => true);
+      sinon.stub(auth.profile, '$clearErrors');
+      sinon.stub(auth.profile, '$validate');
+      sinon.stub(auth.$utilities, 'createIframe').returns(Promise.resolve());
+      auth.$config.responseType = 'code id_token';
+
+      const promise = auth.retrieveAccessToken();
+
+      auth.profile.$accessToken = '55555-55555';
+
+      return promise.then(accessToken => {
+        expect(auth.loginWithIframe.callCount).to.equal(0);
+        expect(auth.$utilities.createIframe.callCount).to.equal(1);
+        expect(accessToken).to.equal('55555-55555');
+      });
+    });
+
+    it('should reauthenticate for "code token" if the code is missing', () => {
+      sinon.stub(auth, 'loginWithIframe').returns(Promise.resolve());
+      sinon.stub(auth.profile, 'idTokenExpired').get(() => true);
+      sinon.stub(auth.profile, 'accessTokenExpired').get(() => false);
+      sinon.stub(auth.profile, '$clearErrors');
+      auth.$config.responseType = 'code token';
+
+      const promise = auth.retrieveAccessToken();
+
+      auth.profile.$accessToken = '55555-55555';
+
+      return promise.then(accessToken => {
+        expect(auth.loginWithIframe.callCount).to.equal(1);
+        expect(accessToken).to.equal('55555-55555');
+      });
+    });
+
+    it('should not reauthenticate for "code token" if the code is present', () => {
+      sinon.stub(auth, 'loginWithIframe').returns(Promise.resolve());
+      sinon.stub(auth.profile, 'idTokenExpired').get(() => true);
+      sinon.stub(auth.profile, 'accessTokenExpired').get(() => false);
+      sinon.stub(auth.profile, '$clearErrors');
+      auth.$config.responseType = 'code token';
+      auth.profile.code = '12345';
+      auth.profile.$accessToken = '55555-55555';
+
+      return auth.retrieveAccessToken().then(accessToken => {
+        expect(auth.loginWithIframe.callCount).to.equal(0);
+        expect(accessToken).to.equal('55555-55555');
+      });
+    });
+  });
+
+  describe('function($$sync)', () => {
+    it('should not sync if the storage type is "session"', () => {
+      auth.$$sync();
+
+      expect(auth.$sync).to.equal(undefined);
+    });
+
+    it('should not sync if it is disabled', () => {
+      auth.$config.storageType = 'local';
+      auth.$config.sync = false;
+      auth.$$sync();
+
+      expect(auth.$sync).to.equal(undefined);
+    });
+
+    it('should broadcast login, refresh and logout events', () => {
+      auth.$config.storageType = 'local';
+      auth.$$sync();
+      sinon.stub(auth.$sync, 'broadcast');
+
+      auth.$fire('login', null, {});
+      auth.$fire('refresh', null, {});
+      auth.$fire('logout');
+
+      expect(auth.$sync.broadcast.args).to.deep.equal([
+        [{ type: 'login' }],
+        [{ type: 'refresh' }],
+        [{ type: 'logout' }]
+      ]);
+      auth.$sync.close();
+    });
+
+    it('should not broadcast failures or refresh reminders', () => {
+      auth.$config.storageType = 'local';
+      auth.$$sync();
+      sinon.stub(auth.$sync, 'broadcast');
+
+      auth.$fire('login', 'Whoops!');
+      auth.$fire('refresh');
+
+      expect(auth.$sync.broadcast.callCount).to.equal(0);
+      auth.$sync.close();
+    });
+  });
+
+  describe('function($$onSync)', () => {
+    beforeEach(() => {
+      auth.$config.storageType = 'local';
+      auth.$$sync();
+      sinon.stub(auth.$sync, 'broadcast');
+    });
+
+    afterEach(() => {
+      auth.$sync.close();
+    });
+
+    it('should refresh the profile and fire a "login" event', () => {
+      sinon.stub(auth.profile, '$refreshUserInfo');
+      const listener = sinon.stub();
+      auth.on('login', listener);
+
+      auth.$$onSync({ type: 'login' });
+
+      expect(auth.profile.$refreshUserInfo.callCount).to.equal(1);
+      expect(listener.callCount).to.equal(1);
+      expect(auth.$sync.broadcast.callCount).to.equal(0);
+    });
+
+    it('should fire a "refresh" event', () => {
+      const listener = sinon.stub();
+      auth.on('refresh', listener);
+
+      auth.$$onSync({ type: 'refresh' });
+
+      expect(listener.callCount).to.equal(1);
+      expect(auth.$sync.broadcast.callCount).to.equal(0);
+    });
+
+    it('should fire a "logout" event', () => {
+      const listener = sinon.stub();
+      auth.on('logout', listener);
+
+      auth.$$onSync({ type: 'logout' });
+
+      expect(listener.callCount).to.equal(1);
+      expect(auth.$sync.broadcast.callCount).to.equal(0);
+    });
+
+    it('should reload cached storage before syncing', () => {
+      const reload = Promise.resolve();
+      sinon.stub(auth.profile, '$cached').get(() => true);
+      sinon.stub(auth.profile, '$reload').returns(reload);
+      const listener = sinon.stub();
+      auth.on('logout', listener);
+
+      auth.$$onSync({ type: 'logout' });
+
+      expect(listener.callCount).to.equal(0);
+      return reload.then(() => {
+        expect(auth.profile.$reload.callCount).to.equal(1);
+        expect(listener.callCount).to.equal(1);
+      });
+    });
   });
 
   describe('function($$onRouteChanged)', () => {
@@ -1947,6 +3890,187 @@ describe('salte-auth', () => {
     });
   });
 
+  describe('function($$frontChannelLogout)', () => {
+    beforeEach(() => {
+      sinon.stub(auth, '$fire');
+      sinon.stub(auth.profile, '$clear');
+      auth.profile.userInfo = {
+        iss: 'https://api.salte.io',
+        sub: '1234567890',
+        sid: '55555'
+      };
+    });
+
+    it('should clear the session', () => {
+      sinon.stub(auth.profile, '$getParams').returns({
+        iss: 'https://api.salte.io',
+        sid: '55555'
+      });
+
+      auth.$$frontChannelLogout();
+
+      expect(auth.profile.$clear.callCount).to.equal(1);
+      expect(auth.$fire.calledWith('logout')).to.equal(true);
+    });
+
+    it('should clear the session if the identity provider does not track sessions', () => {
+      sinon.stub(auth.profile, '$getParams').returns({});
+
+      auth.$$frontChannelLogout();
+
+      expect(auth.profile.$clear.callCount).to.equal(1);
+    });
+
+    it('should notify the other tabs', () => {
+      auth.$fire.restore();
+      auth.$config.storageType = 'local';
+      sinon.stub(auth.profile, '$getParams').returns({});
+      sinon.stub(SalteAuthSync.prototype, 'broadcast');
+
+      auth.$$frontChannelLogout();
+
+      expect(SalteAuthSync.prototype.broadcast.calledWith({ type: 'logout' })).to.equal(true);
+    });
+
+    it('should ignore other sessions', () => {
+      sinon.stub(auth.profile, '$getParams').returns({
+        iss: 'https://api.salte.io',
+        sid: '44444'
+      });
+
+      auth.$$frontChannelLogout();
+
+      expect(auth.profile.$clear.callCount).to.equal(0);
+      expect(auth.$fire.callCount).to.equal(0);
+    });
+
+    it('should ignore other issuers', () => {
+      sinon.stub(auth.profile, '$getParams').returns({
+        iss: 'https://www.google.com',
+        sid: '55555'
+      });
+
+      auth.$$frontChannelLogout();
+
+      expect(auth.profile.$clear.callCount).to.equal(0);
+    });
+
+    it('should wait for asynchronous storage to load', () => {
+      let hydrated = false;
+      sinon.stub(auth.profile, '$hydrated').get(() => hydrated);
+      sinon.stub(auth.profile, '$ready').get(() => Promise.resolve().then(() => {
+        hydrated = true;
+      }));
+      sinon.stub(auth.profile, '$getParams').returns({});
+
+      const promise = auth.$$frontChannelLogout();
+
+      expect(auth.profile.$clear.callCount).to.equal(0);
+      return promise.then(() => {
+        expect(auth.profile.$clear.callCount).to.equal(1);
+        expect(auth.$fire.calledWith('logout')).to.equal(true);
+      });
+    });
+
+    it('should bail if there is no active session', () => {
+      auth.profile.userInfo = null;
+      sinon.stub(auth.profile, '$getParams').returns({});
+
+      auth.$$frontChannelLogout();
+
+      expect(auth.profile.$clear.callCount).to.equal(0);
+    });
+  });
+
+  describe('function($$monitorSession)', () => {
+    let checkSessionEndpoint;
+    beforeEach(() => {
+      auth.$config.sessionMonitor = true;
+      auth.$config.clientId = '33333333-3333-4333-b333-333333333333';
+      auth.profile.$sessionState = '12345.67890';
+      checkSessionEndpoint = sinon.stub(auth, '$checkSessionEndpoint').get(() => `${location.protocol}//${location.host}/check-session`);
+    });
+
+    afterEach(() => {
+      auth.$session && auth.$session.stop();
+      delete auth.$session;
+    });
+
+    it('should start monitoring the session', () => {
+      auth.$$monitorSession();
+
+      expect(auth.$session.$url).to.equal(`${location.protocol}//${location.host}/check-session`);
+      expect(auth.$session.$message).to.equal('33333333-3333-4333-b333-333333333333 12345.67890');
+    });
+
+    it('should restart the existing monitor', () => {
+      auth.$$monitorSession();
+      const session = auth.$session;
+      auth.profile.$sessionState = '09876.54321';
+
+      auth.$$monitorSession();
+
+      expect(auth.$session).to.equal(session);
+      expect(auth.$session.$message).to.equal('33333333-3333-4333-b333-333333333333 09876.54321');
+    });
+
+    it('should bail if the session monitor is disabled', () => {
+      auth.$config.sessionMonitor = false;
+
+      auth.$$monitorSession();
+
+      expect(auth.$session).to.equal(undefined);
+    });
+
+    it('should bail if there is no session state', () => {
+      auth.profile.$sessionState = undefined;
+
+      auth.$$monitorSession();
+
+      expect(auth.$session).to.equal(undefined);
+    });
+
+    it('should bail if the provider does not have a "check_session_iframe"', () => {
+      checkSessionEndpoint.get(() => null);
+
+      auth.$$monitorSession();
+
+      expect(auth.$session).to.equal(undefined);
+    });
+  });
+
+  describe('function($$onSessionChanged)', () => {
+    it('should silently login and fire a "session-changed" event', () => {
+      sinon.stub(auth, 'loginWithIframe').returns(Promise.resolve(auth.profile.userInfo));
+      sinon.stub(auth, '$fire');
+
+      return auth.$$onSessionChanged().then(() => {
+        expect(auth.loginWithIframe.calledWith({
+          noPrompt: true,
+          clear: 'errors',
+          events: false,
+          timeout: 3000
+        })).to.equal(true);
+        expect(auth.$fire.calledWith('session-changed', null, auth.profile.userInfo)).to.equal(true);
+      });
+    });
+
+    it('should logout if the user is no longer logged in', () => {
+      sinon.spy(auth.profile, '$clear');
+      sinon.stub(auth, 'loginWithIframe').returns(Promise.reject({
+        code: 'login_required',
+        description: 'The user must login.'
+      }));
+      sinon.stub(auth, '$fire');
+
+      return auth.$$onSessionChanged().then(() => {
+        expect(auth.profile.$clear.callCount).to.equal(1);
+        expect(auth.$fire.calledWith('logout')).to.equal(true);
+        expect(auth.$fire.calledWith('session-changed')).to.equal(false);
+      });
+    });
+  });
+
   describe('function($$onVisibilityChanged)', () => {
     it('should refresh the token if we hide the page', () => {
       const promise = Promise.resolve();
@@ -1968,6 +4092,41 @@ describe('salte-auth', () => {
       });
     });
 
+    it('should let another tab take over once the token has been refreshed', () => {
+      const promise = Promise.resolve();
+
+      sinon.stub(auth, '$$refreshToken');
+      sinon.stub(auth, 'refreshToken').returns(promise);
+      sinon.stub(auth.profile, 'idTokenExpired').get(() => false);
+      sinon.stub(auth.$utilities, '$hidden').get(() => true);
+      auth.$sync = {
+        leader: true,
+        resign: sinon.stub()
+      };
+
+      auth.$$onVisibilityChanged();
+
+      return promise.then(() => {
+        expect(auth.refreshToken.callCount).to.equal(1);
+        expect(auth.$sync.resign.callCount).to.equal(1);
+      });
+    });
+
+    it('should not refresh the token if another tab is the leader', () => {
+      sinon.stub(auth, '$$refreshToken');
+      sinon.stub(auth, 'refreshToken').returns(Promise.resolve());
+      sinon.stub(auth.profile, 'idTokenExpired').get(() => false);
+      sinon.stub(auth.$utilities, '$hidden').get(() => true);
+      auth.$sync = {
+        leader: false
+      };
+
+      auth.$$onVisibilityChanged();
+
+      expect(auth.refreshToken.callCount).to.equal(0);
+      expect(auth.$$refreshToken.callCount).to.equal(0);
+    });
+
     it('should reactivate the automatic refresh when the page is shown', () => {
       const promise = Promise.resolve();
 
@@ -1988,6 +4147,20 @@ describe('salte-auth', () => {
       });
     });
 
+    it('should compete for the lease again when the page is shown', () => {
+      sinon.stub(auth, '$$refreshToken');
+      sinon.stub(auth.profile, 'idTokenExpired').get(() => false);
+      sinon.stub(auth.$utilities, '$hidden').get(() => false);
+      auth.$sync = {
+        rejoin: sinon.stub()
+      };
+
+      auth.$$onVisibilityChanged();
+
+      expect(auth.$sync.rejoin.callCount).to.equal(1);
+      expect(auth.$$refreshToken.callCount).to.equal(1);
+    });
+
     it('should bail if "autoRefresh" is false', () => {
       auth.$config.autoRefresh = false;
 
@@ -0,0 +1,189 @@
+import { expect } from 'chai';
+
+import { SalteAuthSync } from '../../src/salte-auth.sync.js';
+
+describe('salte-auth.sync', () => {
+  let sync;
+
+  afterEach(() => {
+    sync && sync.close();
+    sync = null;
+    sinon.restore();
+  });
+
+  describe('BroadcastChannel', () => {
+    let channel, Channel;
+    beforeEach(() => {
+      channel = {
+        postMessage: sinon.stub(),
+        close: sinon.stub()
+      };
+      Channel = sinon.stub().returns(channel);
+      sinon.stub(window, 'BroadcastChannel').value(Channel);
+    });
+
+    it('should listen on the given channel', () => {
+      const callback = sinon.stub();
+      sync = new SalteAuthSync('salte.auth.$sync', callback);
+
+      expect(Channel.calledWith('salte.auth.$sync')).to.equal(true);
+
+      channel.onmessage({
+        data: { type: 'login' }
+      });
+
+      expect(callback.calledWith({ type: 'login' })).to.equal(true);
+    });
+
+    it('should broadcast messages', () => {
+      sync = new SalteAuthSync('salte.auth.$sync', sinon.stub());
+      sync.broadcast({ type: 'logout' });
+
+      expect(channel.postMessage.calledWith({ type: 'logout' })).to.equal(true);
+    });
+
+    it('should close the channel', () => {
+      sync = new SalteAuthSync('salte.auth.$sync', sinon.stub());
+      sync.close();
+      sync = null;
+
+      expect(channel.close.callCount).to.equal(1);
+    });
+  });
+
+  describe('storage events', () => {
+    beforeEach(() => {
+      sinon.stub(window, 'BroadcastChannel').value(undefined);
+    });
+
+    it('should listen for storage events', () => {
+      const callback = sinon.stub();
+      sync = new SalteAuthSync('salte.auth.$sync', callback);
+
+      sync.$$onStorage({
+        key: 'salte.auth.$sync',
+        newValue: '{"type":"login"}'
+      });
+
+      expect(callback.calledWith({ type: 'login' })).to.equal(true);
+    });
+
+    it('should ignore unrelated and removed keys', () => {
+      const callback = sinon.stub();
+      sync = new SalteAuthSync('salte.auth.$sync', callback);
+
+      sync.$$onStorage({
+        key: 'salte.auth.id-token',
+        newValue: '12345'
+      });
+      sync.$$onStorage({
+        key: 'salte.auth.$sync',
+        newValue: null
+      });
+
+      expect(callback.callCount).to.equal(0);
+    });
+
+    it('should broadcast messages without leaving them behind', () => {
+      sinon.spy(localStorage, 'setItem');
+      sync = new SalteAuthSync('salte.auth.$sync', sinon.stub());
+      sync.broadcast({ type: 'logout' });
+
+      expect(localStorage.setItem.calledWith('salte.auth.$sync', '{"type":"logout"}')).to.equal(true);
+      expect(localStorage.getItem('salte.auth.$sync')).to.equal(null);
+    });
+
+    it('should stop listening when closed', () => {
+      sinon.spy(window, 'removeEventListener');
+      sync = new SalteAuthSync('salte.auth.$sync', sinon.stub());
+      sync.close();
+
+      expect(window.removeEventListener.calledWith('storage', sync.$$onStorage)).to.equal(true);
+      sync = null;
+    });
+  });
+
+  describe('leader election', () => {
+    let other;
+    beforeEach(() => {
+      sinon.stub(window, 'BroadcastChannel').value(undefined);
+      localStorage.removeItem('salte.auth.$sync.leader');
+    });
+
+    afterEach(() => {
+      other && other.close();
+      other = null;
+    });
+
+    it('should become the leader if there is no leader', () => {
+      sync = new SalteAuthSync('salte.auth.$sync', sinon.stub());
+
+      expect(sync.leader).to.equal(true);
+    });
+
+    it('should not take over while the leader is active', () => {
+      sync = new SalteAuthSync('salte.auth.$sync', sinon.stub());
+      other = new SalteAuthSync('salte.auth.$sync', sinon.stub());
+
+      expect(sync.leader).to.equal(true);
+      expect(other.leader).to.equal(false);
+    });
+
+    it('should take over once the leader has gone away', () => {
+      const clock = sinon.useFakeTimers(1000000);
+      sync = new SalteAuthSync('salte.auth.$sync', sinon.stub());
+      other = new SalteAuthSync('salte.auth.$sync', sinon.stub());
+      clearInterval(sync.$heartbeat);
+
+      clock.tick(7500);
+
+      expect(sync.leader).to.equal(false);
+      expect(other.leader).to.equal(true);
+    });
+
+    it('should renew the lease while active', () => {
+      const clock = sinon.useFakeTimers(1000000);
+      sync = new SalteAuthSync('salte.auth.$sync', sinon.stub());
+      other = new SalteAuthSync('salte.auth.$sync', sinon.stub());
+
+      clock.tick(20000);
+
+      expect(sync.leader).to.equal(true);
+      expect(other.leader).to.equal(false);
+    });
+
+    it('should let another tab take over once resigned', () => {
+      const clock = sinon.useFakeTimers(1000000);
+      sync = new SalteAuthSync('salte.auth.$sync', sinon.stub());
+      other = new SalteAuthSync('salte.auth.$sync', sinon.stub());
+
+      sync.resign();
+
+      expect(localStorage.getItem('salte.auth.$sync.leader')).to.equal(null);
+
+      clock.tick(20000);
+
+      expect(sync.leader).to.equal(false);
+      expect(other.leader).to.equal(true);
+    });
+
+    it('should compete for the lease again once rejoined', () => {
+      sync = new SalteAuthSync('salte.auth.$sync', sinon.stub());
+      sync.resign();
+
+      expect(sync.leader).to.equal(false);
+
+      sync.rejoin();
+
+      expect(sync.leader).to.equal(true);
+    });
+
+    it('should step down when closed', () => {
+      sync = new SalteAuthSync('salte.auth.$sync', sinon.stub());
+      sync.close();
+      sync = null;
+
+      expect(localStorage.getItem('salte.auth.$sync.leader')).to.equal(null);
+    });
+  });
+});
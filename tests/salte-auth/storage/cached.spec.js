@@ -0,0 +1,144 @@
+import { expect } from 'chai';
+
+import SalteAuthCachedStorage from '../../../src/storage/cached.js';
+
+describe('SalteAuthCachedStorage', () => {
+  let adapter;
+  beforeEach(() => {
+    adapter = {
+      keys: sinon.stub().returns(Promise.resolve(['salte.auth.id-token', 'salte.auth.access-token'])),
+      getItem: sinon.stub(),
+      setItem: sinon.stub().returns(Promise.resolve()),
+      removeItem: sinon.stub().returns(Promise.resolve())
+    };
+    adapter.getItem.withArgs('salte.auth.id-token').returns(Promise.resolve('12345'));
+    adapter.getItem.withArgs('salte.auth.access-token').returns(Promise.resolve('54321'));
+  });
+
+  describe('function(constructor)', () => {
+    it('should load the stored values', () => {
+      const storage = new SalteAuthCachedStorage(adapter);
+
+      expect(storage.hydrated).to.equal(false);
+      expect(storage.getItem('salte.auth.id-token')).to.equal(null);
+
+      return storage.ready.then(() => {
+        expect(storage.hydrated).to.equal(true);
+        expect(storage.getItem('salte.auth.id-token')).to.equal('12345');
+        expect(storage.getItem('salte.auth.access-token')).to.equal('54321');
+      });
+    });
+
+    it('should support synchronous adapters', () => {
+      const storage = new SalteAuthCachedStorage({
+        keys: () => ['salte.auth.id-token'],
+        getItem: () => '12345'
+      });
+
+      return storage.ready.then(() => {
+        expect(storage.getItem('salte.auth.id-token')).to.equal('12345');
+      });
+    });
+
+    it('should not overwrite values changed while loading', () => {
+      const storage = new SalteAuthCachedStorage(adapter);
+      storage.setItem('salte.auth.id-token', '67890');
+      storage.removeItem('salte.auth.access-token');
+
+      return storage.ready.then(() => {
+        expect(storage.getItem('salte.auth.id-token')).to.equal('67890');
+        expect(storage.getItem('salte.auth.access-token')).to.equal(null);
+      });
+    });
+
+    it('should start empty if the values fail to load', () => {
+      adapter.keys.returns(Promise.reject(new Error('Whoops!')));
+      const storage = new SalteAuthCachedStorage(adapter);
+
+      return storage.ready.then(() => {
+        expect(storage.hydrated).to.equal(true);
+        expect(storage.length).to.equal(0);
+      });
+    });
+  });
+
+  describe('function(setItem)', () => {
+    it('should write through to the adapter', () => {
+      const storage = new SalteAuthCachedStorage(adapter);
+      storage.setItem('salte.auth.expiration', 12345);
+
+      expect(storage.getItem('salte.auth.expiration')).to.equal('12345');
+
+      return storage.flush().then(() => {
+        expect(adapter.setItem.calledWith('salte.auth.expiration', '12345')).to.equal(true);
+      });
+    });
+  });
+
+  describe('function(removeItem)', () => {
+    it('should remove the value from the adapter', () => {
+      const storage = new SalteAuthCachedStorage(adapter);
+      storage.removeItem('salte.auth.id-token');
+
+      return storage.flush().then(() => {
+        expect(adapter.removeItem.calledWith('salte.auth.id-token')).to.equal(true);
+      });
+    });
+  });
+
+  describe('function(reload)', () => {
+    it('should pick up changes made elsewhere', () => {
+      const storage = new SalteAuthCachedStorage(adapter);
+
+      return storage.ready.then(() => {
+        adapter.keys.returns(Promise.resolve(['salte.auth.id-token']));
+        adapter.getItem.withArgs('salte.auth.id-token').returns(Promise.resolve('67890'));
+
+        const promise = storage.reload();
+
+        expect(storage.hydrated).to.equal(false);
+        expect(storage.ready).to.equal(promise);
+        return promise;
+      }).then(() => {
+        expect(storage.hydrated).to.equal(true);
+        expect(storage.getItem('salte.auth.id-token')).to.equal('67890');
+        expect(storage.getItem('salte.auth.access-token')).to.equal(null);
+      });
+    });
+
+    it('should persist our own changes before reloading', () => {
+      const storage = new SalteAuthCachedStorage(adapter);
+
+      return storage.ready.then(() => {
+        storage.setItem('salte.auth.expiration', '12345');
+
+        return storage.reload();
+      }).then(() => {
+        expect(adapter.setItem.calledBefore(adapter.keys.secondCall)).to.equal(true);
+      });
+    });
+  });
+
+  describe('function(flush)', () => {
+    it('should persist the changes in order', () => {
+      const storage = new SalteAuthCachedStorage(adapter);
+      storage.setItem('salte.auth.id-token', '67890');
+      storage.removeItem('salte.auth.id-token');
+
+      return storage.flush().then(() => {
+        expect(adapter.setItem.calledBefore(adapter.removeItem)).to.equal(true);
+      });
+    });
+
+    it('should continue after failed writes', () => {
+      adapter.setItem.returns(Promise.reject(new Error('Whoops!')));
+      const storage = new SalteAuthCachedStorage(adapter);
+      storage.setItem('salte.auth.id-token', '67890');
+      storage.removeItem('salte.auth.access-token');
+
+      return storage.flush().then(() => {
+        expect(adapter.removeItem.callCount).to.equal(1);
+      });
+    });
+  });
+});
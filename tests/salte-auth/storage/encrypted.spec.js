@@ -0,0 +1,171 @@
+import { expect } from 'chai';
+
+import SalteAuthEncryptedStorage from '../../../src/storage/encrypted.js';
+import SalteAuthMemoryStorage from '../../../src/storage/memory.js';
+
+describe('SalteAuthEncryptedStorage', () => {
+  let storage, keys, encrypted;
+  beforeEach(() => {
+    storage = new SalteAuthMemoryStorage();
+    keys = new SalteAuthMemoryStorage();
+    // NOTE: CryptoKeys can't be stringified, so the keys are kept as-is.
+    keys.getItem = (key) => Promise.resolve(keys.$items[key]);
+    keys.setItem = (key, value) => {
+      keys.$items[key] = value;
+      return Promise.resolve();
+    };
+    keys.add = (key, value) => {
+      if (keys.$items[key]) {
+        const error = new Error('Key already exists in the object store.');
+        error.name = 'ConstraintError';
+        return Promise.reject(error);
+      }
+
+      return keys.setItem(key, value);
+    };
+    encrypted = new SalteAuthEncryptedStorage(storage, 'salte.auth', keys);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('function(setItem)', () => {
+    it('should store the value encrypted', () => {
+      return encrypted.setItem('salte.auth.id-token', '12345.67890.12345').then(() => {
+        const value = storage.getItem('salte.auth.id-token');
+
+        expect(value).to.match(/^[A-Za-z0-9+/=]+\.[A-Za-z0-9+/=]+$/);
+        expect(value).to.not.contain('12345.67890.12345');
+      });
+    });
+
+    it('should use a unique initialization vector for each value', () => {
+      return Promise.all([
+        encrypted.setItem('salte.auth.id-token', '12345'),
+        encrypted.setItem('salte.auth.access-token', '12345')
+      ]).then(() => {
+        expect(storage.getItem('salte.auth.id-token')).to.not.equal(storage.getItem('salte.auth.access-token'));
+      });
+    });
+  });
+
+  describe('function(getItem)', () => {
+    it('should decrypt the value', () => {
+      return encrypted.setItem('salte.auth.user-info', '{"name":"Jöhn Døe"}').then(() => {
+        return encrypted.getItem('salte.auth.user-info');
+      }).then((value) => {
+        expect(value).to.equal('{"name":"Jöhn Døe"}');
+      });
+    });
+
+    it('should return null for missing values', () => {
+      return encrypted.getItem('salte.auth.id-token').then((value) => {
+        expect(value).to.equal(null);
+      });
+    });
+
+    it('should return null for values that cannot be decrypted', () => {
+      storage.setItem('salte.auth.id-token', '12345.67890.12345');
+
+      return encrypted.getItem('salte.auth.id-token').then((value) => {
+        expect(value).to.equal(null);
+      });
+    });
+
+    it('should not be able to decrypt values with another key', () => {
+      return encrypted.setItem('salte.auth.id-token', '12345').then(() => {
+        keys.$items = {};
+        encrypted = new SalteAuthEncryptedStorage(storage, 'salte.auth', keys);
+
+        return encrypted.getItem('salte.auth.id-token');
+      }).then((value) => {
+        expect(value).to.equal(null);
+      });
+    });
+  });
+
+  describe('function(removeItem)', () => {
+    it('should remove the value', () => {
+      return encrypted.setItem('salte.auth.id-token', '12345').then(() => {
+        return encrypted.removeItem('salte.auth.id-token');
+      }).then(() => {
+        expect(storage.getItem('salte.auth.id-token')).to.equal(null);
+      });
+    });
+  });
+
+  describe('function(keys)', () => {
+    it('should only return keys with the prefix', () => {
+      storage.setItem('salte.auth.id-token', '12345');
+      storage.setItem('salte.auth:admin.id-token', '12345');
+      storage.setItem('bogus', '12345');
+
+      return encrypted.keys().then((result) => {
+        expect(result).to.deep.equal(['salte.auth.id-token']);
+      });
+    });
+
+    it('should support asynchronous storage', () => {
+      encrypted = new SalteAuthEncryptedStorage({
+        keys: () => Promise.resolve(['salte.auth.id-token', 'bogus'])
+      }, 'salte.auth', keys);
+
+      return encrypted.keys().then((result) => {
+        expect(result).to.deep.equal(['salte.auth.id-token']);
+      });
+    });
+  });
+
+  describe('getter($key)', () => {
+    it('should generate a non-extractable key and reuse it', () => {
+      return encrypted.$key.then((key) => {
+        expect(key.extractable).to.equal(false);
+        expect(key.algorithm.name).to.equal('AES-GCM');
+        expect(keys.$items['salte.auth.encryption-key']).to.equal(key);
+
+        return new SalteAuthEncryptedStorage(storage, 'salte.auth', keys).$key.then((reused) => {
+          expect(reused).to.equal(key);
+        });
+      });
+    });
+
+    it('should use the key stored by another tab while generating ours', () => {
+      const key = {};
+      const { getItem } = keys;
+      keys.getItem = (name) => {
+        // NOTE: This simulates another tab storing its key after we've checked for one.
+        keys.getItem = getItem;
+        return getItem(name).then((value) => {
+          keys.$items[name] = key;
+          return value;
+        });
+      };
+
+      return encrypted.$key.then((result) => {
+        expect(result).to.equal(key);
+        expect(keys.$items['salte.auth.encryption-key']).to.equal(key);
+      });
+    });
+
+    it('should reject if the key could not be stored', () => {
+      keys.add = () => Promise.reject(new Error('Whoops!'));
+
+      return encrypted.$key.then(() => {
+        return Promise.reject(new Error('Promise unexpectedly resolved'));
+      }, (error) => {
+        expect(error.message).to.equal('Whoops!');
+      });
+    });
+
+    it('should reject if WebCrypto is not supported', () => {
+      sinon.stub(window, 'crypto').value(undefined);
+
+      return encrypted.$key.then(() => {
+        return Promise.reject(new Error('Promise unexpectedly resolved'));
+      }, (error) => {
+        expect(error.message).to.equal('WebCrypto is required to encrypt the stored values.');
+      });
+    });
+  });
+});
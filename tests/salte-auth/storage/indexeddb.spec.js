@@ -0,0 +1,84 @@
+import { expect } from 'chai';
+
+import SalteAuthIndexedDBStorage from '../../../src/storage/indexeddb.js';
+
+describe('SalteAuthIndexedDBStorage', () => {
+  let storage;
+  beforeEach(() => {
+    storage = new SalteAuthIndexedDBStorage('salte-auth-tests');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+
+    return storage.keys().then((keys) => {
+      return Promise.all(keys.map((key) => storage.removeItem(key)));
+    });
+  });
+
+  it('should store and retrieve values', () => {
+    return storage.setItem('salte.auth.id-token', '12345').then(() => {
+      return storage.getItem('salte.auth.id-token');
+    }).then((value) => {
+      expect(value).to.equal('12345');
+    });
+  });
+
+  it('should remove values', () => {
+    return storage.setItem('salte.auth.id-token', '12345').then(() => {
+      return storage.removeItem('salte.auth.id-token');
+    }).then(() => {
+      return storage.getItem('salte.auth.id-token');
+    }).then((value) => {
+      expect(value).to.equal(undefined);
+    });
+  });
+
+  it('should add values that do not exist', () => {
+    return storage.add('salte.auth.id-token', '12345').then(() => {
+      return storage.getItem('salte.auth.id-token');
+    }).then((value) => {
+      expect(value).to.equal('12345');
+    });
+  });
+
+  it('should not overwrite existing values when adding', () => {
+    return storage.setItem('salte.auth.id-token', '12345').then(() => {
+      return storage.add('salte.auth.id-token', '54321');
+    }).then(() => {
+      return Promise.reject(new Error('Promise unexpectedly resolved'));
+    }, (error) => {
+      expect(error.name).to.equal('ConstraintError');
+
+      return storage.getItem('salte.auth.id-token');
+    }).then((value) => {
+      expect(value).to.equal('12345');
+    });
+  });
+
+  it('should list the stored keys', () => {
+    return Promise.all([
+      storage.setItem('salte.auth.id-token', '12345'),
+      storage.setItem('salte.auth.access-token', '54321')
+    ]).then(() => {
+      return storage.keys();
+    }).then((keys) => {
+      expect(keys).to.have.members(['salte.auth.id-token', 'salte.auth.access-token']);
+    });
+  });
+
+  it('should reuse the database connection', () => {
+    expect(storage.$database).to.equal(storage.$database);
+  });
+
+  it('should reject if IndexedDB is not supported', () => {
+    sinon.stub(window, 'indexedDB').value(undefined);
+    const unsupported = new SalteAuthIndexedDBStorage();
+
+    return unsupported.getItem('salte.auth.id-token').then(() => {
+      return Promise.reject(new Error('Promise unexpectedly resolved'));
+    }, (error) => {
+      expect(error.message).to.equal('IndexedDB is not supported by this browser.');
+    });
+  });
+});
@@ -0,0 +1,46 @@
+import { expect } from 'chai';
+
+import SalteAuthMemoryStorage from '../../../src/storage/memory.js';
+
+describe('SalteAuthMemoryStorage', () => {
+  let storage;
+  beforeEach(() => {
+    storage = new SalteAuthMemoryStorage();
+  });
+
+  describe('function(setItem)', () => {
+    it('should store values as strings', () => {
+      storage.setItem('salte.auth.expiration', 12345);
+
+      expect(storage.getItem('salte.auth.expiration')).to.equal('12345');
+    });
+  });
+
+  describe('function(getItem)', () => {
+    it('should return null for missing values', () => {
+      expect(storage.getItem('salte.auth.id-token')).to.equal(null);
+    });
+  });
+
+  describe('function(removeItem)', () => {
+    it('should remove values', () => {
+      storage.setItem('salte.auth.id-token', '12345');
+      storage.removeItem('salte.auth.id-token');
+
+      expect(storage.getItem('salte.auth.id-token')).to.equal(null);
+      expect(storage.length).to.equal(0);
+    });
+  });
+
+  describe('function(key)', () => {
+    it('should support iterating over the keys', () => {
+      storage.setItem('salte.auth.id-token', '12345');
+      storage.setItem('salte.auth.access-token', '54321');
+
+      expect(storage.length).to.equal(2);
+      expect(storage.key(0)).to.equal('salte.auth.id-token');
+      expect(storage.key(1)).to.equal('salte.auth.access-token');
+      expect(storage.key(2)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,27 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function($respond)', () => {
+  let utilities;
+  beforeEach(() => {
+    utilities = new SalteAuthUtilities();
+  });
+
+  it('should post the response to our own origin', () => {
+    const target = {
+      postMessage: sinon.stub()
+    };
+
+    utilities.$respond(target, {
+      state: '55555-55555'
+    });
+
+    expect(target.postMessage.calledWith({
+      type: 'salte-auth:response',
+      params: {
+        state: '55555-55555'
+      }
+    }, `${location.protocol}//${location.host}`)).to.equal(true);
+  });
+});
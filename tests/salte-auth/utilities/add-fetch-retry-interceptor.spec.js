@@ -0,0 +1,98 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function(addFetchRetryInterceptor)', () => {
+  const url = `${location.protocol}//${location.host}/context.html`;
+  let utilities, windowsFetch;
+
+  function response(status, challenge) {
+    return {
+      status,
+      headers: {
+        get: sinon.stub().withArgs('WWW-Authenticate').returns(challenge || null)
+      }
+    };
+  }
+
+  beforeEach(() => {
+    windowsFetch = sinon.stub(window, 'fetch');
+    utilities = new SalteAuthUtilities();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should replay the request once if the interceptor resolves with true', () => {
+    const unauthorized = response(401, 'Bearer error="invalid_token", scope="calendar.write"');
+    const ok = response(200);
+    windowsFetch.onFirstCall().returns(Promise.resolve(unauthorized));
+    windowsFetch.onSecondCall().returns(Promise.resolve(ok));
+
+    const interceptor = sinon.stub().returns(Promise.resolve(true));
+    utilities.addFetchRetryInterceptor(interceptor);
+
+    const headers = [];
+    utilities.addFetchInterceptor((request) => {
+      headers.push(request.headers.get('X-Test'));
+      request.headers.set('X-Test', `attempt-${headers.length}`);
+    });
+
+    return fetch(url, {
+      method: 'POST',
+      body: 'hello'
+    }).then((result) => {
+      expect(result).to.equal(ok);
+      expect(windowsFetch.callCount).to.equal(2);
+      expect(interceptor.firstCall.args[0].url).to.equal(url);
+      expect(interceptor.firstCall.args[1]).to.deep.equal({
+        error: 'invalid_token',
+        scope: 'calendar.write'
+      });
+      expect(windowsFetch.secondCall.args[0].headers.get('X-Test')).to.equal('attempt-2');
+      return windowsFetch.secondCall.args[0].text();
+    }).then((body) => {
+      expect(body).to.equal('hello');
+    });
+  });
+
+  it('should not replay the request if the interceptors decline', () => {
+    const unauthorized = response(401, 'Bearer error="invalid_token"');
+    windowsFetch.returns(Promise.resolve(unauthorized));
+    utilities.addFetchRetryInterceptor(() => false);
+
+    return fetch(url).then((result) => {
+      expect(result).to.equal(unauthorized);
+      expect(windowsFetch.callCount).to.equal(1);
+    });
+  });
+
+  it('should not replay the request more than once', () => {
+    const unauthorized = response(401, 'Bearer error="invalid_token"');
+    windowsFetch.returns(Promise.resolve(unauthorized));
+    utilities.addFetchRetryInterceptor(() => true);
+
+    return fetch(url).then((result) => {
+      expect(result).to.equal(unauthorized);
+      expect(windowsFetch.callCount).to.equal(2);
+    });
+  });
+
+  it('should ignore other errors', () => {
+    const interceptor = sinon.stub().returns(true);
+    utilities.addFetchRetryInterceptor(interceptor);
+    windowsFetch.onFirstCall().returns(Promise.resolve(response(401, 'Bearer error="insufficient_scope"')));
+    windowsFetch.onSecondCall().returns(Promise.resolve(response(401)));
+    windowsFetch.onThirdCall().returns(Promise.resolve(response(500, 'Bearer error="invalid_token"')));
+
+    return Promise.all([
+      fetch(url),
+      fetch(url),
+      fetch(url)
+    ]).then(() => {
+      expect(interceptor.callCount).to.equal(0);
+      expect(windowsFetch.callCount).to.equal(3);
+    });
+  });
+});
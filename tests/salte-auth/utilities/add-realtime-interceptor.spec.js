@@ -0,0 +1,81 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+import SalteAuthConnection from '../../../src/salte-auth.connection.js';
+
+describe('function(addRealtimeInterceptor)', () => {
+  let utilities, WebSocket, EventSource;
+  beforeEach(() => {
+    WebSocket = sinon.stub();
+    WebSocket.CONNECTING = 0;
+    WebSocket.CLOSED = 3;
+    EventSource = sinon.stub();
+    EventSource.CONNECTING = 0;
+    EventSource.CLOSED = 2;
+    sinon.stub(window, 'WebSocket').value(WebSocket);
+    sinon.stub(window, 'EventSource').value(EventSource);
+    sinon.stub(SalteAuthConnection.prototype, '$$connect');
+    utilities = new SalteAuthUtilities({
+      endpoints: ['wss://api.salte.io', 'https://api.salte.io'],
+      realtime: true
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should intercept WebSocket connections', () => {
+    const interceptor = sinon.stub();
+    utilities.addRealtimeInterceptor(interceptor);
+
+    const connection = new window.WebSocket('wss://api.salte.io', 'graphql-ws');
+
+    expect(connection).to.be.an.instanceof(SalteAuthConnection);
+    expect(connection).to.be.an.instanceof(window.WebSocket);
+    expect(connection.$Type).to.equal(WebSocket);
+    expect(connection.$type).to.equal('websocket');
+    expect(connection.$options).to.equal('graphql-ws');
+    expect(window.WebSocket.CLOSED).to.equal(3);
+    expect(utilities.$interceptors.realtime).to.deep.equal([interceptor]);
+  });
+
+  it('should intercept EventSource connections', () => {
+    const { EventSource: Wrapper } = window;
+    const connection = new Wrapper('https://api.salte.io', { withCredentials: true });
+
+    expect(connection).to.be.an.instanceof(SalteAuthConnection);
+    expect(connection).to.be.an.instanceof(Wrapper);
+    expect(connection.$Type).to.equal(EventSource);
+    expect(connection.$type).to.equal('eventsource');
+    expect(Wrapper.CLOSED).to.equal(2);
+  });
+
+  it('should not intercept connections to unsecured urls', () => {
+    const connection = new window.WebSocket('wss://example.com', 'graphql-ws');
+
+    expect(connection).to.not.be.an.instanceof(SalteAuthConnection);
+    expect(connection).to.be.an.instanceof(WebSocket);
+    expect(connection).to.be.an.instanceof(window.WebSocket);
+    expect(WebSocket.calledWithExactly('wss://example.com', 'graphql-ws')).to.equal(true);
+    expect(SalteAuthConnection.prototype.$$connect.callCount).to.equal(0);
+  });
+
+  it('should not pass undefined options to the original constructor', () => {
+    new window.EventSource('https://example.com');
+
+    expect(EventSource.lastCall.args).to.deep.equal(['https://example.com']);
+  });
+
+  it('should share the prototype of the original constructor', () => {
+    expect(window.WebSocket.prototype).to.equal(WebSocket.prototype);
+    expect(window.EventSource.prototype).to.equal(EventSource.prototype);
+  });
+
+  it('should not wrap realtime connections unless they are enabled', () => {
+    utilities.destroy();
+    utilities = new SalteAuthUtilities({});
+
+    expect(window).to.include({ WebSocket, EventSource });
+  });
+});
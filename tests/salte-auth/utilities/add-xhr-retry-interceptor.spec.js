@@ -0,0 +1,132 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function(addXHRRetryInterceptor)', () => {
+  const url = `${location.protocol}//${location.host}/context.html`;
+  let utilities, xhr, requests;
+
+  function wait() {
+    return new Promise((resolve) => setTimeout(resolve, 50));
+  }
+
+  function challenge(request, header) {
+    request.setStatus(401);
+    request.setResponseHeaders({
+      'WWW-Authenticate': header
+    });
+  }
+
+  beforeEach(() => {
+    requests = [];
+    xhr = sinon.useFakeXMLHttpRequest();
+    xhr.onCreate = (request) => requests.push(request);
+    utilities = new SalteAuthUtilities({
+      endpoints: [url]
+    });
+  });
+
+  afterEach(() => {
+    utilities.destroy();
+    xhr.restore();
+    sinon.restore();
+  });
+
+  it('should replay the request once if the interceptor resolves with true', () => {
+    const interceptor = sinon.stub().returns(Promise.resolve(true));
+    utilities.addXHRRetryInterceptor(interceptor);
+
+    let attempt = 0;
+    utilities.addXHRInterceptor((request) => {
+      request.setRequestHeader('Authorization', `Bearer ${++attempt}`);
+    });
+
+    const onLoad = sinon.stub();
+    const request = new XMLHttpRequest();
+    request.addEventListener('load', onLoad);
+    request.open('POST', url);
+    request.setRequestHeader('X-Test', 'hello');
+    request.send('body');
+
+    return wait().then(() => {
+      challenge(request, 'Bearer error="invalid_token", scope="calendar.write"');
+
+      expect(onLoad.callCount).to.equal(0);
+      expect(interceptor.firstCall.args[0]).to.equal(request);
+      expect(interceptor.firstCall.args[1]).to.deep.equal({
+        error: 'invalid_token',
+        scope: 'calendar.write'
+      });
+
+      return wait();
+    }).then(() => {
+      expect(requests.length).to.equal(1);
+      expect(request.method).to.equal('POST');
+      expect(request.requestBody).to.equal('body');
+      expect(request.requestHeaders).to.include({
+        'X-Test': 'hello',
+        'Authorization': 'Bearer 2'
+      });
+
+      request.respond(200, {}, 'ok');
+
+      expect(onLoad.callCount).to.equal(1);
+      expect(request.responseText).to.equal('ok');
+    });
+  });
+
+  it('should resend the request as is if the interceptors decline', () => {
+    utilities.addXHRRetryInterceptor(() => false);
+
+    const request = new XMLHttpRequest();
+    request.open('GET', url);
+    request.send();
+
+    return wait().then(() => {
+      challenge(request, 'Bearer error="invalid_token"');
+
+      return wait();
+    }).then(() => {
+      expect(request.sendFlag).to.equal(true);
+
+      request.respond(401, { 'WWW-Authenticate': 'Bearer error="invalid_token"' }, '');
+
+      expect(request.status).to.equal(401);
+      expect(request.readyState).to.equal(4);
+    });
+  });
+
+  it('should not resend requests to unsecured endpoints', () => {
+    const interceptor = sinon.stub().returns(true);
+    utilities.addXHRRetryInterceptor(interceptor);
+
+    const request = new XMLHttpRequest();
+    request.open('POST', 'https://www.google.com');
+    request.send('body');
+
+    return wait().then(() => {
+      request.respond(401, { 'WWW-Authenticate': 'Bearer error="invalid_token"' }, '');
+
+      expect(interceptor.callCount).to.equal(0);
+      expect(requests.length).to.equal(1);
+      expect(request.status).to.equal(401);
+      expect(request.readyState).to.equal(4);
+    });
+  });
+
+  it('should ignore other responses', () => {
+    const interceptor = sinon.stub().returns(true);
+    utilities.addXHRRetryInterceptor(interceptor);
+
+    const request = new XMLHttpRequest();
+    request.open('GET', url);
+    request.send();
+
+    return wait().then(() => {
+      request.respond(401, { 'WWW-Authenticate': 'Bearer error="insufficient_scope"' }, '');
+
+      expect(interceptor.callCount).to.equal(0);
+      expect(request.readyState).to.equal(4);
+    });
+  });
+});
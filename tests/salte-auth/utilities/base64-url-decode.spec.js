@@ -0,0 +1,22 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function(base64UrlDecode)', () => {
+  let utilities;
+  beforeEach(() => {
+    utilities = new SalteAuthUtilities();
+  });
+
+  it('should decode unpadded values', () => {
+    expect(utilities.base64UrlDecode('aGVsbG8')).to.equal('hello');
+  });
+
+  it('should support the url safe alphabet', () => {
+    expect(utilities.base64UrlDecode('-_-_')).to.equal(String.fromCharCode(251, 255, 191));
+  });
+
+  it('should support padded values', () => {
+    expect(utilities.base64UrlDecode('AQ==')).to.equal(String.fromCharCode(1));
+  });
+});
@@ -0,0 +1,22 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function(base64UrlEncode)', () => {
+  let utilities;
+  beforeEach(() => {
+    utilities = new SalteAuthUtilities();
+  });
+
+  it('should encode bytes', () => {
+    expect(utilities.base64UrlEncode([104, 101, 108, 108, 111])).to.equal('aGVsbG8');
+  });
+
+  it('should use the url safe alphabet', () => {
+    expect(utilities.base64UrlEncode([251, 255, 191])).to.equal('-_-_');
+  });
+
+  it('should strip padding', () => {
+    expect(utilities.base64UrlEncode([1])).to.equal('AQ');
+  });
+});
@@ -42,6 +42,15 @@ describe('function(checkForMatchingUrl)', () => {
     expect(match).to.equal(true);
   });
 
+  it('should support endpoints', () => {
+    const match = utilities.checkForMatchingUrl('https://api.salte.io/users', [{
+      url: 'https://api.salte.io',
+      audience: 'https://api.salte.io'
+    }]);
+
+    expect(match).to.equal(true);
+  });
+
   it('should return false if there are no matches', () => {
     const match = utilities.checkForMatchingUrl(location.href, []);
 
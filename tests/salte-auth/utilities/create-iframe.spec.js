@@ -8,13 +8,24 @@ describe('function(createIframe)', () => {
     utilities = new SalteAuthUtilities();
   });
 
+  function respond(source, params) {
+    window.dispatchEvent(new MessageEvent('message', {
+      data: {
+        type: 'salte-auth:response',
+        params
+      },
+      origin: `${location.protocol}//${location.host}`,
+      source
+    }));
+  }
+
   it('should create a hidden iframe', () => {
     const promise = utilities.createIframe('https://www.google.com');
     const iframe = document.body.querySelector('iframe[owner="salte-auth"]');
 
     expect(iframe).to.not.be.undefined;
     expect(iframe.style.display).to.equal('none');
-    document.body.removeChild(iframe);
+    respond(iframe.contentWindow);
 
     return promise;
   });
@@ -25,11 +36,38 @@ describe('function(createIframe)', () => {
 
     expect(iframe).to.not.be.undefined;
     expect(iframe.style.display).to.equal('');
-    document.body.removeChild(iframe);
+    respond(iframe.contentWindow);
 
     return promise;
   });
 
+  it('should resolve with the response and remove the iframe', () => {
+    const promise = utilities.createIframe('https://www.google.com');
+    const iframe = document.body.querySelector('iframe[owner="salte-auth"]');
+
+    respond(iframe.contentWindow, {
+      state: '55555-55555'
+    });
+
+    return promise.then((params) => {
+      expect(params).to.deep.equal({
+        state: '55555-55555'
+      });
+      expect(document.body.querySelector('iframe[owner="salte-auth"]')).to.equal(null);
+    });
+  });
+
+  it('should reject if the iframe is removed', () => {
+    const promise = utilities.createIframe('https://www.google.com');
+    const iframe = document.body.querySelector('iframe[owner="salte-auth"]');
+
+    document.body.removeChild(iframe);
+
+    return promise.catch((error) => error).then((error) => {
+      expect(error.message).to.equal('The iframe was removed before authentication completed.');
+    });
+  });
+
   it('should support timing out', async () => {
     const promise = utilities.createIframe('https://www.google.com', true, 100);
     const iframe = document.body.querySelector('iframe[owner="salte-auth"]');
@@ -40,5 +78,6 @@ describe('function(createIframe)', () => {
     const error = await promise.catch((error) => error);
 
     expect(error.message).to.equal('Iframe failed to respond in time.');
+    expect(document.body.querySelector('iframe[owner="salte-auth"]')).to.equal(null);
   });
 });
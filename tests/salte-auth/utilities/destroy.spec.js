@@ -0,0 +1,62 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function(destroy)', () => {
+  let windowsFetch, open, setRequestHeader, send;
+  beforeEach(() => {
+    windowsFetch = sinon.stub(window, 'fetch').returns(Promise.resolve());
+    open = XMLHttpRequest.prototype.open;
+    setRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+    send = XMLHttpRequest.prototype.send;
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should restore the original globals', () => {
+    const utilities = new SalteAuthUtilities();
+
+    expect(window.fetch).to.not.equal(windowsFetch);
+    expect(XMLHttpRequest.prototype.open).to.not.equal(open);
+    expect(XMLHttpRequest.prototype.setRequestHeader).to.not.equal(setRequestHeader);
+    expect(XMLHttpRequest.prototype.send).to.not.equal(send);
+
+    utilities.destroy();
+
+    expect(window.fetch).to.equal(windowsFetch);
+    expect(XMLHttpRequest.prototype.open).to.equal(open);
+    expect(XMLHttpRequest.prototype.setRequestHeader).to.equal(setRequestHeader);
+    expect(XMLHttpRequest.prototype.send).to.equal(send);
+  });
+
+  it('should remove the interceptors', () => {
+    const utilities = new SalteAuthUtilities();
+    utilities.addXHRInterceptor(() => {});
+    utilities.addFetchInterceptor(() => {});
+    utilities.addFetchRetryInterceptor(() => {});
+    utilities.addXHRRetryInterceptor(() => {});
+
+    utilities.destroy();
+
+    expect(utilities.$interceptors).to.deep.equal({
+      fetch: [],
+      xhr: [],
+      retry: [],
+      xhrRetry: [],
+      realtime: []
+    });
+  });
+
+  it('should not restore globals that have since been wrapped by someone else', () => {
+    const utilities = new SalteAuthUtilities();
+    const wrapper = sinon.stub();
+    window.fetch = wrapper;
+
+    utilities.destroy();
+
+    expect(window.fetch).to.equal(wrapper);
+    expect(XMLHttpRequest.prototype.open).to.equal(open);
+  });
+});
@@ -0,0 +1,57 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function(findMatchingUrl)', () => {
+  let utilities;
+  beforeEach(() => {
+    utilities = new SalteAuthUtilities();
+  });
+
+  it('should return the matching string', () => {
+    const match = utilities.findMatchingUrl('https://api.salte.io/users', [
+      'https://google.com/api',
+      'https://api.salte.io'
+    ]);
+
+    expect(match).to.equal('https://api.salte.io');
+  });
+
+  it('should return the matching regular expression', () => {
+    const regex = new RegExp(location.host);
+    const match = utilities.findMatchingUrl(location.href, [regex]);
+
+    expect(match).to.equal(regex);
+  });
+
+  it('should return the matching endpoint', () => {
+    const endpoint = {
+      url: 'https://api.salte.io',
+      audience: 'https://api.salte.io'
+    };
+    const match = utilities.findMatchingUrl('https://api.salte.io/users', [
+      'https://google.com/api',
+      endpoint
+    ]);
+
+    expect(match).to.equal(endpoint);
+  });
+
+  it('should support endpoints with regular expressions', () => {
+    const endpoint = {
+      url: /api\.salte\.io/,
+      scope: 'users:read'
+    };
+    const match = utilities.findMatchingUrl('https://api.salte.io/users', [endpoint]);
+
+    expect(match).to.equal(endpoint);
+  });
+
+  it('should return null if there are no matches', () => {
+    const match = utilities.findMatchingUrl(location.href, [
+      'https://api.salte.io'
+    ]);
+
+    expect(match).to.equal(null);
+  });
+});
@@ -0,0 +1,51 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function(getJSON)', () => {
+  let utilities;
+  beforeEach(() => {
+    utilities = new SalteAuthUtilities();
+    sinon.stub(window, 'fetch').returns(Promise.resolve({
+      json: () => Promise.resolve({
+        issuer: 'https://api.salte.io'
+      })
+    }));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should send a GET request', () => {
+    return utilities.getJSON('https://api.salte.io/.well-known/openid-configuration').then(() => {
+      const [url, options] = window.fetch.firstCall.args;
+
+      expect(url).to.equal('https://api.salte.io/.well-known/openid-configuration');
+      expect(options).to.deep.equal({
+        method: 'GET',
+        headers: {}
+      });
+    });
+  });
+
+  it('should support passing headers', () => {
+    return utilities.getJSON('https://api.salte.io/userinfo', {
+      Authorization: 'Bearer 12345'
+    }).then(() => {
+      const [, options] = window.fetch.firstCall.args;
+
+      expect(options.headers).to.deep.equal({
+        Authorization: 'Bearer 12345'
+      });
+    });
+  });
+
+  it('should resolve with the parsed response', () => {
+    return utilities.getJSON('https://api.salte.io/.well-known/openid-configuration').then((response) => {
+      expect(response).to.deep.equal({
+        issuer: 'https://api.salte.io'
+      });
+    });
+  });
+});
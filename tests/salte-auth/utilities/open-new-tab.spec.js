@@ -3,53 +3,67 @@ import { expect } from 'chai';
 import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
 
 describe('function(openNewTab)', () => {
-  let utilities;
+  let utilities, iframe, tab;
   beforeEach(() => {
     utilities = new SalteAuthUtilities({
       redirectUrl: 'https://redirect-url'
     });
+
+    // NOTE: A same-origin iframe gives us a real window to act as the tab.
+    iframe = document.createElement('iframe');
+    document.body.appendChild(iframe);
+    tab = iframe.contentWindow;
+    sinon.stub(tab, 'focus');
+    sinon.stub(tab, 'close');
   });
 
   afterEach(() => {
     sinon.restore();
+    if (iframe.parentNode) {
+      document.body.removeChild(iframe);
+    }
   });
 
-  it('should open a new tab', () => {
-    sinon.stub(window, 'open').returns({
-      closed: false,
-      focus: sinon.stub(),
-      close: function() {
-        this.closed = true;
+  function respond(source, params) {
+    window.dispatchEvent(new MessageEvent('message', {
+      data: {
+        type: 'salte-auth:response',
+        params
       },
-      location: {
-        href: 'https://incorrect-redirect-url'
-      }
+      origin: `${location.protocol}//${location.host}`,
+      source
+    }));
+  }
+
+  it('should resolve with the response sent by the tab', () => {
+    sinon.stub(window, 'open').returns(tab);
+
+    const promise = utilities.openNewTab('https://www.google.com');
+
+    respond(tab, {
+      state: '55555-55555'
     });
 
-    setTimeout(() => {
-      sinon.stub(window.open.firstCall.returnValue, 'location').get(() => {
-        return {
-          href: 'https://redirect-url'
-        };
+    return promise.then((params) => {
+      expect(params).to.deep.equal({
+        state: '55555-55555'
       });
-    }, 200);
-
-    return utilities.openNewTab('https://www.google.com').then(() => {
-      const tab = window.open.firstCall.returnValue;
       expect(tab.name).to.equal('salte-auth');
+      expect(tab.close.callCount).to.equal(1);
     });
   });
 
   it('should handle a user closing the new tab', () => {
-    sinon.stub(window, 'open').returns({
-      closed: true,
-      focus: sinon.stub(),
-      location: {
-        href: 'https://incorrect-redirect-url'
-      }
-    });
+    sinon.stub(window, 'open').returns(tab);
+
+    const promise = utilities.openNewTab('https://www.google.com');
+
+    document.body.removeChild(iframe);
 
-    return utilities.openNewTab('https://www.google.com');
+    return promise.catch((error) => error).then((error) => {
+      expect(error).to.be.instanceof(Error);
+      expect(error.message).to.equal('The tab was closed before authentication completed.');
+    });
   });
 
   it('should handle blocked tabs', () => {
@@ -67,41 +81,32 @@ describe('function(openNewTab)', () => {
     });
   });
 
-  it('should support a separate loginUrl', () => {
-    utilities.$$config.redirectUrl = {
-      loginUrl: 'https://redirect-url'
-    };
+  it('should open the tab before the url is available', () => {
+    const target = { location: {}, focus: sinon.stub(), close: sinon.stub(), closed: false };
+    sinon.stub(window, 'open').returns(target);
+    const url = Promise.resolve('https://www.google.com');
 
-    sinon.stub(window, 'open').returns(null);
+    const promise = utilities.openNewTab(url);
 
-    const promise = utilities.openNewTab('https://www.google.com');
+    expect(window.open.calledWith('', '_blank')).to.equal(true);
+    return url.then(() => {
+      expect(target.location.href).to.equal('https://www.google.com');
+      target.closed = true;
 
-    return promise.catch(error => {
-      return error;
-    }).then(error => {
-      expect(error).to.be.instanceof(ReferenceError);
-      expect(error.message).to.equal(
-        'We were unable to open the new tab, its likely that the request was blocked.'
-      );
+      return promise.catch((error) => error);
+    }).then((error) => {
+      expect(error).to.be.instanceof(Error);
     });
   });
 
-  it('should support a separate logoutUrl', () => {
-    utilities.$$config.redirectUrl = {
-      logoutUrl: 'https://redirect-url'
-    };
-
-    sinon.stub(window, 'open').returns(null);
-
-    const promise = utilities.openNewTab('https://www.google.com');
+  it('should close the tab if the url could not be resolved', () => {
+    const target = { location: {}, focus: sinon.stub(), close: sinon.stub(), closed: false };
+    sinon.stub(window, 'open').returns(target);
 
-    return promise.catch(error => {
-      return error;
-    }).then(error => {
-      expect(error).to.be.instanceof(ReferenceError);
-      expect(error.message).to.equal(
-        'We were unable to open the new tab, its likely that the request was blocked.'
-      );
+    return utilities.openNewTab(Promise.reject(new Error('Whoops!'))).catch((error) => error).then((error) => {
+      expect(error.message).to.equal('Whoops!');
+      expect(target.close.callCount).to.equal(1);
+      expect(target.location.href).to.equal(undefined);
     });
   });
 });
@@ -3,72 +3,92 @@ import { expect } from 'chai';
 import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
 
 describe('function(openPopup)', () => {
-  let utilities;
+  let utilities, iframe, popup;
   beforeEach(() => {
     utilities = new SalteAuthUtilities({
       redirectUrl: 'https://redirect-url'
     });
+
+    // NOTE: A same-origin iframe gives us a real window to act as the popup.
+    iframe = document.createElement('iframe');
+    document.body.appendChild(iframe);
+    popup = iframe.contentWindow;
+    sinon.stub(popup, 'focus');
+    sinon.stub(popup, 'close');
   });
 
   afterEach(() => {
     sinon.restore();
+    if (iframe.parentNode) {
+      document.body.removeChild(iframe);
+    }
   });
 
-  it('should open a popup window', () => {
-    sinon.stub(window, 'open').returns({
-      closed: false,
-      focus: sinon.stub(),
-      close: function() {
-        this.closed = true;
+  function respond(source, params, origin = `${location.protocol}//${location.host}`) {
+    window.dispatchEvent(new MessageEvent('message', {
+      data: {
+        type: 'salte-auth:response',
+        params
       },
-      location: {
-        href: 'https://incorrect-redirect-url'
-      }
+      origin,
+      source
+    }));
+  }
+
+  it('should resolve with the response sent by the popup', () => {
+    sinon.stub(window, 'open').returns(popup);
+
+    const promise = utilities.openPopup('https://www.google.com');
+
+    respond(popup, {
+      state: '55555-55555'
     });
 
-    setTimeout(() => {
-      sinon.stub(window.open.firstCall.returnValue, 'location').get(() => {
-        return {
-          href: 'https://redirect-url'
-        };
+    return promise.then((params) => {
+      expect(params).to.deep.equal({
+        state: '55555-55555'
       });
-    }, 200);
-
-    return utilities.openPopup('https://www.google.com');
+      expect(popup.focus.callCount).to.equal(1);
+      expect(popup.close.callCount).to.equal(1);
+    });
   });
 
-  it('should handle a user closing the popup', () => {
-    sinon.stub(window, 'open').returns({
-      closed: true,
-      focus: sinon.stub(),
-      location: {
-        href: 'https://incorrect-redirect-url'
-      }
+  it('should ignore responses from other windows and origins', () => {
+    sinon.stub(window, 'open').returns(popup);
+
+    const promise = utilities.openPopup('https://www.google.com');
+
+    respond(window, {
+      state: 'bogus'
+    });
+    respond(popup, {
+      state: 'bogus'
+    }, 'https://bogus.salte.io');
+    respond(popup, {
+      state: '55555-55555'
     });
 
-    return utilities.openPopup('https://www.google.com');
+    return promise.then((params) => {
+      expect(params).to.deep.equal({
+        state: '55555-55555'
+      });
+    });
   });
 
-  it('should handle blocked popups', () => {
-    sinon.stub(window, 'open').returns(null);
+  it('should handle a user closing the popup', () => {
+    sinon.stub(window, 'open').returns(popup);
 
     const promise = utilities.openPopup('https://www.google.com');
 
-    return promise.catch(error => {
-      return error;
-    }).then(error => {
-      expect(error).to.be.instanceof(ReferenceError);
-      expect(error.message).to.equal(
-        'We were unable to open the popup window, its likely that the request was blocked.'
-      );
+    document.body.removeChild(iframe);
+
+    return promise.catch((error) => error).then((error) => {
+      expect(error).to.be.instanceof(Error);
+      expect(error.message).to.equal('The popup window was closed before authentication completed.');
     });
   });
 
-  it('should support a separate loginUrl', () => {
-    utilities.$$config.redirectUrl = {
-      loginUrl: 'https://redirect-url'
-    };
-
+  it('should handle blocked popups', () => {
     sinon.stub(window, 'open').returns(null);
 
     const promise = utilities.openPopup('https://www.google.com');
@@ -83,22 +103,32 @@ describe('function(openPopup)', () => {
     });
   });
 
-  it('should support a separate logoutUrl', () => {
-    utilities.$$config.redirectUrl = {
-      logoutUrl: 'https://redirect-url'
-    };
+  it('should open the popup before the url is available', () => {
+    const target = { location: {}, focus: sinon.stub(), close: sinon.stub(), closed: false };
+    sinon.stub(window, 'open').returns(target);
+    const url = Promise.resolve('https://www.google.com');
 
-    sinon.stub(window, 'open').returns(null);
+    const promise = utilities.openPopup(url);
 
-    const promise = utilities.openPopup('https://www.google.com');
+    expect(window.open.calledWith('', 'salte-auth')).to.equal(true);
+    return url.then(() => {
+      expect(target.location.href).to.equal('https://www.google.com');
+      target.closed = true;
 
-    return promise.catch(error => {
-      return error;
-    }).then(error => {
-      expect(error).to.be.instanceof(ReferenceError);
-      expect(error.message).to.equal(
-        'We were unable to open the popup window, its likely that the request was blocked.'
-      );
+      return promise.catch((error) => error);
+    }).then((error) => {
+      expect(error).to.be.instanceof(Error);
+    });
+  });
+
+  it('should close the popup if the url could not be resolved', () => {
+    const target = { location: {}, focus: sinon.stub(), close: sinon.stub(), closed: false };
+    sinon.stub(window, 'open').returns(target);
+
+    return utilities.openPopup(Promise.reject(new Error('Whoops!'))).catch((error) => error).then((error) => {
+      expect(error.message).to.equal('Whoops!');
+      expect(target.close.callCount).to.equal(1);
+      expect(target.location.href).to.equal(undefined);
     });
   });
 });
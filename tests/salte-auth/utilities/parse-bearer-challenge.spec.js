@@ -0,0 +1,47 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function(parseBearerChallenge)', () => {
+  let utilities;
+  beforeEach(() => {
+    utilities = new SalteAuthUtilities();
+  });
+
+  it('should parse the parameters of the challenge', () => {
+    const challenge = utilities.parseBearerChallenge('Bearer realm="example", error="invalid_token", error_description="The access token expired"');
+
+    expect(challenge).to.deep.equal({
+      realm: 'example',
+      error: 'invalid_token',
+      error_description: 'The access token expired'
+    });
+  });
+
+  it('should support the scope parameter', () => {
+    const challenge = utilities.parseBearerChallenge('Bearer error="invalid_token", scope="openid calendar.write"');
+
+    expect(challenge.scope).to.equal('openid calendar.write');
+  });
+
+  it('should support unquoted values', () => {
+    const challenge = utilities.parseBearerChallenge('Bearer error=invalid_token');
+
+    expect(challenge.error).to.equal('invalid_token');
+  });
+
+  it('should find the Bearer challenge amongst other challenges', () => {
+    const challenge = utilities.parseBearerChallenge('Basic realm="example", Bearer error="invalid_token"');
+
+    expect(challenge.error).to.equal('invalid_token');
+  });
+
+  it('should support challenges without parameters', () => {
+    expect(utilities.parseBearerChallenge('Bearer')).to.deep.equal({});
+  });
+
+  it('should return null if there is no Bearer challenge', () => {
+    expect(utilities.parseBearerChallenge('Basic realm="example"')).to.equal(null);
+    expect(utilities.parseBearerChallenge(null)).to.equal(null);
+  });
+});
@@ -0,0 +1,44 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function(postForm)', () => {
+  let utilities;
+  beforeEach(() => {
+    utilities = new SalteAuthUtilities();
+    sinon.stub(window, 'fetch').returns(Promise.resolve({
+      json: () => Promise.resolve({
+        access_token: '12345'
+      })
+    }));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should send a form-encoded POST request', () => {
+    return utilities.postForm('https://api.salte.io/token', {
+      grant_type: 'authorization_code',
+      redirect_uri: 'https://salte.io',
+      bogus: undefined
+    }).then(() => {
+      const [url, options] = window.fetch.firstCall.args;
+
+      expect(url).to.equal('https://api.salte.io/token');
+      expect(options.method).to.equal('POST');
+      expect(options.headers).to.deep.equal({
+        'Content-Type': 'application/x-www-form-urlencoded'
+      });
+      expect(options.body).to.equal(`grant_type=authorization_code&redirect_uri=${encodeURIComponent('https://salte.io')}`);
+    });
+  });
+
+  it('should resolve with the parsed response', () => {
+    return utilities.postForm('https://api.salte.io/token', {}).then((response) => {
+      expect(response).to.deep.equal({
+        access_token: '12345'
+      });
+    });
+  });
+});
@@ -0,0 +1,28 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function(reconnect)', () => {
+  let utilities;
+  beforeEach(() => {
+    utilities = new SalteAuthUtilities();
+  });
+
+  afterEach(() => {
+    utilities.destroy();
+  });
+
+  it('should reconnect every connection', () => {
+    const connections = [{
+      reconnect: sinon.stub().returns(Promise.resolve())
+    }, {
+      reconnect: sinon.stub().returns(Promise.resolve())
+    }];
+    utilities.$connections = connections.slice();
+
+    return utilities.reconnect().then(() => {
+      expect(connections[0].reconnect.callCount).to.equal(1);
+      expect(connections[1].reconnect.callCount).to.equal(1);
+    });
+  });
+});
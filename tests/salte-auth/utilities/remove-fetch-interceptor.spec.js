@@ -0,0 +1,34 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function(removeFetchInterceptor)', () => {
+  let utilities;
+  beforeEach(() => {
+    sinon.stub(window, 'fetch').returns(Promise.resolve());
+    utilities = new SalteAuthUtilities();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should stop intercepting Fetch requests', () => {
+    const interceptor = sinon.stub();
+    utilities.addFetchInterceptor(interceptor);
+    utilities.removeFetchInterceptor(interceptor);
+
+    return fetch(`${location.protocol}//${location.host}/context.html`).then(() => {
+      expect(interceptor.callCount).to.equal(0);
+      expect(utilities.$interceptors.fetch).to.deep.equal([]);
+    });
+  });
+
+  it('should ignore interceptors that were never added', () => {
+    const interceptor = sinon.stub();
+    utilities.addFetchInterceptor(interceptor);
+    utilities.removeFetchInterceptor(() => {});
+
+    expect(utilities.$interceptors.fetch).to.deep.equal([interceptor]);
+  });
+});
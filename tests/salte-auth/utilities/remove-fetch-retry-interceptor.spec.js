@@ -0,0 +1,31 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function(removeFetchRetryInterceptor)', () => {
+  let utilities, windowsFetch;
+  beforeEach(() => {
+    windowsFetch = sinon.stub(window, 'fetch').returns(Promise.resolve({
+      status: 401,
+      headers: {
+        get: () => 'Bearer error="invalid_token"'
+      }
+    }));
+    utilities = new SalteAuthUtilities();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should stop retrying unauthorized requests', () => {
+    const interceptor = sinon.stub().returns(true);
+    utilities.addFetchRetryInterceptor(interceptor);
+    utilities.removeFetchRetryInterceptor(interceptor);
+
+    return fetch(`${location.protocol}//${location.host}/context.html`).then(() => {
+      expect(interceptor.callCount).to.equal(0);
+      expect(windowsFetch.callCount).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function(removeXHRInterceptor)', () => {
+  let utilities;
+  beforeEach(() => {
+    utilities = new SalteAuthUtilities();
+  });
+
+  afterEach(() => {
+    utilities.destroy();
+  });
+
+  it('should stop intercepting XHR requests', () => {
+    const interceptor = sinon.stub();
+    utilities.addXHRInterceptor(interceptor);
+    utilities.removeXHRInterceptor(interceptor);
+
+    const request = new XMLHttpRequest();
+    request.open('GET', `${location.protocol}//${location.host}/context.html`, false);
+    request.send();
+
+    expect(interceptor.callCount).to.equal(0);
+    expect(utilities.$interceptors.xhr).to.deep.equal([]);
+  });
+
+  it('should ignore interceptors that were never added', () => {
+    const interceptor = sinon.stub();
+    utilities.addXHRInterceptor(interceptor);
+    utilities.removeXHRInterceptor(() => {});
+
+    expect(utilities.$interceptors.xhr).to.deep.equal([interceptor]);
+  });
+});
@@ -0,0 +1,36 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function(removeXHRRetryInterceptor)', () => {
+  let utilities, xhr;
+  beforeEach(() => {
+    xhr = sinon.useFakeXMLHttpRequest();
+    utilities = new SalteAuthUtilities({
+      endpoints: [`${location.protocol}//${location.host}`]
+    });
+  });
+
+  afterEach(() => {
+    utilities.destroy();
+    xhr.restore();
+    sinon.restore();
+  });
+
+  it('should stop retrying unauthorized requests', () => {
+    const interceptor = sinon.stub().returns(true);
+    utilities.addXHRRetryInterceptor(interceptor);
+    utilities.removeXHRRetryInterceptor(interceptor);
+
+    const request = new XMLHttpRequest();
+    request.open('GET', `${location.protocol}//${location.host}/context.html`);
+    request.send();
+
+    return new Promise((resolve) => setTimeout(resolve, 50)).then(() => {
+      request.respond(401, { 'WWW-Authenticate': 'Bearer error="invalid_token"' }, '');
+
+      expect(interceptor.callCount).to.equal(0);
+      expect(request.readyState).to.equal(4);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function(sendForm)', () => {
+  let utilities;
+  beforeEach(() => {
+    utilities = new SalteAuthUtilities();
+    sinon.stub(window, 'fetch').returns(Promise.resolve({
+      ok: true,
+      status: 200
+    }));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should send a form-encoded POST request', () => {
+    return utilities.sendForm('https://api.salte.io/revoke', {
+      token: '12345',
+      token_type_hint: 'access_token',
+      bogus: undefined
+    }).then(() => {
+      const [url, options] = window.fetch.firstCall.args;
+
+      expect(url).to.equal('https://api.salte.io/revoke');
+      expect(options.method).to.equal('POST');
+      expect(options.headers).to.deep.equal({
+        'Content-Type': 'application/x-www-form-urlencoded'
+      });
+      expect(options.body).to.equal('token=12345&token_type_hint=access_token');
+    });
+  });
+
+  it('should resolve with the raw response', () => {
+    return utilities.sendForm('https://api.salte.io/revoke', {}).then((response) => {
+      expect(response).to.deep.equal({
+        ok: true,
+        status: 200
+      });
+    });
+  });
+});
@@ -0,0 +1,14 @@
+import { expect } from 'chai';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function(toBytes)', () => {
+  let utilities;
+  beforeEach(() => {
+    utilities = new SalteAuthUtilities();
+  });
+
+  it('should convert a binary string to bytes', () => {
+    expect([].slice.call(utilities.toBytes('hello'))).to.deep.equal([104, 101, 108, 108, 111]);
+  });
+});
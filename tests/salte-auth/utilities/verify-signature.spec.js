@@ -0,0 +1,94 @@
+import { expect } from 'chai';
+import assign from 'lodash/assign';
+
+import SalteAuthUtilities from '../../../src/salte-auth.utilities.js';
+
+describe('function(verifySignature)', () => {
+  const { Uint8Array } = window;
+  const algorithms = {
+    RS256: {
+      generate: { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: { name: 'SHA-256' } },
+      sign: { name: 'RSASSA-PKCS1-v1_5' }
+    },
+    PS256: {
+      generate: { name: 'RSA-PSS', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: { name: 'SHA-256' } },
+      sign: { name: 'RSA-PSS', saltLength: 32 }
+    },
+    ES256: {
+      generate: { name: 'ECDSA', namedCurve: 'P-256' },
+      sign: { name: 'ECDSA', hash: { name: 'SHA-256' } }
+    }
+  };
+
+  let utilities;
+  beforeEach(() => {
+    utilities = new SalteAuthUtilities();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  async function createToken(alg, claims = { sub: '1234567890' }) {
+    const algorithm = algorithms[alg];
+    const keys = await window.crypto.subtle.generateKey(algorithm.generate, true, ['sign', 'verify']);
+    const jwk = await window.crypto.subtle.exportKey('jwk', keys.publicKey);
+
+    const header = utilities.base64UrlEncode(utilities.toBytes(JSON.stringify({ alg, typ: 'JWT' })));
+    const payload = utilities.base64UrlEncode(utilities.toBytes(JSON.stringify(claims)));
+    const signature = await window.crypto.subtle.sign(algorithm.sign, keys.privateKey, utilities.toBytes(`${header}.${payload}`));
+
+    return {
+      jwk,
+      token: `${header}.${payload}.${utilities.base64UrlEncode(new Uint8Array(signature))}`
+    };
+  }
+
+  Object.keys(algorithms).forEach((alg) => {
+    it(`should verify ${alg} signatures`, async () => {
+      const { jwk, token } = await createToken(alg);
+
+      expect(await utilities.verifySignature(token, jwk)).to.equal(true);
+    });
+  });
+
+  it('should reject tampered tokens', async () => {
+    const { jwk, token } = await createToken('RS256');
+    const [header, , signature] = token.split('.');
+    const payload = utilities.base64UrlEncode(utilities.toBytes(JSON.stringify({ sub: 'admin' })));
+
+    expect(await utilities.verifySignature(`${header}.${payload}.${signature}`, jwk)).to.equal(false);
+  });
+
+  it('should reject tokens signed by a different key', async () => {
+    const { token } = await createToken('RS256');
+    const { jwk } = await createToken('RS256');
+
+    expect(await utilities.verifySignature(token, jwk)).to.equal(false);
+  });
+
+  it('should reject unsigned tokens', async () => {
+    const { jwk, token } = await createToken('RS256');
+    const [, payload] = token.split('.');
+    const header = utilities.base64UrlEncode(utilities.toBytes(JSON.stringify({ alg: 'none' })));
+
+    expect(await utilities.verifySignature(`${header}.${payload}.`, jwk)).to.equal(false);
+  });
+
+  it('should reject keys that do not match the algorithm', async () => {
+    const { token } = await createToken('RS256');
+    const { jwk } = await createToken('ES256');
+
+    expect(await utilities.verifySignature(token, jwk)).to.equal(false);
+  });
+
+  it('should reject keys restricted to a different algorithm', async () => {
+    const { jwk, token } = await createToken('RS256');
+
+    expect(await utilities.verifySignature(token, assign({}, jwk, { alg: 'PS256' }))).to.equal(false);
+  });
+
+  it('should reject malformed tokens', async () => {
+    expect(await utilities.verifySignature('bogus', {})).to.equal(false);
+  });
+});